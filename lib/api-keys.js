@@ -0,0 +1,58 @@
+// User API keys for the public /api/v1 routes
+//
+// Only a SHA-256 hash of each key is stored - keys are 32 random bytes, so a
+// fast hash is enough - together with a short hint for display. The full key
+// is shown to the user once, when it is created.
+
+const crypto = require('crypto');
+
+// What each key may be used for; every /api/v1 route requires one of these
+const API_KEY_SCOPES = ['chat', 'images', 'videos', 'models'];
+
+function generateApiKey() {
+    return 'sk-' + crypto.randomBytes(32).toString('hex');
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// "sk-1a2b…9f0e" - enough to tell keys apart in a list
+function apiKeyHint(apiKey) {
+    return `${apiKey.slice(0, 7)}…${apiKey.slice(-4)}`;
+}
+
+// Build the stored record for a new key. Returns { apiKey, record }.
+function createApiKeyRecord({ userId, name, scopes = API_KEY_SCOPES, expiresAt = null }) {
+    const apiKey = generateApiKey();
+    const record = {
+        id: 'key_' + crypto.randomBytes(8).toString('hex'),
+        userId,
+        name,
+        hash: hashApiKey(apiKey),
+        hint: apiKeyHint(apiKey),
+        scopes: [...scopes],
+        createdAt: new Date().toISOString(),
+        expiresAt,
+        lastUsedAt: null
+    };
+    return { apiKey, record };
+}
+
+// Public view of a key record - never includes the hash
+function apiKeyResponse(record) {
+    const { hash, ...rest } = record;
+    return {
+        ...rest,
+        expired: !!record.expiresAt && new Date(record.expiresAt) < new Date()
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    generateApiKey,
+    hashApiKey,
+    apiKeyHint,
+    createApiKeyRecord,
+    apiKeyResponse
+};
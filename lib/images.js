@@ -0,0 +1,106 @@
+// Image generation for the chat and the public API
+//
+// Stable Diffusion 2.1 runs on the HuggingFace Inference API and falls back
+// to Pollinations (Flux) when it fails; Pollinations can also be asked for
+// directly. With MOCK_PROVIDERS=true generated PNGs are returned instead and
+// nothing goes over the network.
+
+const { mockPng } = require('./providers/mock');
+
+const STABLE_DIFFUSION_URL = 'https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-2-1';
+const POLLINATIONS_URL = 'https://image.pollinations.ai/prompt';
+
+class ImageGenerationError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'ImageGenerationError';
+        this.status = status;
+    }
+}
+
+function pollinationsUrl(prompt, width = 1024, height = 1024, extra = '') {
+    return `${POLLINATIONS_URL}/${encodeURIComponent(prompt)}?width=${width}&height=${height}&model=flux&enhance=true&nologo=true${extra}`;
+}
+
+// fetch() that reports an unreachable backend as an ImageGenerationError.
+// An aborted request still rejects with the abort reason.
+async function fetchImage(service, url, options = {}) {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        if (options.signal?.aborted) throw error;
+        throw new ImageGenerationError(`${service} is unreachable: ${error.message}`);
+    }
+}
+
+class ImageGenerator {
+    // provider: "stable-diffusion" (or "huggingface") or "pollinations".
+    // Resolves to { buffer, model } with the PNG bytes and a display name.
+    // `fallback: false` makes a Stable Diffusion failure throw instead.
+    async generate(prompt, { provider = 'pollinations', width = 1024, height = 1024, fallback = true, signal } = {}) {
+        if (provider === 'huggingface' || provider === 'stable-diffusion') {
+            let failure;
+            try {
+                const response = await fetchImage('Stable Diffusion', STABLE_DIFFUSION_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        inputs: prompt,
+                        parameters: { num_inference_steps: 30, guidance_scale: 7.5 }
+                    }),
+                    signal
+                });
+
+                if (response.ok) {
+                    return { buffer: Buffer.from(await response.arrayBuffer()), model: 'Stable Diffusion 2.1' };
+                }
+
+                const errorText = await response.text().catch(() => '');
+                console.error('Hugging Face API error:', response.status, errorText);
+                failure = new ImageGenerationError(`Stable Diffusion returned HTTP ${response.status}`, response.status);
+            } catch (error) {
+                if (error.name !== 'ImageGenerationError') throw error;
+                console.error('Hugging Face API error:', error.message);
+                failure = error;
+            }
+
+            if (!fallback) {
+                throw failure;
+            }
+
+            console.log('⚠️ Falling back to Pollinations AI');
+            const result = await this.pollinations(prompt, width, height, signal);
+            return { ...result, model: `${result.model} - Fallback` };
+        }
+
+        return this.pollinations(prompt, width, height, signal);
+    }
+
+    async pollinations(prompt, width, height, signal) {
+        const response = await fetchImage('Pollinations AI', pollinationsUrl(prompt, width, height), { signal });
+        if (!response.ok) {
+            console.error('Pollinations AI error:', response.status);
+            throw new ImageGenerationError(`Pollinations AI returned HTTP ${response.status}`, response.status);
+        }
+        return { buffer: Buffer.from(await response.arrayBuffer()), model: 'Pollinations AI (Flux)' };
+    }
+}
+
+class MockImageGenerator {
+    async generate(prompt, { width = 1024, height = 1024 } = {}) {
+        const clamp = (size) => Math.min(Math.max(parseInt(size, 10) || 64, 1), 1024);
+        return { buffer: mockPng(prompt, clamp(width), clamp(height)), model: 'Mock Image' };
+    }
+}
+
+function createImageGenerator(env = process.env) {
+    return env.MOCK_PROVIDERS === 'true' ? new MockImageGenerator() : new ImageGenerator();
+}
+
+module.exports = {
+    ImageGenerator,
+    MockImageGenerator,
+    ImageGenerationError,
+    createImageGenerator,
+    pollinationsUrl
+};
@@ -0,0 +1,106 @@
+// Model catalog - the one list of models the platform offers
+//
+// Loaded from config/models.json (MODELS_CONFIG to use another file). Each
+// entry has an id, display name, type (text/image/video), capabilities,
+// context length and, for text models, the upstream model id per provider:
+//
+//   { "id": "gpt-5", "name": "GPT-5", "type": "text", "enabled": true,
+//     "capabilities": { "vision": true, "reasoning": true, "image": false, "tools": true },
+//     "contextLength": 400000, "defaults": { "max_tokens": 16000 },
+//     "providers": { "clacky": "gpt-5", "openrouter": "openai/gpt-5" } }
+//
+// Top-level "defaults" apply to every model unless it overrides them. The
+// sidebar, /api/v1/models and the providers' model maps are all built from
+// the enabled entries, so turning a model off is a config change only.
+
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_TYPES = ['text', 'image', 'video'];
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'models.json');
+
+class ModelCatalog {
+    constructor({ models = [], defaultModel = null, defaults = {} } = {}) {
+        const seen = new Set();
+        this.models = models.map(entry => {
+            if (!entry.id || !entry.name) {
+                throw new Error('Every model in the catalog needs an id and a name');
+            }
+            if (seen.has(entry.id)) {
+                throw new Error(`Model "${entry.id}" is listed twice in the catalog`);
+            }
+            const type = entry.type || 'text';
+            if (!MODEL_TYPES.includes(type)) {
+                throw new Error(`Model "${entry.id}" has unknown type "${type}"`);
+            }
+            seen.add(entry.id);
+
+            return {
+                id: entry.id,
+                name: entry.name,
+                description: entry.description || '',
+                icon: entry.icon || '🤖',
+                type,
+                enabled: entry.enabled !== false,
+                capabilities: {
+                    vision: false,
+                    reasoning: false,
+                    image: false,
+                    tools: false,
+                    ...entry.capabilities
+                },
+                contextLength: entry.contextLength || null,
+                defaults: { ...defaults, ...entry.defaults },
+                providers: entry.providers || {}
+            };
+        });
+
+        const textModels = this.list({ type: 'text' });
+        this.defaultModel = textModels.some(m => m.id === defaultModel)
+            ? defaultModel
+            : (textModels[0]?.id || null);
+    }
+
+    // Enabled models, optionally of one type
+    list({ type = null } = {}) {
+        return this.models.filter(m => m.enabled && (!type || m.type === type));
+    }
+
+    // An enabled model, or null
+    get(id) {
+        return this.list().find(m => m.id === id) || null;
+    }
+
+    // Our model id -> upstream model id for the enabled text models a
+    // provider serves
+    providerModels(provider) {
+        const map = {};
+        for (const model of this.list({ type: 'text' })) {
+            if (model.providers[provider]) {
+                map[model.id] = model.providers[provider];
+            }
+        }
+        return map;
+    }
+
+    // What the browser needs to build the model picker
+    publicEntry(model) {
+        return {
+            id: model.id,
+            name: model.name,
+            description: model.description,
+            icon: model.icon,
+            type: model.type,
+            capabilities: model.capabilities,
+            contextLength: model.contextLength
+        };
+    }
+}
+
+function loadModelCatalog(env = process.env) {
+    const configPath = env.MODELS_CONFIG || DEFAULT_CONFIG_PATH;
+    return new ModelCatalog(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+}
+
+module.exports = { ModelCatalog, loadModelCatalog, MODEL_TYPES };
@@ -0,0 +1,317 @@
+// OpenAI compatibility for the public /api/v1 routes
+//
+// Chat completion parameters are validated the way the OpenAI API does and
+// only the known ones are forwarded to the provider. Responses and stream
+// chunks are normalized to the OpenAI shapes (with a usage block, estimated
+// when the upstream doesn't report one) and errors are returned as
+// { error: { message, type, param, code } }, so the official SDKs work
+// against our base URL unchanged.
+
+const crypto = require('crypto');
+
+const MESSAGE_ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+const RESPONSE_FORMATS = ['text', 'json_object', 'json_schema'];
+const TOOL_CHOICES = ['none', 'auto', 'required'];
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_STOP_SEQUENCES = 4;
+const MAX_CHOICES = 128;
+
+const ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'invalid_request_error',
+    403: 'permission_error',
+    404: 'invalid_request_error',
+    429: 'rate_limit_error'
+};
+
+// OpenAI-style error body
+function openAIError(status, message, { type, param = null, code = null } = {}) {
+    return {
+        error: {
+            message,
+            type: type || ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error'),
+            param,
+            code
+        }
+    };
+}
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isPositiveInteger(value, max = Infinity) {
+    return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+function validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return 'messages must be a non-empty array';
+    }
+    for (const [i, message] of messages.entries()) {
+        if (!message || typeof message !== 'object') {
+            return `messages[${i}] must be an object`;
+        }
+        if (!MESSAGE_ROLES.includes(message.role)) {
+            return `messages[${i}].role must be one of: ${MESSAGE_ROLES.join(', ')}`;
+        }
+        const { content } = message;
+        if (content !== null && content !== undefined && typeof content !== 'string' && !Array.isArray(content)) {
+            return `messages[${i}].content must be a string or an array of content parts`;
+        }
+        if (message.role === 'tool' && typeof message.tool_call_id !== 'string') {
+            return `messages[${i}].tool_call_id is required for tool messages`;
+        }
+    }
+    return null;
+}
+
+function validateTools(tools) {
+    if (!Array.isArray(tools)) {
+        return 'tools must be an array';
+    }
+    for (const [i, tool] of tools.entries()) {
+        if (!tool || tool.type !== 'function' || !tool.function || typeof tool.function !== 'object') {
+            return `tools[${i}] must be { type: 'function', function: {...} }`;
+        }
+        if (typeof tool.function.name !== 'string' || !TOOL_NAME.test(tool.function.name)) {
+            return `tools[${i}].function.name must be 1-64 letters, digits, underscores or dashes`;
+        }
+        const { parameters } = tool.function;
+        if (parameters !== undefined && (!parameters || typeof parameters !== 'object' || Array.isArray(parameters))) {
+            return `tools[${i}].function.parameters must be a JSON schema object`;
+        }
+    }
+    return null;
+}
+
+function validateToolChoice(choice, tools) {
+    if (typeof choice === 'string') {
+        return TOOL_CHOICES.includes(choice) ? null : `tool_choice must be one of: ${TOOL_CHOICES.join(', ')} or a function`;
+    }
+    if (!choice || choice.type !== 'function' || typeof choice.function?.name !== 'string') {
+        return "tool_choice must be { type: 'function', function: { name } }";
+    }
+    if (!(tools || []).some(tool => tool.function.name === choice.function.name)) {
+        return `tool_choice names a function that is not in tools: ${choice.function.name}`;
+    }
+    return null;
+}
+
+function validateResponseFormat(format) {
+    if (!format || typeof format !== 'object' || !RESPONSE_FORMATS.includes(format.type)) {
+        return `response_format.type must be one of: ${RESPONSE_FORMATS.join(', ')}`;
+    }
+    if (format.type === 'json_schema' && (!format.json_schema || typeof format.json_schema.name !== 'string')) {
+        return 'response_format.json_schema must be an object with a name';
+    }
+    return null;
+}
+
+// Each optional parameter: its check and the error message when it fails
+const PARAMETERS = {
+    temperature: [value => isNumberInRange(value, 0, 2), 'must be a number between 0 and 2'],
+    top_p: [value => isNumberInRange(value, 0, 1), 'must be a number between 0 and 1'],
+    n: [value => isPositiveInteger(value, MAX_CHOICES), `must be an integer between 1 and ${MAX_CHOICES}`],
+    max_tokens: [value => isPositiveInteger(value), 'must be a positive integer'],
+    max_completion_tokens: [value => isPositiveInteger(value), 'must be a positive integer'],
+    presence_penalty: [value => isNumberInRange(value, -2, 2), 'must be a number between -2 and 2'],
+    frequency_penalty: [value => isNumberInRange(value, -2, 2), 'must be a number between -2 and 2'],
+    seed: [value => Number.isInteger(value), 'must be an integer'],
+    user: [value => typeof value === 'string', 'must be a string'],
+    stream: [value => typeof value === 'boolean', 'must be a boolean'],
+    parallel_tool_calls: [value => typeof value === 'boolean', 'must be a boolean'],
+    stop: [
+        value => typeof value === 'string' ||
+            (Array.isArray(value) && value.length <= MAX_STOP_SEQUENCES && value.every(s => typeof s === 'string')),
+        `must be a string or an array of up to ${MAX_STOP_SEQUENCES} strings`
+    ],
+    stream_options: [
+        value => value && typeof value === 'object' && !Array.isArray(value),
+        'must be an object'
+    ]
+};
+
+// Validate a /v1/chat/completions body. Returns { params } with the
+// parameters to forward (absent ones are left to the provider's defaults)
+// or { error: { message, param } }. `model` is the catalog entry.
+function readChatCompletionParams(body, model) {
+    const messagesError = validateMessages(body.messages);
+    if (messagesError) {
+        return { error: { message: messagesError, param: 'messages' } };
+    }
+
+    const params = { model: model.id, messages: body.messages };
+
+    for (const [name, [isValid, message]] of Object.entries(PARAMETERS)) {
+        if (body[name] === undefined || body[name] === null) continue;
+        if (!isValid(body[name])) {
+            return { error: { message: `${name} ${message}`, param: name } };
+        }
+        params[name] = body[name];
+    }
+
+    if (body.response_format !== undefined && body.response_format !== null) {
+        const formatError = validateResponseFormat(body.response_format);
+        if (formatError) {
+            return { error: { message: formatError, param: 'response_format' } };
+        }
+        params.response_format = body.response_format;
+    }
+
+    if (body.tools !== undefined && body.tools !== null) {
+        const toolsError = validateTools(body.tools);
+        if (toolsError) {
+            return { error: { message: toolsError, param: 'tools' } };
+        }
+        if (body.tools.length > 0 && !model.capabilities.tools) {
+            return { error: { message: `${model.id} does not support tool calling`, param: 'tools' } };
+        }
+        params.tools = body.tools;
+    }
+
+    if (body.tool_choice !== undefined && body.tool_choice !== null) {
+        const choiceError = validateToolChoice(body.tool_choice, params.tools);
+        if (choiceError) {
+            return { error: { message: choiceError, param: 'tool_choice' } };
+        }
+        params.tool_choice = body.tool_choice;
+    }
+
+    if (params.stream_options && !params.stream) {
+        return { error: { message: 'stream_options is only allowed when stream is true', param: 'stream_options' } };
+    }
+
+    // Newer SDKs send max_completion_tokens; the upstreams take max_tokens
+    if (params.max_completion_tokens !== undefined) {
+        params.max_tokens = params.max_tokens ?? params.max_completion_tokens;
+        delete params.max_completion_tokens;
+    }
+    if (params.max_tokens !== undefined && model.contextLength && params.max_tokens > model.contextLength) {
+        return {
+            error: {
+                message: `max_tokens is too large: ${model.id} has a context length of ${model.contextLength} tokens`,
+                param: 'max_tokens'
+            }
+        };
+    }
+
+    return { params };
+}
+
+// Rough token count (~4 characters per token) for upstreams without usage
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function contentText(content) {
+    if (Array.isArray(content)) {
+        return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+    return content || '';
+}
+
+function estimateUsage(messages, completionTexts) {
+    const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(contentText(m.content)), 0);
+    const completionTokens = completionTexts.reduce((sum, text) => sum + estimateTokens(text), 0);
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+function normalizeUsage(usage, messages, completionTexts) {
+    if (usage && Number.isFinite(usage.prompt_tokens) && Number.isFinite(usage.completion_tokens)) {
+        return {
+            prompt_tokens: usage.prompt_tokens,
+            completion_tokens: usage.completion_tokens,
+            total_tokens: usage.total_tokens ?? usage.prompt_tokens + usage.completion_tokens
+        };
+    }
+    return estimateUsage(messages, completionTexts);
+}
+
+function completionId(id) {
+    return id || 'chatcmpl-' + crypto.randomBytes(12).toString('hex');
+}
+
+// A provider's completion as an OpenAI "chat.completion" for our model id
+function normalizeCompletion(completion, request) {
+    const choices = (completion.choices || []).map((choice, i) => {
+        const message = { role: 'assistant', content: choice.message?.content ?? null };
+        if (choice.message?.tool_calls) {
+            message.tool_calls = choice.message.tool_calls;
+        }
+        if (choice.message?.refusal) {
+            message.refusal = choice.message.refusal;
+        }
+        return {
+            index: choice.index ?? i,
+            message,
+            logprobs: choice.logprobs ?? null,
+            // Some providers leave it out; a message with tool calls stopped for them
+            finish_reason: choice.finish_reason || (message.tool_calls?.length ? 'tool_calls' : 'stop')
+        };
+    });
+
+    return {
+        id: completionId(completion.id),
+        object: 'chat.completion',
+        created: completion.created || Math.floor(Date.now() / 1000),
+        model: request.model,
+        choices,
+        usage: normalizeUsage(completion.usage, request.messages, choices.map(c => c.message.content)),
+        system_fingerprint: completion.system_fingerprint ?? null
+    };
+}
+
+// Normalize stream chunks to "chat.completion.chunk" objects with one id.
+// With stream_options.include_usage a final chunk with no choices carries
+// the usage, as in the OpenAI API.
+async function* normalizeChunks(chunks, request) {
+    let id = null;
+    let created = null;
+    let usage = null;
+    const texts = [];
+
+    for await (const chunk of chunks) {
+        id = id || completionId(chunk.id);
+        created = created || chunk.created || Math.floor(Date.now() / 1000);
+        if (chunk.usage) {
+            usage = chunk.usage;
+        }
+        if (!chunk.choices?.length) continue;
+
+        const choices = chunk.choices.map((choice, i) => {
+            const index = choice.index ?? i;
+            texts[index] = (texts[index] || '') + (choice.delta?.content || '');
+            return {
+                index,
+                delta: choice.delta || {},
+                logprobs: choice.logprobs ?? null,
+                finish_reason: choice.finish_reason ?? null
+            };
+        });
+
+        yield { id, object: 'chat.completion.chunk', created, model: request.model, choices };
+    }
+
+    if (request.stream_options?.include_usage) {
+        yield {
+            id: id || completionId(),
+            object: 'chat.completion.chunk',
+            created: created || Math.floor(Date.now() / 1000),
+            model: request.model,
+            choices: [],
+            usage: normalizeUsage(usage, request.messages, texts.filter(Boolean))
+        };
+    }
+}
+
+module.exports = {
+    openAIError,
+    readChatCompletionParams,
+    normalizeCompletion,
+    normalizeChunks
+};
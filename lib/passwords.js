@@ -0,0 +1,72 @@
+// Password hashing with scrypt
+//
+// Hashes are stored as "scrypt$N$r$p$salt$hash" (salt and hash in base64),
+// so every user keeps the parameters their hash was made with. Accounts
+// created before this used an unsalted SHA-256 hex digest; those still
+// verify, and are flagged for upgrade to the current format.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = {
+    N: 16384,
+    r: 8,
+    p: 1
+};
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+async function deriveKey(password, salt, { N, r, p }) {
+    // scrypt needs 128 * N * r bytes of memory, plus some headroom
+    return scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await deriveKey(password, salt, SCRYPT_PARAMS);
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function legacySha256(password) {
+    return crypto.createHash('sha256').update(password).digest('hex');
+}
+
+// Returns { valid, needsUpgrade }. needsUpgrade is set when the stored hash
+// is in the old SHA-256 format or uses weaker scrypt parameters than today.
+async function verifyPassword(password, stored) {
+    if (typeof stored !== 'string' || !stored) {
+        return { valid: false, needsUpgrade: false };
+    }
+
+    if (/^[0-9a-f]{64}$/.test(stored)) {
+        const valid = crypto.timingSafeEqual(
+            Buffer.from(legacySha256(password), 'hex'),
+            Buffer.from(stored, 'hex')
+        );
+        return { valid, needsUpgrade: valid };
+    }
+
+    const [algorithm, N, r, p, salt, hash] = stored.split('$');
+    if (algorithm !== 'scrypt' || !hash) {
+        return { valid: false, needsUpgrade: false };
+    }
+
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await deriveKey(password, Buffer.from(salt, 'base64'), params);
+    const valid = actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+
+    const weaker = params.N < SCRYPT_PARAMS.N || params.r < SCRYPT_PARAMS.r || params.p < SCRYPT_PARAMS.p;
+    return { valid, needsUpgrade: valid && weaker };
+}
+
+// Spend the same time as a real check when there is no user to check against
+async function fakeVerify(password) {
+    await deriveKey(password, crypto.randomBytes(SALT_LENGTH), SCRYPT_PARAMS);
+    return { valid: false, needsUpgrade: false };
+}
+
+module.exports = { hashPassword, verifyPassword, fakeVerify };
@@ -0,0 +1,99 @@
+// Shared pieces for provider adapters
+//
+// Every adapter implements the same interface:
+//   name                          - registry key, e.g. "clacky"
+//   supportsModel(model)          - whether it can answer for one of our model ids
+//   supportsTools()               - whether it passes `tools` on and returns tool_calls
+//   isConfigured(options)         - whether it has the credentials it needs
+//   complete(request, options)    - resolves to an OpenAI "chat.completion" object
+//   stream(request, options)      - async iterator of "chat.completion.chunk" objects
+//   listModels()                  - [{ id, name }] of the models it serves
+//   health()                      - { ok, latencyMs, error }
+//
+// `request` is an OpenAI-style body ({ model, messages, temperature, ... })
+// with our model id. `options` may carry a `signal` to abort the call and
+// `credentials` ({ [providerName]: apiKey }) that override the configured key.
+
+const crypto = require('crypto');
+
+class ProviderError extends Error {
+    constructor(provider, message, { status = 502, code = 'PROVIDER_ERROR', details = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Abort after `timeout` ms, or earlier if the caller's signal aborts
+function requestSignal(signal, timeout) {
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    return signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+}
+
+// Parse a text/event-stream response body into the JSON of its data: lines
+async function* readSSE(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+            
+            try {
+                yield JSON.parse(data);
+            } catch (error) {
+                // Keep-alive comments and partial garbage are skipped
+            }
+        }
+    }
+}
+
+// Build an OpenAI "chat.completion" object for adapters whose upstream
+// doesn't return one
+function chatCompletion(model, content, finishReason = 'stop') {
+    return {
+        id: 'chatcmpl-' + crypto.randomBytes(12).toString('hex'),
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: finishReason
+        }],
+        usage: null
+    };
+}
+
+// Stream a finished completion as a single content chunk plus the final one
+async function* completionToChunks(completion) {
+    const base = {
+        id: completion.id,
+        object: 'chat.completion.chunk',
+        created: completion.created,
+        model: completion.model
+    };
+    const choice = completion.choices[0];
+    
+    yield { ...base, choices: [{ index: 0, delta: { role: 'assistant', content: choice.message.content }, finish_reason: null }] };
+    yield { ...base, choices: [{ index: 0, delta: {}, finish_reason: choice.finish_reason || 'stop' }] };
+}
+
+module.exports = {
+    ProviderError,
+    requestSignal,
+    readSSE,
+    chatCompletion,
+    completionToChunks
+};
@@ -0,0 +1,110 @@
+// Health tracking and circuit breaking for providers
+//
+// Every call's outcome and latency is recorded per provider. After
+// `failureThreshold` failures in a row the circuit opens and the provider is
+// skipped for `cooldownMs`. After that one trial call is let through
+// (half-open): success closes the circuit, failure opens it again.
+
+const WINDOW_SIZE = 20;
+
+class ProviderHealth {
+    constructor({ failureThreshold = 3, cooldownMs = 60 * 1000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.stats = new Map();
+    }
+
+    entry(name) {
+        if (!this.stats.has(name)) {
+            this.stats.set(name, {
+                recent: [],
+                consecutiveFailures: 0,
+                openedAt: null,
+                trialInFlight: false,
+                lastError: null,
+                lastErrorAt: null
+            });
+        }
+        return this.stats.get(name);
+    }
+
+    state(name, now = Date.now()) {
+        const entry = this.entry(name);
+        if (entry.openedAt === null) return 'closed';
+        return now - entry.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+    }
+
+    // Whether a call may go to the provider now. In the half-open state only
+    // one trial call is allowed at a time.
+    tryAcquire(name) {
+        const state = this.state(name);
+        if (state === 'closed') return true;
+        if (state === 'open') return false;
+
+        const entry = this.entry(name);
+        if (entry.trialInFlight) return false;
+        entry.trialInFlight = true;
+        return true;
+    }
+
+    record(name, ok, latencyMs) {
+        const entry = this.entry(name);
+        entry.recent.push({ ok, latencyMs });
+        if (entry.recent.length > WINDOW_SIZE) {
+            entry.recent.shift();
+        }
+        entry.trialInFlight = false;
+        return entry;
+    }
+
+    recordSuccess(name, latencyMs) {
+        const entry = this.record(name, true, latencyMs);
+        entry.consecutiveFailures = 0;
+        if (entry.openedAt !== null) {
+            console.log(`✅ Provider ${name} recovered, circuit closed`);
+        }
+        entry.openedAt = null;
+    }
+
+    recordFailure(name, error, latencyMs) {
+        const wasHalfOpen = this.state(name) === 'half-open';
+        const entry = this.record(name, false, latencyMs);
+        entry.consecutiveFailures++;
+        entry.lastError = error.message;
+        entry.lastErrorAt = new Date().toISOString();
+
+        if (wasHalfOpen || entry.consecutiveFailures >= this.failureThreshold) {
+            entry.openedAt = Date.now();
+            console.warn(`🔌 Provider ${name} circuit open for ${Math.round(this.cooldownMs / 1000)}s after ${entry.consecutiveFailures} failure(s)`);
+        }
+    }
+
+    // The trial call ended without telling anything about the provider
+    // (e.g. the client aborted it)
+    release(name) {
+        this.entry(name).trialInFlight = false;
+    }
+
+    snapshot(name) {
+        const entry = this.entry(name);
+        const latencies = entry.recent.filter(r => r.ok).map(r => r.latencyMs);
+        const state = this.state(name);
+
+        return {
+            state,
+            consecutiveFailures: entry.consecutiveFailures,
+            recentCalls: entry.recent.length,
+            errorRate: entry.recent.length
+                ? entry.recent.filter(r => !r.ok).length / entry.recent.length
+                : 0,
+            avgLatencyMs: latencies.length
+                ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+                : null,
+            lastError: entry.lastError,
+            lastErrorAt: entry.lastErrorAt,
+            openUntil: state === 'open' ? new Date(entry.openedAt + this.cooldownMs).toISOString() : null
+        };
+    }
+}
+
+module.exports = { ProviderHealth };
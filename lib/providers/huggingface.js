@@ -0,0 +1,119 @@
+// HuggingFace Inference API adapter
+//
+// Runs a text-generation model on the last user message - a last resort for
+// the models mapped to it in config/models.json (e.g. "huggingface":
+// "microsoft/DialoGPT-large") when the other providers fail. The API has no
+// chat format and no streaming, so the result is wrapped into a completion
+// and streamed as a single chunk.
+
+const { ProviderError, requestSignal, chatCompletion, completionToChunks } = require('./base');
+
+const HF_API_URL = 'https://api-inference.huggingface.co/models';
+
+class HuggingFaceProvider {
+    // models/modelMap as in OpenAICompatibleProvider; null serves any model
+    // with the default one
+    constructor({ apiKey = null, model = 'microsoft/DialoGPT-large', models = null, modelMap = {}, timeout = 60 * 1000 } = {}) {
+        this.name = 'huggingface';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.models = models;
+        this.modelMap = modelMap;
+        this.timeout = timeout;
+    }
+
+    supportsModel(model) {
+        return this.models === null || this.models.includes(model);
+    }
+
+    upstreamModel(model) {
+        return this.modelMap[model] || this.model;
+    }
+
+    supportsTools() {
+        return false;
+    }
+
+    // Works without a key, only with stricter rate limits
+    isConfigured() {
+        return true;
+    }
+
+    headers(options = {}) {
+        const apiKey = options.credentials?.[this.name] || this.apiKey;
+        return {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+        };
+    }
+
+    async complete(request, options = {}) {
+        const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+        const content = lastUser?.content;
+        const input = Array.isArray(content)
+            ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+            : (content || '');
+
+        let response;
+        try {
+            response = await fetch(`${HF_API_URL}/${this.upstreamModel(request.model)}`, {
+                method: 'POST',
+                headers: this.headers(options),
+                body: JSON.stringify({
+                    inputs: input,
+                    parameters: {
+                        max_length: 500,
+                        temperature: request.temperature ?? 0.7
+                    }
+                }),
+                signal: requestSignal(options.signal, this.timeout)
+            });
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            throw new ProviderError(this.name, `huggingface request failed: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            throw new ProviderError(this.name, `huggingface returned HTTP ${response.status}`, {
+                status: response.status,
+                details
+            });
+        }
+
+        const data = await response.json();
+        const text = data?.[0]?.generated_text;
+        if (!text) {
+            throw new ProviderError(this.name, 'huggingface returned no text', { details: data });
+        }
+
+        return chatCompletion(request.model, text);
+    }
+
+    async *stream(request, options = {}) {
+        yield* completionToChunks(await this.complete(request, options));
+    }
+
+    async listModels() {
+        return [{ id: this.model, name: this.model }];
+    }
+
+    async health() {
+        const startedAt = Date.now();
+        try {
+            const response = await fetch(`${HF_API_URL}/${this.model}`, {
+                headers: this.headers(),
+                signal: AbortSignal.timeout(10 * 1000)
+            });
+            return {
+                ok: response.ok,
+                latencyMs: Date.now() - startedAt,
+                error: response.ok ? null : `HTTP ${response.status}`
+            };
+        } catch (error) {
+            return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+}
+
+module.exports = { HuggingFaceProvider };
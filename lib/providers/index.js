@@ -0,0 +1,239 @@
+// LLM providers - every chat completion goes through this registry
+//
+// For a request the registry walks the model's fallback chain and uses the
+// first provider that serves the model, has credentials and whose circuit
+// is not open (see ./health.js). The chains and the circuit breaker are
+// configured in config/providers.json (PROVIDERS_CONFIG to use another file):
+//
+//   "fallbacks": { "default": ["clacky", ...], "models": { "<model>": [...] } }
+//   "circuitBreaker": { "failureThreshold": 3, "cooldownSeconds": 60 }
+//
+// Which models a provider serves, and under which upstream id, comes from
+// the model catalog (../models.js).
+//
+// To add a provider, write an adapter with the interface described in
+// ./base.js, register it in createProviders(), add it to a chain and map
+// models to it in config/models.json.
+//
+// MOCK_PROVIDERS=true replaces all providers with the offline mock (./mock.js).
+
+const fs = require('fs');
+const path = require('path');
+const { ProviderError } = require('./base');
+const { ProviderHealth } = require('./health');
+const { OpenAICompatibleProvider } = require('./openai-compatible');
+const { OpenRouterProvider } = require('./openrouter');
+const { HuggingFaceProvider } = require('./huggingface');
+const { MockProvider } = require('./mock');
+const { loadModelCatalog } = require('../models');
+
+// Errors caused by the request itself, not by the provider's health
+const REQUEST_ERROR_STATUSES = [400, 413, 422];
+
+// Whether the call goes out with the user's own key for the provider. Its
+// failures (a revoked key, the user's quota) say nothing about the provider
+// for everyone else, so they are not counted against its health.
+function usesOwnKey(provider, options) {
+    return !!options.credentials?.[provider.name];
+}
+
+class ProviderRegistry {
+    // fallbacks: { default: [names], models: { [model]: [names] } }.
+    // Without a chain for the model, all providers in registration order.
+    constructor({ fallbacks = {}, health = new ProviderHealth() } = {}) {
+        this.providers = new Map();
+        this.fallbacks = fallbacks;
+        this.healthTracker = health;
+    }
+
+    register(provider) {
+        if (this.providers.has(provider.name)) {
+            throw new Error(`Provider "${provider.name}" is already registered`);
+        }
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    list() {
+        return [...this.providers.values()];
+    }
+
+    chainFor(model) {
+        const names = this.fallbacks.models?.[model] || this.fallbacks.default || [...this.providers.keys()];
+        return names.map(name => this.get(name)).filter(Boolean);
+    }
+
+    // Providers that can answer for `model` with the given options, in
+    // order; with `tools`, only those that support tool calling
+    forModel(model, options = {}, tools = false) {
+        return this.chainFor(model).filter(p =>
+            p.supportsModel(model) && p.isConfigured(options) && (!tools || p.supportsTools()));
+    }
+
+    // Walk the fallback chain until `call(provider)` succeeds.
+    // Resolves to { provider, result }.
+    async attempt(request, options, call) {
+        const tools = !!request.tools?.length;
+        const candidates = this.forModel(request.model, options, tools);
+        if (candidates.length === 0) {
+            const what = tools ? 'with tool support ' : '';
+            throw new ProviderError(null, `No provider ${what}available for model "${request.model}"`, {
+                status: 400,
+                code: 'NO_PROVIDER'
+            });
+        }
+
+        const attempts = [];
+        const skipped = [];
+
+        for (const provider of candidates) {
+            if (!this.healthTracker.tryAcquire(provider.name)) {
+                skipped.push(provider.name);
+                continue;
+            }
+
+            const startedAt = Date.now();
+            try {
+                const result = await call(provider);
+                this.healthTracker.recordSuccess(provider.name, Date.now() - startedAt);
+                return { provider: provider.name, result };
+            } catch (error) {
+                if (options.signal?.aborted) {
+                    this.healthTracker.release(provider.name);
+                    throw error;
+                }
+
+                if (REQUEST_ERROR_STATUSES.includes(error.status) || usesOwnKey(provider, options)) {
+                    this.healthTracker.release(provider.name);
+                } else {
+                    this.healthTracker.recordFailure(provider.name, error, Date.now() - startedAt);
+                }
+                console.warn(`⚠️ Provider ${provider.name} failed for ${request.model}: ${error.message}`);
+                attempts.push({ provider: provider.name, error: error.message });
+            }
+        }
+
+        if (attempts.length === 0) {
+            throw new ProviderError(null, `All providers for model "${request.model}" are temporarily unavailable`, {
+                status: 503,
+                code: 'PROVIDERS_UNAVAILABLE',
+                details: { skipped }
+            });
+        }
+        throw new ProviderError(null, `All providers failed for model "${request.model}"`, {
+            status: 502,
+            code: 'PROVIDERS_FAILED',
+            details: { attempts, skipped }
+        });
+    }
+
+    // Resolves to { provider, completion }
+    async complete(request, options = {}) {
+        const { provider, result } = await this.attempt(request, options,
+            p => p.complete(request, options));
+        return { provider, completion: result };
+    }
+
+    // Resolves to { provider, chunks } from the first provider that starts
+    // streaming. Once the first chunk has arrived there is no fallback: an
+    // error later on is thrown from `chunks` and counted against the provider.
+    async stream(request, options = {}) {
+        const { provider, result } = await this.attempt(request, options, async p => {
+            const iterator = p.stream(request, options)[Symbol.asyncIterator]();
+            return { first: await iterator.next(), iterator };
+        });
+
+        const onError = (error) => {
+            if (!options.signal?.aborted && !usesOwnKey(this.get(provider), options)) {
+                this.healthTracker.recordFailure(provider, error, 0);
+            }
+        };
+        return { provider, chunks: resume(result.first, result.iterator, onError) };
+    }
+
+    // Circuit state and recent error rate/latency of every provider
+    status() {
+        const result = {};
+        for (const provider of this.list()) {
+            result[provider.name] = this.healthTracker.snapshot(provider.name);
+        }
+        return result;
+    }
+
+    // Actively check that every provider is reachable
+    async health() {
+        const result = {};
+        for (const provider of this.list()) {
+            result[provider.name] = await provider.health();
+        }
+        return result;
+    }
+}
+
+// Continue an iterator whose first result was already read
+async function* resume(first, iterator, onError) {
+    try {
+        if (first.done) return;
+        yield first.value;
+        yield* { [Symbol.asyncIterator]: () => iterator };
+    } catch (error) {
+        onError(error);
+        throw error;
+    }
+}
+
+function loadConfig(env) {
+    const configPath = env.PROVIDERS_CONFIG || path.join(__dirname, '..', '..', 'config', 'providers.json');
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+// The registry used by the server, configured from the environment and the
+// model catalog
+function createProviders(env = process.env, catalog = loadModelCatalog(env)) {
+    const config = loadConfig(env);
+    const modelsFor = (name) => {
+        const modelMap = catalog.providerModels(name);
+        return { models: Object.keys(modelMap), modelMap };
+    };
+
+    const breaker = config.circuitBreaker || {};
+    const health = new ProviderHealth({
+        failureThreshold: breaker.failureThreshold,
+        cooldownMs: breaker.cooldownSeconds !== undefined ? breaker.cooldownSeconds * 1000 : undefined
+    });
+
+    if (env.MOCK_PROVIDERS === 'true') {
+        return new ProviderRegistry({ health }).register(new MockProvider());
+    }
+
+    return new ProviderRegistry({ fallbacks: config.fallbacks || {}, health })
+        .register(new OpenAICompatibleProvider({
+            name: 'clacky',
+            baseUrl: env.CLACKY_BASE_URL || 'https://proxy.clacky.ai/v1',
+            apiKey: env.CLACKY_API_KEY || null,
+            ...modelsFor('clacky')
+        }))
+        .register(new OpenRouterProvider({
+            apiKey: env.OPENROUTER_API_KEY || null,
+            baseUrl: env.OPENROUTER_BASE_URL || undefined,
+            siteUrl: env.PUBLIC_URL || null,
+            ...modelsFor('openrouter')
+        }))
+        .register(new HuggingFaceProvider({
+            apiKey: env.HUGGINGFACE_API_KEY || null,
+            ...modelsFor('huggingface')
+        }));
+}
+
+module.exports = {
+    ProviderRegistry,
+    ProviderError,
+    createProviders
+};
@@ -0,0 +1,164 @@
+// Mock provider for tests and offline development (MOCK_PROVIDERS=true)
+//
+// Answers every model without touching the network. The same request always
+// gives the same text (n choices of it if asked), and it is streamed one word
+// per chunk so clients see several deltas. With `tools`, a user message that
+// names a tool makes it call that tool, with the JSON object after the name
+// as arguments ('calculator {"expression": "2+2"}'); a tool result is echoed
+// back. mockPng() makes the matching deterministic images.
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { chatCompletion } = require('./base');
+
+function lastUserText(messages) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const content = lastUser?.content;
+    return Array.isArray(content)
+        ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+        : (content || '');
+}
+
+class MockProvider {
+    constructor({ name = 'mock' } = {}) {
+        this.name = name;
+    }
+
+    supportsModel() {
+        return true;
+    }
+
+    supportsTools() {
+        return true;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    reply(request) {
+        const last = request.messages[request.messages.length - 1];
+        const text = last?.role === 'tool' ? last.content : lastUserText(request.messages);
+        return `Mock response from ${request.model}: ${text}`;
+    }
+
+    toolCall(request) {
+        const last = request.messages[request.messages.length - 1];
+        if (!request.tools?.length || request.tool_choice === 'none' || last?.role !== 'user') {
+            return null;
+        }
+
+        const text = lastUserText(request.messages);
+        const tool = request.tools.find(t => text.includes(t.function.name));
+        if (!tool) return null;
+
+        const { name } = tool.function;
+        const args = text.slice(text.indexOf(name) + name.length).match(/\{.*\}/s)?.[0] || '{}';
+        return { id: `call_mock_${name}`, type: 'function', function: { name, arguments: args } };
+    }
+
+    async complete(request) {
+        const call = this.toolCall(request);
+        if (call) {
+            const completion = chatCompletion(request.model, null, 'tool_calls');
+            completion.id = 'chatcmpl-mock';
+            completion.created = 0;
+            completion.choices[0].message.tool_calls = [call];
+            return completion;
+        }
+
+        const completion = chatCompletion(request.model, this.reply(request));
+        const choice = completion.choices[0];
+        completion.id = 'chatcmpl-mock';
+        completion.created = 0;
+        completion.choices = Array.from({ length: request.n || 1 }, (_, index) => ({ ...choice, index }));
+        return completion;
+    }
+
+    async *stream(request, options = {}) {
+        const base = { id: 'chatcmpl-mock', object: 'chat.completion.chunk', created: 0, model: request.model };
+
+        const call = this.toolCall(request);
+        if (call) {
+            const { name, arguments: args } = call.function;
+            yield { ...base, choices: [{ index: 0, delta: { role: 'assistant', content: null, tool_calls: [{ index: 0, id: call.id, type: 'function', function: { name, arguments: '' } }] }, finish_reason: null }] };
+            yield { ...base, choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: args } }] }, finish_reason: null }] };
+            yield { ...base, choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] };
+            return;
+        }
+
+        const words = this.reply(request).split(/(?<= )/);
+
+        for (let index = 0; index < (request.n || 1); index++) {
+            for (const [i, word] of words.entries()) {
+                if (options.signal?.aborted) return;
+                const delta = i === 0 ? { role: 'assistant', content: word } : { content: word };
+                yield { ...base, choices: [{ index, delta, finish_reason: null }] };
+            }
+            yield { ...base, choices: [{ index, delta: {}, finish_reason: 'stop' }] };
+        }
+    }
+
+    async listModels() {
+        return [{ id: 'mock', name: 'Mock' }];
+    }
+
+    async health() {
+        return { ok: true, latencyMs: 0, error: null };
+    }
+}
+
+// Minimal PNG encoder for mockPng()
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// A solid-colour RGB PNG whose colour is derived from `seed`
+function mockPng(seed, width = 64, height = 64) {
+    const [r, g, b] = crypto.createHash('sha256').update(String(seed)).digest();
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // colour type: RGB
+
+    const row = Buffer.alloc(1 + width * 3);
+    for (let x = 0; x < width; x++) {
+        row[1 + x * 3] = r;
+        row[2 + x * 3] = g;
+        row[3 + x * 3] = b;
+    }
+    const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(pixels)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { MockProvider, mockPng };
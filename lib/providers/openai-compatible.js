@@ -0,0 +1,125 @@
+// Adapter for OpenAI-compatible chat APIs (the Clacky proxy and anything
+// else that speaks POST /chat/completions and GET /models)
+
+const { ProviderError, requestSignal, readSSE } = require('./base');
+
+const DEFAULT_TIMEOUT = 120 * 1000;
+
+class OpenAICompatibleProvider {
+    // models:   our model ids this provider serves (null means any)
+    // modelMap: our model id -> upstream model id, where they differ
+    constructor({ name, baseUrl, apiKey = null, models = null, modelMap = {}, headers = {}, timeout = DEFAULT_TIMEOUT }) {
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.models = models;
+        this.modelMap = modelMap;
+        this.extraHeaders = headers;
+        this.timeout = timeout;
+    }
+
+    supportsModel(model) {
+        return this.models === null || this.models.includes(model);
+    }
+
+    supportsTools() {
+        return true;
+    }
+
+    isConfigured(options = {}) {
+        return !!this.getApiKey(options);
+    }
+
+    getApiKey(options = {}) {
+        return options.credentials?.[this.name] || this.apiKey;
+    }
+
+    upstreamModel(model) {
+        return this.modelMap[model] || model;
+    }
+
+    headers(options) {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.getApiKey(options)}`,
+            ...this.extraHeaders
+        };
+    }
+
+    async post(path, body, options) {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method: 'POST',
+                headers: this.headers(options),
+                body: JSON.stringify(body),
+                signal: requestSignal(options.signal, this.timeout)
+            });
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            throw new ProviderError(this.name, `${this.name} request failed: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            console.error(`${this.name} API error:`, response.status, details);
+            throw new ProviderError(this.name, `${this.name} returned HTTP ${response.status}`, {
+                status: response.status,
+                details
+            });
+        }
+
+        return response;
+    }
+
+    async complete(request, options = {}) {
+        const response = await this.post('/chat/completions', {
+            ...request,
+            model: this.upstreamModel(request.model),
+            stream: false
+        }, options);
+
+        const data = await response.json();
+        if (!data.choices?.[0]?.message) {
+            throw new ProviderError(this.name, `${this.name} returned no choices`, { details: data });
+        }
+
+        // Report our model id, not the upstream one
+        return { ...data, model: request.model };
+    }
+
+    async *stream(request, options = {}) {
+        const response = await this.post('/chat/completions', {
+            ...request,
+            model: this.upstreamModel(request.model),
+            stream: true
+        }, options);
+
+        for await (const chunk of readSSE(response.body)) {
+            yield { ...chunk, model: request.model };
+        }
+    }
+
+    async listModels() {
+        return this.models.map(id => ({ id, name: id }));
+    }
+
+    async health() {
+        const startedAt = Date.now();
+        try {
+            const response = await fetch(`${this.baseUrl}/models`, {
+                headers: this.headers({}),
+                signal: AbortSignal.timeout(10 * 1000)
+            });
+            return {
+                ok: response.ok,
+                latencyMs: Date.now() - startedAt,
+                error: response.ok ? null : `HTTP ${response.status}`
+            };
+        } catch (error) {
+            return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,22 @@
+// OpenRouter adapter - OpenAI-compatible, with vendor-prefixed model ids
+// (mapped in config/models.json) and the attribution headers OpenRouter
+// asks for
+
+const { OpenAICompatibleProvider } = require('./openai-compatible');
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor({ apiKey = null, baseUrl = 'https://openrouter.ai/api/v1', siteUrl = null, title = 'AI Chat Platform', ...options } = {}) {
+        super({
+            name: 'openrouter',
+            baseUrl,
+            apiKey,
+            headers: {
+                ...(siteUrl ? { 'HTTP-Referer': siteUrl } : {}),
+                'X-Title': title
+            },
+            ...options
+        });
+    }
+}
+
+module.exports = { OpenRouterProvider };
@@ -0,0 +1,56 @@
+// Encryption of secrets stored in the database (users' provider API keys)
+//
+// Values are encrypted with AES-256-GCM and stored as "v1:iv:tag:data"
+// (base64 parts). The key comes from SECRET_KEY; without it a random key is
+// generated once and kept in secret.key in the project root (SECRET_KEY_PATH
+// to move it). Losing the key makes the stored secrets unreadable.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_KEY_PATH = path.join(__dirname, '..', 'secret.key');
+
+let cachedKey = null;
+
+function loadKey() {
+    if (cachedKey) return cachedKey;
+
+    if (process.env.SECRET_KEY) {
+        cachedKey = crypto.createHash('sha256').update(process.env.SECRET_KEY).digest();
+        return cachedKey;
+    }
+
+    const keyPath = process.env.SECRET_KEY_PATH || DEFAULT_KEY_PATH;
+    if (fs.existsSync(keyPath)) {
+        cachedKey = Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'base64');
+    } else {
+        cachedKey = crypto.randomBytes(32);
+        fs.writeFileSync(keyPath, cachedKey.toString('base64') + '\n', { mode: 0o600 });
+        console.warn(`⚠️ SECRET_KEY is not set; generated an encryption key in ${keyPath}`);
+    }
+    return cachedKey;
+}
+
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', loadKey(), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), data].map(part => typeof part === 'string' ? part : part.toString('base64')).join(':');
+}
+
+// Returns null if the value can't be decrypted (e.g. the key changed)
+function decryptSecret(payload) {
+    const [version, iv, tag, data] = String(payload).split(':');
+    if (version !== 'v1' || !data) return null;
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', loadKey(), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { encryptSecret, decryptSecret };
@@ -0,0 +1,50 @@
+// Storage layer - every route talks to the database through this interface
+//
+// Both drivers expose the same async methods for users, sessions, chats,
+// messages, user API keys and platform API keys. The driver is picked with
+// STORAGE_DRIVER ("json" by default, or "sqlite").
+//
+// The JSON driver keeps rolling snapshots beside db.json: DB_SNAPSHOTS sets
+// how many (default 5, 0 disables them) and DB_SNAPSHOT_INTERVAL the minimum
+// number of minutes between two of them (default 10).
+
+const path = require('path');
+const { JsonStorage } = require('./json-storage');
+const { SqliteStorage } = require('./sqlite-storage');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const drivers = {
+    json: JsonStorage,
+    sqlite: SqliteStorage
+};
+
+const defaultPaths = {
+    json: path.join(ROOT_DIR, 'db.json'),
+    sqlite: path.join(ROOT_DIR, 'db.sqlite')
+};
+
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+function createStorage(options = {}) {
+    const driver = (options.driver || process.env.STORAGE_DRIVER || 'json').toLowerCase();
+    const Storage = drivers[driver];
+
+    if (!Storage) {
+        throw new Error(`Unknown storage driver "${driver}". Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    const envPath = driver === 'sqlite' ? process.env.SQLITE_PATH : process.env.DB_PATH;
+    const storagePath = options.path || envPath || defaultPaths[driver];
+
+    return new Storage({
+        path: storagePath,
+        snapshots: options.snapshots ?? envNumber('DB_SNAPSHOTS', 5),
+        snapshotInterval: options.snapshotInterval ?? envNumber('DB_SNAPSHOT_INTERVAL', 10) * 60 * 1000
+    });
+}
+
+module.exports = { createStorage };
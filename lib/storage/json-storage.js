@@ -0,0 +1,423 @@
+// JSON file storage - the whole database lives in a single db.json file
+
+const fs = require('fs').promises;
+const path = require('path');
+const { migrate } = require('./migrations');
+
+function createDefaultDB() {
+    return {
+        users: [],
+        sessions: [],
+        chats: [],
+        userApiKeys: [],
+        apiKeys: {
+            huggingface: '',
+            replicate: ''
+        }
+    };
+}
+
+class JsonStorage {
+    constructor({ path: dbPath, snapshots = 5, snapshotInterval = 10 * 60 * 1000 }) {
+        this.path = dbPath;
+        this.driver = 'json';
+        this.snapshots = snapshots;
+        this.snapshotInterval = snapshotInterval;
+        this.lastSnapshotAt = 0;
+        // Every write goes through this promise chain, one at a time
+        this.queue = Promise.resolve();
+        // Set while recover() has the corrupt file moved aside
+        this.recovering = null;
+    }
+
+    async init() {
+        await this.ensureExists();
+        // Fail at startup rather than on the first request if the file is unreadable,
+        // and bring the contents up to the current schema version
+        await this.enqueue(async () => {
+            const db = await this.read(true);
+            if (migrate(db).length > 0) {
+                await this.write(db);
+            }
+        });
+    }
+
+    async close() {
+        await this.queue;
+    }
+
+    describe() {
+        return `JSON file (${this.path})`;
+    }
+
+    async ensureExists() {
+        try {
+            await fs.access(this.path);
+        } catch (error) {
+            // File doesn't exist, create it
+            console.log('💾 Creating new database file...');
+            await this.writeAtomic(createDefaultDB());
+            console.log('✅ Database file created successfully');
+        }
+    }
+
+    // `inQueue` is set by tasks already running in the write queue, which
+    // must not wait on the queue again to recover a corrupt file.
+    // The file is only created by init(): a missing file here means it is
+    // being recovered, and the read waits for that instead of starting over
+    // with an empty database.
+    async read(inQueue = false) {
+        if (this.recovering && !inQueue) {
+            await this.recovering;
+        }
+
+        let data;
+        try {
+            data = await fs.readFile(this.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' && this.recovering && !inQueue) {
+                return this.read();
+            }
+            throw error;
+        }
+
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            console.error('❌❌❌ DATABASE FILE IS CORRUPT:', this.path, error.message);
+            return inQueue ? this.recover() : this.enqueue(() => this.recover());
+        }
+    }
+
+    // Write the whole database to a temp file and rename it over db.json,
+    // so a crash mid-write leaves the previous version intact
+    async writeAtomic(data) {
+        const tmpPath = `${this.path}.tmp-${process.pid}`;
+        const handle = await fs.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tmpPath, this.path);
+    }
+
+    async write(data) {
+        await this.takeSnapshot();
+        await this.writeAtomic(data);
+    }
+
+    enqueue(task) {
+        const result = this.queue.then(task);
+        // Keep the chain going even if this task fails
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // ==================== SNAPSHOTS ====================
+
+    async listSnapshots() {
+        const dir = path.dirname(this.path);
+        const prefix = path.basename(this.path) + '.snapshot-';
+        const files = await fs.readdir(dir);
+
+        return files
+            .filter(name => name.startsWith(prefix))
+            .map(name => ({
+                path: path.join(dir, name),
+                time: Number(name.slice(prefix.length))
+            }))
+            .filter(snapshot => Number.isFinite(snapshot.time))
+            .sort((a, b) => b.time - a.time);
+    }
+
+    // Copy the current db.json aside before it gets replaced, at most once
+    // per snapshotInterval, keeping the newest `snapshots` copies
+    async takeSnapshot() {
+        if (this.snapshots <= 0) return;
+
+        const now = Date.now();
+        if (now - this.lastSnapshotAt < this.snapshotInterval) return;
+
+        try {
+            await fs.copyFile(this.path, `${this.path}.snapshot-${now}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        this.lastSnapshotAt = now;
+
+        const snapshots = await this.listSnapshots();
+        for (const old of snapshots.slice(this.snapshots)) {
+            await fs.unlink(old.path).catch(() => {});
+        }
+    }
+
+    recover() {
+        if (!this.recovering) {
+            this.recovering = this.restoreSnapshot().finally(() => {
+                this.recovering = null;
+            });
+        }
+        return this.recovering;
+    }
+
+    // Restore the newest snapshot that parses. The corrupt file is kept
+    // beside it for inspection. Never falls back to an empty database.
+    async restoreSnapshot() {
+        // Another queued task may already have restored the file
+        try {
+            return JSON.parse(await fs.readFile(this.path, 'utf8'));
+        } catch (error) {
+            // Still corrupt, go on
+        }
+
+        const corruptPath = `${this.path}.corrupt-${Date.now()}`;
+        await fs.rename(this.path, corruptPath);
+        console.error(`❌ Corrupt database moved to ${corruptPath}`);
+
+        for (const snapshot of await this.listSnapshots()) {
+            try {
+                const data = JSON.parse(await fs.readFile(snapshot.path, 'utf8'));
+                // The snapshot may predate the current schema
+                migrate(data);
+                await this.writeAtomic(data);
+                console.error(`🔧 DATABASE RESTORED from snapshot ${snapshot.path} (${new Date(snapshot.time).toISOString()})`);
+                return data;
+            } catch (error) {
+                console.error(`❌ Snapshot ${snapshot.path} is not usable:`, error.message);
+            }
+        }
+
+        // Put the corrupt file back so nothing is silently reset
+        await fs.rename(corruptPath, this.path);
+        throw new Error(`Database ${this.path} is corrupt and no valid snapshot was found`);
+    }
+
+    // Read the database, let `fn` change it and write it back.
+    // Whatever `fn` returns is passed through to the caller.
+    // Runs in the write queue, so concurrent updates can't overwrite each other.
+    async mutate(fn) {
+        return this.enqueue(async () => {
+            const db = await this.read(true);
+            const result = fn(db);
+            await this.write(db);
+            return result;
+        });
+    }
+
+    // ==================== USERS ====================
+
+    async listUsers() {
+        const db = await this.read();
+        return db.users;
+    }
+
+    async findUserById(id) {
+        const db = await this.read();
+        return db.users.find(u => u.id === id) || null;
+    }
+
+    async findUserByUsername(username) {
+        const db = await this.read();
+        return db.users.find(u => u.username === username) || null;
+    }
+
+    async findUserByTelegramId(telegramId) {
+        const db = await this.read();
+        return db.users.find(u => u.telegramId === telegramId) || null;
+    }
+
+    async createUser(user) {
+        return this.mutate(db => {
+            db.users.push(user);
+            return user;
+        });
+    }
+
+    async updateUser(id, updates) {
+        return this.mutate(db => {
+            const index = db.users.findIndex(u => u.id === id);
+            if (index === -1) return null;
+
+            db.users[index] = { ...db.users[index], ...updates };
+            return db.users[index];
+        });
+    }
+
+    async deleteUser(id) {
+        return this.mutate(db => {
+            const before = db.users.length;
+            db.users = db.users.filter(u => u.id !== id);
+            return db.users.length !== before;
+        });
+    }
+
+    // ==================== SESSIONS ====================
+
+    async createSession(session) {
+        return this.mutate(db => {
+            db.sessions.push(session);
+            return session;
+        });
+    }
+
+    async findSession(token) {
+        const db = await this.read();
+        return db.sessions.find(s => s.token === token) || null;
+    }
+
+    async listSessionsByUser(userId) {
+        const db = await this.read();
+        return db.sessions.filter(s => s.userId === userId);
+    }
+
+    async updateSession(token, updates) {
+        return this.mutate(db => {
+            const session = db.sessions.find(s => s.token === token);
+            if (!session) return null;
+
+            Object.assign(session, updates);
+            return session;
+        });
+    }
+
+    async deleteSession(token) {
+        return this.mutate(db => {
+            const before = db.sessions.length;
+            db.sessions = db.sessions.filter(s => s.token !== token);
+            return db.sessions.length !== before;
+        });
+    }
+
+    // ==================== CHATS ====================
+
+    async listChatsByUser(userId) {
+        const db = await this.read();
+        return db.chats.filter(chat => chat.userId === userId);
+    }
+
+    async countChatsByUser(userId) {
+        const db = await this.read();
+        return db.chats.filter(chat => chat.userId === userId).length;
+    }
+
+    async findChat(chatId) {
+        const db = await this.read();
+        return db.chats.find(c => c.id === chatId) || null;
+    }
+
+    async createChat(chat) {
+        return this.mutate(db => {
+            db.chats.push(chat);
+            return chat;
+        });
+    }
+
+    async updateChat(chatId, updates) {
+        return this.mutate(db => {
+            const index = db.chats.findIndex(c => c.id === chatId);
+            if (index === -1) return null;
+
+            db.chats[index] = { ...db.chats[index], ...updates };
+            return db.chats[index];
+        });
+    }
+
+    async deleteChat(chatId) {
+        return this.mutate(db => {
+            const before = db.chats.length;
+            db.chats = db.chats.filter(c => c.id !== chatId);
+            return db.chats.length !== before;
+        });
+    }
+
+    // ==================== MESSAGES ====================
+
+    async getMessages(chatId) {
+        const chat = await this.findChat(chatId);
+        return chat ? chat.messages : null;
+    }
+
+    async appendMessage(chatId, message) {
+        return this.mutate(db => {
+            const chat = db.chats.find(c => c.id === chatId);
+            if (!chat) return null;
+
+            chat.messages.push(message);
+            chat.updatedAt = new Date().toISOString();
+            return message;
+        });
+    }
+
+    // Array#splice on the stored messages, appending when `start` is undefined.
+    // Resolves to the chat's new message list.
+    async spliceMessages(chatId, start, deleteCount, messages) {
+        return this.mutate(db => {
+            const chat = db.chats.find(c => c.id === chatId);
+            if (!chat) return null;
+
+            if (start === undefined) {
+                chat.messages.push(...messages);
+            } else {
+                chat.messages.splice(start, deleteCount, ...messages);
+            }
+            chat.updatedAt = new Date().toISOString();
+            return chat.messages;
+        });
+    }
+
+    // ==================== USER API KEYS ====================
+
+    async listUserApiKeys(userId) {
+        const db = await this.read();
+        return db.userApiKeys.filter(k => k.userId === userId);
+    }
+
+    async findUserApiKeyByHash(hash) {
+        const db = await this.read();
+        return db.userApiKeys.find(k => k.hash === hash) || null;
+    }
+
+    async createUserApiKey(record) {
+        return this.mutate(db => {
+            db.userApiKeys.push(record);
+            return record;
+        });
+    }
+
+    async updateUserApiKey(id, updates) {
+        return this.mutate(db => {
+            const record = db.userApiKeys.find(k => k.id === id);
+            if (!record) return null;
+
+            Object.assign(record, updates);
+            return record;
+        });
+    }
+
+    async deleteUserApiKey(id) {
+        return this.mutate(db => {
+            const before = db.userApiKeys.length;
+            db.userApiKeys = db.userApiKeys.filter(k => k.id !== id);
+            return db.userApiKeys.length !== before;
+        });
+    }
+
+    // ==================== PLATFORM API KEYS ====================
+
+    async getApiKeys() {
+        const db = await this.read();
+        return db.apiKeys;
+    }
+
+    async updateApiKeys(updates) {
+        return this.mutate(db => {
+            db.apiKeys = { ...db.apiKeys, ...updates };
+            return db.apiKeys;
+        });
+    }
+}
+
+module.exports = { JsonStorage, createDefaultDB };
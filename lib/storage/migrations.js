@@ -0,0 +1,201 @@
+// Schema migrations for the database contents
+//
+// Every migration gets the whole database as a plain object
+// ({ users, sessions, chats, userApiKeys, apiKeys, ... }) and changes it in place.
+// Migrations are applied in order at startup and the resulting version is
+// stored in `schemaVersion`. To change the shape of users, chats or messages,
+// append a new migration here - never edit one that has already shipped.
+
+const crypto = require('crypto');
+const { API_KEY_SCOPES, hashApiKey, apiKeyHint } = require('../api-keys');
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Create missing top-level collections',
+        up(db) {
+            db.users = Array.isArray(db.users) ? db.users : [];
+            db.sessions = Array.isArray(db.sessions) ? db.sessions : [];
+            db.chats = Array.isArray(db.chats) ? db.chats : [];
+            db.apiKeys = {
+                huggingface: '',
+                replicate: '',
+                ...(db.apiKeys || {})
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Give password and Telegram users the same fields',
+        up(db) {
+            db.users = db.users.map(user => ({
+                ...user,
+                id: String(user.id),
+                password: user.password || null,
+                telegramId: user.telegramId != null ? Number(user.telegramId) : null,
+                firstName: user.firstName || null,
+                lastName: user.lastName || null,
+                createdAt: user.createdAt || new Date().toISOString()
+            }));
+        }
+    },
+    {
+        version: 3,
+        description: 'Normalize chat messages to { type, text, files, image, video, timestamp }',
+        up(db) {
+            db.chats = db.chats.map(chat => ({
+                ...chat,
+                model: chat.model || 'gpt-5',
+                createdAt: chat.createdAt || new Date().toISOString(),
+                updatedAt: chat.updatedAt || chat.createdAt || new Date().toISOString(),
+                messages: (Array.isArray(chat.messages) ? chat.messages : []).map(normalizeMessage)
+            }));
+        }
+    },
+    {
+        version: 4,
+        description: 'Give sessions a public id and activity info',
+        up(db) {
+            db.sessions = db.sessions.map(session => ({
+                ...session,
+                id: session.id || crypto.randomBytes(12).toString('hex'),
+                lastSeenAt: session.lastSeenAt || session.createdAt,
+                userAgent: session.userAgent || null,
+                ip: session.ip || null
+            }));
+        }
+    },
+    {
+        version: 5,
+        description: 'Add roles and the disabled flag to users',
+        up(db) {
+            db.users = db.users.map(user => ({
+                ...user,
+                role: user.role || 'user',
+                disabled: !!user.disabled
+            }));
+        }
+    },
+    {
+        version: 6,
+        description: 'Move plaintext user API keys to hashed userApiKeys records',
+        up(db) {
+            db.userApiKeys = Array.isArray(db.userApiKeys) ? db.userApiKeys : [];
+
+            db.users = db.users.map(user => {
+                const { apiKey, ...rest } = user;
+                if (apiKey) {
+                    db.userApiKeys.push({
+                        id: 'key_' + crypto.randomBytes(8).toString('hex'),
+                        userId: user.id,
+                        name: 'Default',
+                        hash: hashApiKey(apiKey),
+                        hint: apiKeyHint(apiKey),
+                        scopes: [...API_KEY_SCOPES],
+                        createdAt: user.createdAt,
+                        expiresAt: null,
+                        lastUsedAt: null
+                    });
+                }
+                return rest;
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Add encrypted per-user provider keys',
+        up(db) {
+            db.users = db.users.map(user => ({
+                ...user,
+                providerKeys: user.providerKeys || {}
+            }));
+        }
+    },
+    {
+        version: 8,
+        description: 'Normalize tool calls stored on chat messages',
+        up(db) {
+            db.chats = db.chats.map(chat => ({
+                ...chat,
+                messages: chat.messages.map(normalizeToolCalls)
+            }));
+        }
+    }
+];
+
+function normalizeMessage(message) {
+    const { role, content, ...rest } = message;
+
+    // OpenAI-style { role, content } messages become { type, text }
+    const type = message.type || (role === 'user' ? 'user' : 'ai');
+    let text = message.text;
+    if (text === undefined) {
+        text = Array.isArray(content)
+            ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+            : (content || '');
+    }
+
+    return {
+        ...rest,
+        type: type === 'user' ? 'user' : 'ai',
+        text: String(text || ''),
+        // File objects from the browser used to be stored as {}
+        files: (Array.isArray(message.files) ? message.files : [])
+            .filter(file => file && file.name)
+            .map(file => ({ name: file.name, size: file.size || 0, type: file.type || '' })),
+        image: message.image || null,
+        video: message.video || null,
+        timestamp: normalizeTimestamp(message.timestamp)
+    };
+}
+
+// Tool calls made while answering (see lib/tools); generated images are
+// stored on the message itself, not here
+function normalizeToolCall(call) {
+    return {
+        id: String(call?.id || ''),
+        name: String(call?.name || ''),
+        arguments: String(call?.arguments || '{}'),
+        result: String(call?.result ?? ''),
+        error: !!call?.error
+    };
+}
+
+// Keeps `toolCalls` only as a list of normalized calls (migration 8)
+function normalizeToolCalls(message) {
+    const { toolCalls, ...rest } = message;
+    return Array.isArray(toolCalls) ? { ...rest, toolCalls: toolCalls.map(normalizeToolCall) } : rest;
+}
+
+// A new message from a client or the bot, in the shape the latest
+// migration leaves stored messages in
+function toStoredMessage(message) {
+    return normalizeToolCalls(normalizeMessage(message));
+}
+
+function normalizeTimestamp(value) {
+    const date = new Date(value);
+    return value && !isNaN(date) ? date.toISOString() : null;
+}
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+// Apply every migration newer than db.schemaVersion.
+// Returns the list of versions that were applied.
+function migrate(db) {
+    const current = db.schemaVersion || 0;
+    const applied = [];
+
+    for (const migration of migrations) {
+        if (migration.version <= current) continue;
+
+        console.log(`📦 Migrating database to v${migration.version}: ${migration.description}`);
+        migration.up(db);
+        db.schemaVersion = migration.version;
+        applied.push(migration.version);
+    }
+
+    return applied;
+}
+
+module.exports = { migrate, migrations, normalizeMessage, toStoredMessage, LATEST_VERSION };
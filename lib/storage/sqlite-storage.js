@@ -0,0 +1,405 @@
+// SQLite storage - embedded database with one row per record
+//
+// Lookup fields get their own indexed columns, the full record is kept as
+// JSON in `data` so new user/chat fields don't need a schema change.
+
+const { migrate, LATEST_VERSION } = require('./migrations');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT,
+        telegram_id INTEGER,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+    CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users(telegram_id);
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        token TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+    CREATE TABLE IF NOT EXISTS chats (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_chats_user_id ON chats(user_id);
+
+    CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
+
+    CREATE TABLE IF NOT EXISTS user_api_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_api_keys_user_id ON user_api_keys(user_id);
+
+    CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+const DEFAULT_API_KEYS = {
+    huggingface: '',
+    replicate: ''
+};
+
+class SqliteStorage {
+    constructor({ path }) {
+        this.path = path;
+        this.driver = 'sqlite';
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite storage requires the optional "better-sqlite3" package (npm install better-sqlite3): ' + error.message);
+        }
+
+        this.db = new Database(this.path);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+        this.upgradeTables();
+
+        if (!this.db.prepare('SELECT 1 FROM settings WHERE key = ?').get('apiKeys')) {
+            this.db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)')
+                .run('apiKeys', JSON.stringify(DEFAULT_API_KEYS));
+        }
+
+        this.runMigrations();
+    }
+
+    // Changes to the tables themselves, for databases created with an older
+    // SCHEMA. Each step checks whether it is still needed.
+    upgradeTables() {
+        const hasColumn = (table, column) => this.db.prepare('SELECT 1 FROM pragma_table_info(?) WHERE name = ?').get(table, column);
+
+        // Plaintext user API keys moved to user_api_keys in migration 6
+        if (hasColumn('users', 'api_key')) {
+            console.log('📦 Dropping the unused users.api_key column');
+            this.db.exec('DROP INDEX IF EXISTS idx_users_api_key; ALTER TABLE users DROP COLUMN api_key;');
+        }
+    }
+
+    // Migrations work on the same plain-object shape as db.json, so the whole
+    // database is loaded, migrated and written back in one transaction
+    runMigrations() {
+        const row = this.db.prepare('SELECT value FROM settings WHERE key = ?').get('schemaVersion');
+        const version = row ? Number(row.value) : 0;
+        if (version >= LATEST_VERSION) return;
+
+        const data = this.exportData();
+        data.schemaVersion = version;
+        migrate(data);
+
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM messages; DELETE FROM chats; DELETE FROM sessions; DELETE FROM user_api_keys; DELETE FROM users;');
+            data.users.forEach(user => this.writeUserRow(user));
+            data.sessions.forEach(session => {
+                this.db.prepare('INSERT INTO sessions (token, user_id, data) VALUES (?, ?, ?)')
+                    .run(session.token, session.userId, JSON.stringify(session));
+            });
+            data.chats.forEach(chat => {
+                this.writeChatRow(chat);
+                this.writeMessages(chat.id, chat.messages || []);
+            });
+            (data.userApiKeys || []).forEach(record => this.writeUserApiKeyRow(record));
+            this.db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)')
+                .run('apiKeys', JSON.stringify(data.apiKeys));
+            this.db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)')
+                .run('schemaVersion', String(data.schemaVersion));
+        })();
+    }
+
+    exportData() {
+        const parseAll = sql => this.db.prepare(sql).all().map(row => JSON.parse(row.data));
+        const apiKeys = this.db.prepare('SELECT value FROM settings WHERE key = ?').get('apiKeys');
+
+        return {
+            users: parseAll('SELECT data FROM users ORDER BY rowid'),
+            sessions: parseAll('SELECT data FROM sessions ORDER BY rowid'),
+            userApiKeys: parseAll('SELECT data FROM user_api_keys ORDER BY rowid'),
+            chats: this.db.prepare('SELECT data FROM chats ORDER BY rowid').all().map(row => this.readChatRow(row)),
+            apiKeys: apiKeys ? JSON.parse(apiKeys.value) : { ...DEFAULT_API_KEYS }
+        };
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    describe() {
+        return `SQLite (${this.path})`;
+    }
+
+    // ==================== USERS ====================
+
+    writeUserRow(user) {
+        this.db.prepare(`
+            INSERT INTO users (id, username, telegram_id, data)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                username = excluded.username,
+                telegram_id = excluded.telegram_id,
+                data = excluded.data
+        `).run(user.id, user.username ?? null, user.telegramId ?? null, JSON.stringify(user));
+    }
+
+    findUserWhere(column, value) {
+        const row = this.db.prepare(`SELECT data FROM users WHERE ${column} = ?`).get(value);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listUsers() {
+        return this.db.prepare('SELECT data FROM users ORDER BY rowid').all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    async findUserById(id) {
+        return this.findUserWhere('id', id);
+    }
+
+    async findUserByUsername(username) {
+        return this.findUserWhere('username', username);
+    }
+
+    async findUserByTelegramId(telegramId) {
+        return this.findUserWhere('telegram_id', telegramId);
+    }
+
+    async createUser(user) {
+        this.writeUserRow(user);
+        return user;
+    }
+
+    async updateUser(id, updates) {
+        const user = this.findUserWhere('id', id);
+        if (!user) return null;
+
+        const updated = { ...user, ...updates };
+        this.writeUserRow(updated);
+        return updated;
+    }
+
+    async deleteUser(id) {
+        return this.db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    }
+
+    // ==================== SESSIONS ====================
+
+    async createSession(session) {
+        this.db.prepare('INSERT INTO sessions (token, user_id, data) VALUES (?, ?, ?)')
+            .run(session.token, session.userId, JSON.stringify(session));
+        return session;
+    }
+
+    async findSession(token) {
+        const row = this.db.prepare('SELECT data FROM sessions WHERE token = ?').get(token);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listSessionsByUser(userId) {
+        return this.db.prepare('SELECT data FROM sessions WHERE user_id = ? ORDER BY rowid').all(userId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async updateSession(token, updates) {
+        const session = await this.findSession(token);
+        if (!session) return null;
+
+        const updated = { ...session, ...updates };
+        this.db.prepare('UPDATE sessions SET user_id = ?, data = ? WHERE token = ?')
+            .run(updated.userId, JSON.stringify(updated), token);
+        return updated;
+    }
+
+    async deleteSession(token) {
+        return this.db.prepare('DELETE FROM sessions WHERE token = ?').run(token).changes > 0;
+    }
+
+    // ==================== CHATS ====================
+
+    // Chats are stored without their messages; they are joined back on read
+    readChatRow(row) {
+        const chat = JSON.parse(row.data);
+        chat.messages = this.readMessages(chat.id);
+        return chat;
+    }
+
+    writeChatRow(chat) {
+        const { messages, ...rest } = chat;
+        // Upsert rather than REPLACE, which would cascade-delete the messages
+        this.db.prepare(`
+            INSERT INTO chats (id, user_id, data) VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET user_id = excluded.user_id, data = excluded.data
+        `).run(chat.id, chat.userId, JSON.stringify(rest));
+    }
+
+    async listChatsByUser(userId) {
+        return this.db.prepare('SELECT data FROM chats WHERE user_id = ? ORDER BY rowid').all(userId)
+            .map(row => this.readChatRow(row));
+    }
+
+    async countChatsByUser(userId) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM chats WHERE user_id = ?').get(userId).count;
+    }
+
+    async findChat(chatId) {
+        const row = this.db.prepare('SELECT data FROM chats WHERE id = ?').get(chatId);
+        return row ? this.readChatRow(row) : null;
+    }
+
+    async createChat(chat) {
+        this.db.transaction(() => {
+            this.writeChatRow(chat);
+            this.writeMessages(chat.id, chat.messages || []);
+        })();
+        return chat;
+    }
+
+    async updateChat(chatId, updates) {
+        const row = this.db.prepare('SELECT data FROM chats WHERE id = ?').get(chatId);
+        if (!row) return null;
+
+        const updated = { ...JSON.parse(row.data), ...updates };
+
+        this.db.transaction(() => {
+            this.writeChatRow(updated);
+            if (updates.messages !== undefined) {
+                this.writeMessages(chatId, updates.messages || []);
+            }
+        })();
+
+        updated.messages = this.readMessages(chatId);
+        return updated;
+    }
+
+    async deleteChat(chatId) {
+        return this.db.prepare('DELETE FROM chats WHERE id = ?').run(chatId).changes > 0;
+    }
+
+    // ==================== MESSAGES ====================
+
+    readMessages(chatId) {
+        return this.db.prepare('SELECT data FROM messages WHERE chat_id = ? ORDER BY id').all(chatId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    writeMessages(chatId, messages) {
+        this.db.prepare('DELETE FROM messages WHERE chat_id = ?').run(chatId);
+        const insert = this.db.prepare('INSERT INTO messages (chat_id, data) VALUES (?, ?)');
+        for (const message of messages) {
+            insert.run(chatId, JSON.stringify(message));
+        }
+    }
+
+    async getMessages(chatId) {
+        const row = this.db.prepare('SELECT 1 FROM chats WHERE id = ?').get(chatId);
+        return row ? this.readMessages(chatId) : null;
+    }
+
+    async appendMessage(chatId, message) {
+        const row = this.db.prepare('SELECT data FROM chats WHERE id = ?').get(chatId);
+        if (!row) return null;
+
+        const chat = { ...JSON.parse(row.data), updatedAt: new Date().toISOString() };
+
+        this.db.transaction(() => {
+            this.db.prepare('INSERT INTO messages (chat_id, data) VALUES (?, ?)')
+                .run(chatId, JSON.stringify(message));
+            this.writeChatRow(chat);
+        })();
+
+        return message;
+    }
+
+    async spliceMessages(chatId, start, deleteCount, messages) {
+        const row = this.db.prepare('SELECT data FROM chats WHERE id = ?').get(chatId);
+        if (!row) return null;
+
+        const chat = { ...JSON.parse(row.data), updatedAt: new Date().toISOString() };
+
+        return this.db.transaction(() => {
+            const stored = this.readMessages(chatId);
+            if (start === undefined) {
+                stored.push(...messages);
+            } else {
+                stored.splice(start, deleteCount, ...messages);
+            }
+            this.writeMessages(chatId, stored);
+            this.writeChatRow(chat);
+            return stored;
+        })();
+    }
+
+    // ==================== USER API KEYS ====================
+
+    writeUserApiKeyRow(record) {
+        this.db.prepare(`
+            INSERT INTO user_api_keys (id, user_id, key_hash, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET user_id = excluded.user_id, key_hash = excluded.key_hash, data = excluded.data
+        `).run(record.id, record.userId, record.hash, JSON.stringify(record));
+    }
+
+    async listUserApiKeys(userId) {
+        return this.db.prepare('SELECT data FROM user_api_keys WHERE user_id = ? ORDER BY rowid').all(userId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async findUserApiKeyByHash(hash) {
+        const row = this.db.prepare('SELECT data FROM user_api_keys WHERE key_hash = ?').get(hash);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async createUserApiKey(record) {
+        this.writeUserApiKeyRow(record);
+        return record;
+    }
+
+    async updateUserApiKey(id, updates) {
+        const row = this.db.prepare('SELECT data FROM user_api_keys WHERE id = ?').get(id);
+        if (!row) return null;
+
+        const updated = { ...JSON.parse(row.data), ...updates };
+        this.writeUserApiKeyRow(updated);
+        return updated;
+    }
+
+    async deleteUserApiKey(id) {
+        return this.db.prepare('DELETE FROM user_api_keys WHERE id = ?').run(id).changes > 0;
+    }
+
+    // ==================== PLATFORM API KEYS ====================
+
+    async getApiKeys() {
+        const row = this.db.prepare('SELECT value FROM settings WHERE key = ?').get('apiKeys');
+        return row ? JSON.parse(row.value) : { ...DEFAULT_API_KEYS };
+    }
+
+    async updateApiKeys(updates) {
+        const apiKeys = { ...(await this.getApiKeys()), ...updates };
+        this.db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)')
+            .run('apiKeys', JSON.stringify(apiKeys));
+        return apiKeys;
+    }
+}
+
+module.exports = { SqliteStorage };
@@ -0,0 +1,217 @@
+// Telegram Bot API client
+//
+// Every method is a POST to <baseUrl>/bot<token>/<method>: JSON, or
+// multipart/form-data when a parameter is a file to upload
+// ({ buffer, filename, contentType }). The answer is { ok, result } or
+// { ok: false, error_code, description, parameters }. When Telegram rate
+// limits a call (429 with retry_after) it is retried after the given wait.
+// TELEGRAM_API_URL points the client at another server, e.g. the fake Bot
+// API in test/fake-telegram.js.
+
+const DEFAULT_BASE_URL = 'https://api.telegram.org';
+const DEFAULT_TIMEOUT = 30 * 1000;
+const MAX_RETRIES = 3;
+// Longer waits are not worth holding a request for
+const MAX_RETRY_AFTER = 30;
+
+// Telegram's limits for the text of one message, a caption and a photo
+const MAX_MESSAGE_LENGTH = 4096;
+const MAX_CAPTION_LENGTH = 1024;
+const MAX_PHOTO_SIZE = 10 * 1024 * 1024;
+
+class TelegramApiError extends Error {
+    constructor(method, message, { status = 502, parameters = {} } = {}) {
+        super(message);
+        this.name = 'TelegramApiError';
+        this.method = method;
+        this.status = status;
+        this.parameters = parameters;
+    }
+}
+
+// Split text into pieces Telegram accepts, preferring line breaks
+function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+    const pieces = [];
+    let rest = text;
+
+    while (rest.length > limit) {
+        let cut = rest.lastIndexOf('\n', limit);
+        if (cut < limit / 2) cut = rest.lastIndexOf(' ', limit);
+        if (cut < limit / 2) cut = limit;
+        pieces.push(rest.slice(0, cut));
+        rest = rest.slice(cut).replace(/^[\n ]/, '');
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+function isInputFile(value) {
+    return Boolean(value && Buffer.isBuffer(value.buffer));
+}
+
+// Request body for the parameters: multipart when there is a file in them
+function requestBody(params) {
+    if (!Object.values(params).some(isInputFile)) {
+        return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(params) };
+    }
+
+    const form = new FormData();
+    for (const [name, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        if (isInputFile(value)) {
+            form.append(name, new Blob([value.buffer], { type: value.contentType || 'application/octet-stream' }), value.filename || name);
+        } else {
+            form.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+    }
+    return { headers: {}, body: form };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TelegramApi {
+    constructor({ token, baseUrl = DEFAULT_BASE_URL, timeout = DEFAULT_TIMEOUT }) {
+        this.token = token;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    async call(method, params = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.request(method, params);
+            } catch (error) {
+                const retryAfter = error.parameters?.retry_after;
+                if (error.status !== 429 || !retryAfter || retryAfter > MAX_RETRY_AFTER || attempt > MAX_RETRIES) {
+                    throw error;
+                }
+                console.warn(`⏳ Telegram ${method} rate limited, retrying in ${retryAfter}s`);
+                await sleep(retryAfter * 1000);
+            }
+        }
+    }
+
+    async request(method, params) {
+        const { headers, body } = requestBody(params);
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/bot${this.token}/${method}`, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            throw new TelegramApiError(method, `Telegram ${method} failed: ${error.message}`);
+        }
+
+        const data = await response.json().catch(() => null);
+        if (!data || !data.ok) {
+            const description = data?.description || `HTTP ${response.status}`;
+            throw new TelegramApiError(method, `Telegram ${method} failed: ${description}`, {
+                status: data?.error_code || response.status,
+                parameters: data?.parameters || {}
+            });
+        }
+        return data.result;
+    }
+
+    // Long texts are sent as several messages; resolves to the last one
+    async sendMessage(chatId, text, extra = {}) {
+        let message = null;
+        for (const piece of splitMessage(text)) {
+            message = await this.call('sendMessage', { chat_id: chatId, text: piece, ...extra });
+        }
+        return message;
+    }
+
+    // `photo` is a URL or file_id, or a file to upload
+    sendPhoto(chatId, photo, extra = {}) {
+        return this.call('sendPhoto', { chat_id: chatId, photo, ...extra });
+    }
+
+    sendDocument(chatId, document, extra = {}) {
+        return this.call('sendDocument', { chat_id: chatId, document, ...extra });
+    }
+
+    // Upload a generated image: as a photo, or as a document (uncompressed)
+    // when asked, when it is too big for a photo or when Telegram refuses
+    // it as one (e.g. extreme dimensions). Other options (message_thread_id,
+    // ...) are passed on.
+    async sendImage(chatId, buffer, { caption = '', asDocument = false, filename = 'image.png', contentType = 'image/png', ...rest } = {}) {
+        const file = { buffer, filename, contentType };
+        const extra = { ...rest, ...(caption && { caption: caption.slice(0, MAX_CAPTION_LENGTH) }) };
+
+        if (!asDocument && buffer.length <= MAX_PHOTO_SIZE) {
+            try {
+                return await this.sendPhoto(chatId, file, extra);
+            } catch (error) {
+                if (error.status !== 400) throw error;
+                console.warn(`⚠️ ${error.message}; sending as a document`);
+            }
+        }
+        return this.sendDocument(chatId, file, extra);
+    }
+
+    editMessageText(chatId, messageId, text, extra = {}) {
+        return this.call('editMessageText', { chat_id: chatId, message_id: messageId, text, ...extra });
+    }
+
+    // results: InlineQueryResult objects; extra: cache_time, is_personal,
+    // button, ...
+    answerInlineQuery(inlineQueryId, results, extra = {}) {
+        return this.call('answerInlineQuery', { inline_query_id: inlineQueryId, results, ...extra });
+    }
+
+    answerCallbackQuery(callbackQueryId, text = null) {
+        return this.call('answerCallbackQuery', {
+            callback_query_id: callbackQueryId,
+            ...(text && { text })
+        });
+    }
+
+    sendChatAction(chatId, action = 'typing', extra = {}) {
+        return this.call('sendChatAction', { chat_id: chatId, action, ...extra });
+    }
+
+    getMe() {
+        return this.call('getMe');
+    }
+
+    // Resolves to a ChatMember; its status tells admins ("creator",
+    // "administrator") from other members
+    getChatMember(chatId, userId) {
+        return this.call('getChatMember', { chat_id: chatId, user_id: userId });
+    }
+
+    // commands: [{ command, description }] for the menu in Telegram clients;
+    // scope (BotCommandScope) limits them to e.g. group chats
+    setMyCommands(commands, scope = null) {
+        return this.call('setMyCommands', { commands, ...(scope && { scope }) });
+    }
+
+    setWebhook(url, secretToken = null) {
+        return this.call('setWebhook', {
+            url,
+            ...(secretToken && { secret_token: secretToken }),
+            allowed_updates: ['message', 'callback_query', 'inline_query']
+        });
+    }
+}
+
+function createTelegramApi(env = process.env) {
+    if (!env.TELEGRAM_BOT_TOKEN) return null;
+    return new TelegramApi({
+        token: env.TELEGRAM_BOT_TOKEN,
+        baseUrl: env.TELEGRAM_API_URL || DEFAULT_BASE_URL
+    });
+}
+
+module.exports = {
+    TelegramApi,
+    TelegramApiError,
+    createTelegramApi,
+    splitMessage,
+    MAX_MESSAGE_LENGTH,
+    MAX_CAPTION_LENGTH
+};
@@ -0,0 +1,856 @@
+// Telegram bot - answers private messages with the same models as the web chat
+//
+// Updates arrive on the webhook (POST /api/telegram/webhook). The sender is
+// the same tg_<id> user the Mini App signs in as, and the conversation is a
+// regular chat of that user, so it shows up in the Mini App too. The chat the
+// bot writes to is remembered as user.telegramChatId.
+//
+// Commands (COMMANDS, registered with setMyCommands at startup) give the
+// Mini App's controls: new chat, switching chats and models through inline
+// keyboards, image/video generation, clearing and settings. Keyboard buttons
+// come back as callback queries with data "<action>:<argument>". Generated
+// images are uploaded from the server with the prompt as caption.
+//
+// In groups the bot only answers commands, mentions (@bot) and replies to
+// its own messages. The context is per group thread (forum topic) rather
+// than per member: each thread is a chat owned by tg_group_<chat id> instead
+// of a user, so it never shows up in a member's chat list. The model is set
+// for the whole group, and only group admins may change it (/model,
+// /settings) or reset the context (/new, /clear).
+//
+// Inline mode ("@bot question" or "@bot img: a cat" in any chat) answers
+// users who already exist with a short completion or a generated image.
+// Results are cached per query; inline images are served from
+// GET /api/telegram/inline-images/:id, so they need the server's public URL.
+//
+// Updates of one Telegram chat are handled one at a time, in order; Telegram
+// may deliver an update again, so recently seen update ids are skipped.
+
+const crypto = require('crypto');
+const { toStoredMessage } = require('../storage/migrations');
+const { MAX_MESSAGE_LENGTH, MAX_CAPTION_LENGTH } = require('./api');
+
+// Messages of the chat sent to the model as context, like the web chat
+const HISTORY_LIMIT = 10;
+const RECENT_UPDATES = 1000;
+const TITLE_LENGTH = 40;
+const CHAT_LIST_LIMIT = 10;
+const NEW_CHAT_TITLE = '💬 Новый чат';
+const GROUP_TYPES = ['group', 'supergroup'];
+const GROUP_OWNER_PREFIX = 'tg_group_';
+const ADMIN_STATUSES = ['creator', 'administrator'];
+
+// Inline answers are short and must arrive while the user is still typing
+const INLINE_MAX_TOKENS = 300;
+const INLINE_TIMEOUT = 8 * 1000;
+const INLINE_CACHE_TTL = 10 * 60 * 1000;
+const INLINE_CACHE_SIZE = 200;
+// Seconds Telegram may cache an answer to the same query itself
+const INLINE_CACHE_TIME = 300;
+const INLINE_IMAGE = /^(?:img|image):\s*([\s\S]+)$/i;
+
+const COMMANDS = [
+    { command: 'new', description: 'Новый чат' },
+    { command: 'chats', description: 'Переключиться на другой чат' },
+    { command: 'model', description: 'Выбрать модель' },
+    { command: 'image', description: 'Сгенерировать изображение: /image кот в космосе' },
+    { command: 'video', description: 'Сгенерировать видео: /video волны на пляже' },
+    { command: 'clear', description: 'Очистить текущий чат' },
+    { command: 'settings', description: 'Текущие настройки' }
+];
+
+const GROUP_COMMANDS = [
+    { command: 'image', description: 'Сгенерировать изображение: /image кот в космосе' },
+    { command: 'video', description: 'Сгенерировать видео: /video волны на пляже' },
+    { command: 'model', description: 'Выбрать модель группы (для админов)' },
+    { command: 'clear', description: 'Начать разговор заново (для админов)' },
+    { command: 'settings', description: 'Настройки группы (для админов)' }
+];
+
+function commandList(commands) {
+    return commands.map(({ command, description }) => `/${command} - ${description}`).join('\n');
+}
+
+const HELP_TEXT = '👋 Привет! Напишите сообщение, и я отвечу. Переписка сохраняется в ваших чатах в Mini App.\n\n' +
+    commandList(COMMANDS);
+
+const GROUP_HELP_TEXT = '👋 Упомяните меня или ответьте на мое сообщение, и я отвечу. ' +
+    'Разговор общий для всей темы группы.\n\n' + commandList(GROUP_COMMANDS);
+
+const ADMIN_ONLY_TEXT = '⛔ Это могут делать только администраторы группы.';
+
+function systemPrompt() {
+    return `You are a helpful AI assistant chatting with the user in Telegram.
+
+Current date and time: ${new Date().toISOString()}
+
+Your answers are shown as plain text, so keep formatting simple: no tables or HTML.`;
+}
+
+function groupSystemPrompt(title) {
+    return `You are a helpful AI assistant in the Telegram group "${title}".
+
+Current date and time: ${new Date().toISOString()}
+
+Several people talk to you; each of their messages starts with the author's name. Answer the last message.
+Your answers are shown as plain text, so keep formatting simple: no tables or HTML.`;
+}
+
+function shorten(text, length = TITLE_LENGTH) {
+    return text.length > length ? text.slice(0, length) + '…' : text;
+}
+
+// "/model@my_bot gpt-5" -> { command: 'model', bot: 'my_bot', args: 'gpt-5' }
+function parseCommand(text) {
+    const match = text.match(/^\/(\w+)(?:@(\w+))?(?:\s+([\s\S]*))?$/);
+    return match ? { command: match[1].toLowerCase(), bot: match[2] || null, args: (match[3] || '').trim() } : null;
+}
+
+// A chat message in the stored shape
+function chatMessage(type, text, extra = {}) {
+    return toStoredMessage({ type, text, timestamp: new Date().toISOString(), ...extra });
+}
+
+// The bot's answer to a /image or /video prompt
+function generatedMessage(kind, buffer) {
+    const text = kind === 'image'
+        ? '🎨 Изображение успешно сгенерировано:'
+        : '🎥 Кадр для видео (настоящее видео пока недоступно):';
+    return chatMessage('ai', text, { [kind]: `data:image/png;base64,${buffer.toString('base64')}` });
+}
+
+function keyboard(rows) {
+    return { reply_markup: { inline_keyboard: rows } };
+}
+
+function isGroup(chat) {
+    return GROUP_TYPES.includes(chat?.type);
+}
+
+// Forum topic of a group message; 0 for the group itself
+function threadOf(message) {
+    return message.is_topic_message ? message.message_thread_id : 0;
+}
+
+function groupChatId(telegramChatId, threadId) {
+    return `chat_${GROUP_OWNER_PREFIX}${telegramChatId}_${threadId}`;
+}
+
+// Whether the message mentions the bot `me` (a User from getMe)
+function mentions(message, me) {
+    const username = `@${me.username}`.toLowerCase();
+    return (message.entities || []).some(entity =>
+        (entity.type === 'mention' && message.text.substr(entity.offset, entity.length).toLowerCase() === username) ||
+        (entity.type === 'text_mention' && entity.user?.id === me.id));
+}
+
+function authorName(from) {
+    return [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username || String(from.id);
+}
+
+function inlineSystemPrompt() {
+    return `You are a helpful AI assistant. Your answer will be inserted into a Telegram conversation as is.
+
+Answer briefly, in a few sentences, as plain text in the language of the question.`;
+}
+
+// A Map whose entries expire after `ttl` ms; past `limit` entries the
+// oldest are dropped
+class ExpiringCache {
+    constructor(ttl, limit) {
+        this.ttl = ttl;
+        this.limit = limit;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expires < Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires: Date.now() + this.ttl });
+        while (this.entries.size > this.limit) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+class TelegramBot {
+    // chat pipeline: the model catalog, the provider registry and the server's
+    // buildChatRequest()/userCredentials(); `images` is the image generator
+    // (../images.js); findOrCreateUser(telegramUser) resolves to the tg_<id>
+    // user; publicUrl is where Telegram can fetch inline images from (null
+    // turns inline images off)
+    constructor({ api, storage, models, providers, images, buildChatRequest, userCredentials, findOrCreateUser, publicUrl = null }) {
+        this.api = api;
+        this.storage = storage;
+        this.models = models;
+        this.providers = providers;
+        this.images = images;
+        this.buildChatRequest = buildChatRequest;
+        this.userCredentials = userCredentials;
+        this.findOrCreateUser = findOrCreateUser;
+        this.publicUrl = publicUrl && publicUrl.replace(/\/+$/, '');
+        this.queues = new Map();
+        this.recentUpdates = new Set();
+        // getMe() of the bot, for mentions and replies in groups
+        this.me = null;
+        // Latest inline query id of each Telegram user
+        this.inlineQueries = new Map();
+        this.inlineResults = new ExpiringCache(INLINE_CACHE_TTL, INLINE_CACHE_SIZE);
+        this.inlineImages = new ExpiringCache(INLINE_CACHE_TTL, INLINE_CACHE_SIZE);
+    }
+
+    // Register the command menus shown in Telegram clients
+    async registerCommands() {
+        await this.api.setMyCommands(COMMANDS);
+        await this.api.setMyCommands(GROUP_COMMANDS, { type: 'all_group_chats' });
+    }
+
+    // Resolves to the bot's own User; asked once
+    botUser() {
+        if (!this.me) {
+            this.me = this.api.getMe().catch(error => {
+                this.me = null;
+                throw error;
+            });
+        }
+        return this.me;
+    }
+
+    // Resolves once the update is handled; never rejects
+    handleUpdate(update) {
+        if (!update || this.recentUpdates.has(update.update_id)) {
+            return Promise.resolve();
+        }
+        this.recentUpdates.add(update.update_id);
+        if (this.recentUpdates.size > RECENT_UPDATES) {
+            this.recentUpdates.delete(this.recentUpdates.values().next().value);
+        }
+
+        const message = update.message;
+        if (message?.from && message.chat?.type === 'private') {
+            return this.enqueue(message.chat.id, () => this.handleMessage(message));
+        }
+        if (message?.from && isGroup(message.chat)) {
+            return this.enqueue(message.chat.id, () => this.handleGroupMessage(message));
+        }
+
+        const query = update.callback_query;
+        if (query?.message?.chat?.type === 'private') {
+            return this.enqueue(query.message.chat.id, () => this.handleCallbackQuery(query));
+        }
+        if (query && isGroup(query.message?.chat)) {
+            return this.enqueue(query.message.chat.id, () => this.handleGroupCallbackQuery(query));
+        }
+
+        // A query comes with every keystroke; those still waiting when a
+        // newer one arrives are dropped by handleInlineQuery()
+        const inlineQuery = update.inline_query;
+        if (inlineQuery?.from) {
+            this.inlineQueries.set(inlineQuery.from.id, inlineQuery.id);
+            return this.enqueue(`inline:${inlineQuery.from.id}`, () => this.handleInlineQuery(inlineQuery));
+        }
+
+        return Promise.resolve();
+    }
+
+    enqueue(chatId, task) {
+        const previous = this.queues.get(chatId) || Promise.resolve();
+        const next = previous.then(task).catch(error => {
+            console.error('Telegram update error:', error);
+        });
+        this.queues.set(chatId, next);
+        next.then(() => {
+            if (this.queues.get(chatId) === next) {
+                this.queues.delete(chatId);
+            }
+        });
+        return next;
+    }
+
+    async handleMessage(message) {
+        const chatId = message.chat.id;
+        const user = await this.findOrCreateUser(message.from);
+        if (user.disabled) {
+            return this.api.sendMessage(chatId, '⛔ Ваш аккаунт отключен.');
+        }
+
+        const text = message.text;
+        if (!text) {
+            return this.api.sendMessage(chatId, 'Пока я понимаю только текстовые сообщения.');
+        }
+
+        const command = parseCommand(text);
+        if (!command) {
+            return this.converse(user, chatId, text);
+        }
+
+        switch (command.command) {
+            case 'start':
+            case 'help':
+                return this.api.sendMessage(chatId, HELP_TEXT);
+            case 'new':
+                return this.newChat(user, chatId, command.args);
+            case 'chats':
+                return this.api.sendMessage(chatId, ...await this.chatList(user));
+            case 'model':
+                return this.api.sendMessage(chatId, ...await this.modelList(user));
+            case 'image':
+            case 'video':
+                return this.generate(user, chatId, command.command, command.args, text);
+            case 'clear':
+                return this.clearChat(user, chatId);
+            case 'settings':
+                return this.api.sendMessage(chatId, ...await this.settings(user));
+            default:
+                return this.api.sendMessage(chatId, `Неизвестная команда /${command.command}.\n\n${HELP_TEXT}`);
+        }
+    }
+
+    // Inline keyboard buttons. The query is always answered so the button
+    // stops spinning.
+    async handleCallbackQuery(query) {
+        const chatId = query.message.chat.id;
+        const messageId = query.message.message_id;
+        const user = await this.findOrCreateUser(query.from);
+        if (user.disabled) {
+            return this.api.answerCallbackQuery(query.id, '⛔ Ваш аккаунт отключен.');
+        }
+
+        const [action, argument] = String(query.data || '').split(/:(.*)/s);
+        let notice = null;
+
+        if (action === 'chat') {
+            const chat = await this.storage.findChat(argument);
+            if (!chat || chat.userId !== user.id) {
+                return this.api.answerCallbackQuery(query.id, 'Чат не найден');
+            }
+            await this.storage.updateUser(user.id, { telegramChatId: chat.id });
+            await this.api.editMessageText(chatId, messageId, `💬 Текущий чат: ${chat.title}`);
+            notice = 'Чат выбран';
+        } else if (action === 'model') {
+            const model = this.models.get(argument);
+            if (!model || model.type !== 'text') {
+                return this.api.answerCallbackQuery(query.id, 'Модель недоступна');
+            }
+            const chat = await this.currentChat(user, NEW_CHAT_TITLE);
+            await this.storage.updateChat(chat.id, { model: model.id, updatedAt: new Date().toISOString() });
+            await this.api.editMessageText(chatId, messageId, `🤖 Модель: ${model.icon} ${model.name}`);
+            notice = `Модель: ${model.name}`;
+        } else if (action === 'settings') {
+            // The buttons of /settings do what the matching command does
+            if (argument === 'model') await this.api.sendMessage(chatId, ...await this.modelList(user));
+            else if (argument === 'chats') await this.api.sendMessage(chatId, ...await this.chatList(user));
+            else if (argument === 'new') await this.newChat(user, chatId);
+            else if (argument === 'clear') await this.clearChat(user, chatId);
+        }
+
+        return this.api.answerCallbackQuery(query.id, notice);
+    }
+
+    // Inline mode. Nothing is stored: the answer becomes a message of
+    // whatever chat the user inserts it into.
+    async handleInlineQuery(query) {
+        const from = query.from.id;
+        if (this.inlineQueries.get(from) !== query.id) {
+            return;
+        }
+
+        try {
+            // Without an account only a button to start the bot is offered
+            const user = await this.storage.findUserByTelegramId(from);
+            if (!user || user.disabled) {
+                return await this.answerInline(query.id, [],
+                    user ? '⛔ Ваш аккаунт отключен' : '👋 Начните работу с ботом');
+            }
+
+            const text = String(query.query || '').trim();
+            if (!text) {
+                return await this.answerInline(query.id, [], '✍️ Вопрос или img: описание картинки');
+            }
+
+            const image = text.match(INLINE_IMAGE);
+            if (image && !this.publicUrl) {
+                return await this.answerInline(query.id, [], '🎨 Картинки доступны в чате с ботом: /image');
+            }
+
+            const model = this.chatModel(await this.findCurrentChat(user));
+            const key = image ? `image:${image[1].trim()}` : `${model.id}:${text}`;
+            let results = this.inlineResults.get(key);
+            if (!results) {
+                try {
+                    results = image
+                        ? await this.inlineImage(image[1].trim())
+                        : await this.inlineAnswer(user, model, text);
+                } catch (error) {
+                    console.warn(`⚠️ Telegram inline query failed: ${error.message}`);
+                    return await this.answerInline(query.id, [], '⚠️ Не удалось получить ответ, откройте бота');
+                }
+                this.inlineResults.set(key, results);
+            }
+            return await this.answerInline(query.id, results);
+        } finally {
+            if (this.inlineQueries.get(from) === query.id) {
+                this.inlineQueries.delete(from);
+            }
+        }
+    }
+
+    // `notice` is shown above the results as a button that opens the bot
+    answerInline(queryId, results, notice = null) {
+        return this.api.answerInlineQuery(queryId, results, {
+            is_personal: true,
+            cache_time: notice ? 0 : INLINE_CACHE_TIME,
+            ...(notice && { button: { text: notice, start_parameter: 'inline' } })
+        });
+    }
+
+    async inlineAnswer(user, model, text) {
+        const request = this.buildChatRequest({
+            model: model.id,
+            messages: [
+                { role: 'system', content: inlineSystemPrompt() },
+                { role: 'user', content: text }
+            ],
+            max_tokens: INLINE_MAX_TOKENS
+        });
+
+        const { provider, completion } = await this.providers.complete(request, {
+            credentials: this.userCredentials(user),
+            signal: AbortSignal.timeout(INLINE_TIMEOUT)
+        });
+        const content = completion.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error(`${provider} returned an empty answer`);
+        }
+
+        console.log(`🤖 Telegram inline answer for ${user.id} served by ${provider}`);
+        return [{
+            type: 'article',
+            id: crypto.randomBytes(8).toString('hex'),
+            title: shorten(text, 64),
+            description: shorten(content, 100),
+            input_message_content: { message_text: content.slice(0, MAX_MESSAGE_LENGTH) }
+        }];
+    }
+
+    async inlineImage(prompt) {
+        const image = await this.images.generate(prompt, {
+            provider: 'stable-diffusion',
+            signal: AbortSignal.timeout(INLINE_TIMEOUT)
+        });
+        const id = crypto.randomBytes(8).toString('hex');
+        this.inlineImages.set(id, image.buffer);
+
+        const url = `${this.publicUrl}/api/telegram/inline-images/${id}.png`;
+        console.log(`🎨 Telegram inline image: ${prompt}`);
+        return [{
+            type: 'photo',
+            id,
+            photo_url: url,
+            thumbnail_url: url,
+            title: shorten(prompt, 64),
+            caption: prompt.slice(0, MAX_CAPTION_LENGTH)
+        }];
+    }
+
+    // PNG bytes of an inline image still in the cache, or null
+    inlineImageFile(id) {
+        return this.inlineImages.get(id) || null;
+    }
+
+    // The user's current bot chat, or null
+    async findCurrentChat(user) {
+        if (!user.telegramChatId) return null;
+        const chat = await this.storage.findChat(user.telegramChatId);
+        return chat && chat.userId === user.id ? chat : null;
+    }
+
+    // The user's current bot chat, or a new one named after `title`
+    async currentChat(user, title) {
+        return await this.findCurrentChat(user) || this.createChat(user, title);
+    }
+
+    async createChat(user, title, model = this.models.defaultModel) {
+        const now = new Date().toISOString();
+        const chat = {
+            id: 'chat_' + Date.now(),
+            userId: user.id,
+            title: shorten(title),
+            messages: [],
+            model,
+            source: 'telegram',
+            createdAt: now,
+            updatedAt: now
+        };
+        await this.storage.createChat(chat);
+        await this.storage.updateUser(user.id, { telegramChatId: chat.id });
+        user.telegramChatId = chat.id;
+        return chat;
+    }
+
+    // The model a chat answers with; the default one without a chat or when
+    // the chat's model was removed from the catalog
+    chatModel(chat) {
+        const model = chat && this.models.get(chat.model);
+        return model?.type === 'text' ? model : this.models.get(this.models.defaultModel);
+    }
+
+    // /new [title] - the new chat keeps the current chat's model
+    async newChat(user, chatId, title = '') {
+        const model = this.chatModel(await this.findCurrentChat(user));
+        const chat = await this.createChat(user, title || NEW_CHAT_TITLE, model.id);
+        return this.api.sendMessage(chatId, `🆕 Новый чат «${chat.title}» создан. Модель: ${model.icon} ${model.name}`);
+    }
+
+    // /chats - the most recently updated chats as buttons
+    async chatList(user) {
+        const chats = (await this.storage.listChatsByUser(user.id))
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .slice(0, CHAT_LIST_LIMIT);
+        if (chats.length === 0) {
+            return ['У вас пока нет чатов. Напишите сообщение, чтобы начать.'];
+        }
+
+        const rows = chats.map(chat => [{
+            text: `${chat.id === user.telegramChatId ? '✅ ' : ''}${shorten(chat.title || NEW_CHAT_TITLE)}`,
+            callback_data: `chat:${chat.id}`
+        }]);
+        return ['💬 Выберите чат:', keyboard(rows)];
+    }
+
+    // /model - the text models of the catalog, two per row
+    async modelList(user) {
+        const selected = this.chatModel(await this.findCurrentChat(user));
+        const buttons = this.models.list({ type: 'text' }).map(model => ({
+            text: `${model.id === selected.id ? '✅ ' : ''}${model.icon} ${model.name}`,
+            callback_data: `model:${model.id}`
+        }));
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 2) {
+            rows.push(buttons.slice(i, i + 2));
+        }
+        return [`🤖 Текущая модель: ${selected.name}\nВыберите модель:`, keyboard(rows)];
+    }
+
+    // /settings - where the next message goes, with buttons for the rest
+    async settings(user) {
+        const chat = await this.findCurrentChat(user);
+        const model = this.chatModel(chat);
+
+        const lines = [
+            '⚙️ Настройки',
+            `🤖 Модель: ${model.icon} ${model.name}`,
+            chat ? `💬 Чат: ${chat.title} (сообщений: ${chat.messages.length})` : '💬 Чат: будет создан с первым сообщением'
+        ];
+        return [lines.join('\n'), keyboard([
+            [{ text: '🤖 Модель', callback_data: 'settings:model' }, { text: '💬 Чаты', callback_data: 'settings:chats' }],
+            [{ text: '🆕 Новый чат', callback_data: 'settings:new' }, { text: '🧹 Очистить', callback_data: 'settings:clear' }]
+        ])];
+    }
+
+    async clearChat(user, chatId) {
+        const chat = await this.findCurrentChat(user);
+        if (!chat) {
+            return this.api.sendMessage(chatId, 'Текущий чат пуст.');
+        }
+        await this.storage.updateChat(chat.id, { messages: [], updatedAt: new Date().toISOString() });
+        return this.api.sendMessage(chatId, `🧹 Чат «${chat.title}» очищен.`);
+    }
+
+    // /image and /video
+    async generate(user, chatId, kind, prompt, command) {
+        const buffer = await this.sendGenerated(chatId, kind, prompt);
+        if (!buffer) return;
+
+        const chat = await this.currentChat(user, prompt);
+        await this.storage.appendMessage(chat.id, chatMessage('user', command));
+        await this.storage.appendMessage(chat.id, generatedMessage(kind, buffer));
+        console.log(`🎨 Telegram ${kind} for ${user.id}: ${prompt}`);
+    }
+
+    // Generate the image of a /image or /video prompt and upload it with the
+    // prompt as caption. Like in the Mini App, a video is a cinematic frame
+    // for now. Resolves to the PNG bytes, or null when there was nothing to
+    // send (the chat is told why). `extra` goes with every message.
+    async sendGenerated(chatId, kind, prompt, extra = {}) {
+        if (!prompt) {
+            const example = kind === 'image' ? 'кот в космосе' : 'волны на пляже';
+            await this.api.sendMessage(chatId, `Напишите, что сгенерировать: /${kind} ${example}`, extra);
+            return null;
+        }
+
+        this.api.sendChatAction(chatId, 'upload_photo', extra).catch(error => {
+            console.warn(`⚠️ ${error.message}`);
+        });
+
+        let image;
+        try {
+            image = await this.images.generate(kind === 'image' ? prompt : prompt + ', cinematic scene, motion, dynamic', {
+                provider: 'stable-diffusion'
+            });
+        } catch (error) {
+            console.warn(`⚠️ Telegram ${kind} generation failed: ${error.message}`);
+            await this.api.sendMessage(chatId, '⚠️ Не удалось сгенерировать изображение. Попробуйте еще раз позже.', extra);
+            return null;
+        }
+        await this.api.sendImage(chatId, image.buffer, { caption: prompt, ...extra });
+        return image.buffer;
+    }
+
+    // Answer `text` in the user's current chat and store both messages
+    async converse(user, chatId, text) {
+        const chat = await this.currentChat(user, text);
+        return this.respond(chat, chatId, chatMessage('user', text), {
+            credentials: this.userCredentials(user),
+            prompt: systemPrompt()
+        });
+    }
+
+    // Add `message` to `chat`, answer it with the chat's model and store
+    // both; `extra` goes with the Telegram messages. Messages are appended
+    // one by one, as the Mini App may write to the same chat meanwhile.
+    async respond(chat, chatId, message, { credentials, prompt, extra = {} }) {
+        await this.storage.appendMessage(chat.id, message);
+        const messages = await this.storage.getMessages(chat.id);
+
+        this.api.sendChatAction(chatId, 'typing', extra).catch(error => {
+            console.warn(`⚠️ ${error.message}`);
+        });
+
+        const request = this.buildChatRequest({
+            model: this.chatModel(chat).id,
+            messages: [
+                { role: 'system', content: prompt },
+                ...messages.slice(-HISTORY_LIMIT).map(message => ({
+                    role: message.type === 'user' ? 'user' : 'assistant',
+                    content: message.text
+                }))
+            ]
+        });
+
+        let answer;
+        try {
+            const { provider, completion } = await this.providers.complete(request, { credentials });
+            const content = completion.choices?.[0]?.message?.content;
+            if (!content) {
+                throw new Error(`${provider} returned an empty answer`);
+            }
+            answer = chatMessage('ai', content, { provider });
+        } catch (error) {
+            console.warn(`⚠️ Telegram completion failed: ${error.message}`);
+            return this.api.sendMessage(chatId, '⚠️ Не удалось получить ответ от модели. Попробуйте еще раз позже.', extra);
+        }
+
+        await this.storage.appendMessage(chat.id, answer);
+        console.log(`🤖 Telegram answer for ${chat.userId} served by ${answer.provider}`);
+        return this.api.sendMessage(chatId, answer.text, extra);
+    }
+
+    // ==================== GROUPS ====================
+
+    // Only messages meant for the bot are answered: commands (not addressed
+    // to another bot), mentions and replies to the bot's messages
+    async handleGroupMessage(message) {
+        const text = message.text;
+        if (!text) return;
+
+        const me = await this.botUser();
+        const command = parseCommand(text);
+        if (command?.bot && command.bot.toLowerCase() !== me.username.toLowerCase()) return;
+        if (!command && !mentions(message, me) && message.reply_to_message?.from?.id !== me.id) return;
+
+        // Members need no account, but disabled users stay ignored
+        const sender = await this.storage.findUserByTelegramId(message.from.id);
+        if (sender?.disabled) return;
+
+        const chatId = message.chat.id;
+        const extra = {
+            ...(threadOf(message) && { message_thread_id: threadOf(message) }),
+            reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true }
+        };
+
+        if (!command) {
+            const question = text.replace(new RegExp(`@${me.username}\\b`, 'gi'), '').trim();
+            if (!question) {
+                return this.api.sendMessage(chatId, GROUP_HELP_TEXT, extra);
+            }
+            const chat = await this.groupChat(message.chat, threadOf(message));
+            return this.respond(chat, chatId, chatMessage('user', `${authorName(message.from)}: ${question}`), {
+                credentials: {},
+                prompt: groupSystemPrompt(message.chat.title),
+                extra
+            });
+        }
+
+        const adminOnly = ['model', 'settings', 'new', 'clear'].includes(command.command);
+        if (adminOnly && !await this.isGroupAdmin(message.chat, message.from, message.sender_chat)) {
+            return this.api.sendMessage(chatId, ADMIN_ONLY_TEXT, extra);
+        }
+
+        switch (command.command) {
+            case 'start':
+            case 'help':
+                return this.api.sendMessage(chatId, GROUP_HELP_TEXT, extra);
+            case 'image':
+            case 'video':
+                return this.groupGenerate(message, command.command, command.args, extra);
+            case 'model': {
+                const [menu, buttons] = await this.groupModelList(message.chat);
+                return this.api.sendMessage(chatId, menu, { ...extra, ...buttons });
+            }
+            case 'settings': {
+                const [menu, buttons] = await this.groupSettings(message.chat, threadOf(message));
+                return this.api.sendMessage(chatId, menu, { ...extra, ...buttons });
+            }
+            case 'new':
+            case 'clear':
+                return this.clearGroupChat(message.chat, threadOf(message), extra);
+            case 'chats':
+                return this.api.sendMessage(chatId, 'Эта команда работает только в личном чате с ботом.', extra);
+            default:
+                // Unaddressed commands may be meant for another bot
+                if (!command.bot) return;
+                return this.api.sendMessage(chatId, `Неизвестная команда /${command.command}.\n\n${GROUP_HELP_TEXT}`, extra);
+        }
+    }
+
+    // Buttons of /model and /settings in groups; pressed by admins only
+    async handleGroupCallbackQuery(query) {
+        const message = query.message;
+        if (!await this.isGroupAdmin(message.chat, query.from)) {
+            return this.api.answerCallbackQuery(query.id, ADMIN_ONLY_TEXT);
+        }
+
+        const chatId = message.chat.id;
+        const threadId = threadOf(message);
+        const extra = threadId ? { message_thread_id: threadId } : {};
+        const [action, argument] = String(query.data || '').split(/:(.*)/s);
+        let notice = null;
+
+        if (action === 'model') {
+            const model = this.models.get(argument);
+            if (!model || model.type !== 'text') {
+                return this.api.answerCallbackQuery(query.id, 'Модель недоступна');
+            }
+            await this.setGroupModel(message.chat, threadId, model.id);
+            await this.api.editMessageText(chatId, message.message_id, `🤖 Модель группы: ${model.icon} ${model.name}`);
+            notice = `Модель: ${model.name}`;
+        } else if (action === 'settings') {
+            if (argument === 'model') {
+                const [menu, buttons] = await this.groupModelList(message.chat);
+                await this.api.sendMessage(chatId, menu, { ...extra, ...buttons });
+            } else if (argument === 'clear') {
+                await this.clearGroupChat(message.chat, threadId, extra);
+            }
+        }
+
+        return this.api.answerCallbackQuery(query.id, notice);
+    }
+
+    // Anonymous admins write as the group itself (sender_chat)
+    async isGroupAdmin(chat, from, senderChat = null) {
+        if (senderChat?.id === chat.id) return true;
+        try {
+            const member = await this.api.getChatMember(chat.id, from.id);
+            return ADMIN_STATUSES.includes(member.status);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message}`);
+            return false;
+        }
+    }
+
+    // The stored chat of a group thread; a new thread gets the model the
+    // rest of the group uses
+    async groupChat(telegramChat, threadId) {
+        const id = groupChatId(telegramChat.id, threadId);
+        const existing = await this.storage.findChat(id);
+        if (existing) return existing;
+
+        const [sibling] = await this.storage.listChatsByUser(GROUP_OWNER_PREFIX + telegramChat.id);
+        const now = new Date().toISOString();
+        const chat = {
+            id,
+            userId: GROUP_OWNER_PREFIX + telegramChat.id,
+            title: shorten(telegramChat.title || 'Группа') + (threadId ? ` #${threadId}` : ''),
+            messages: [],
+            model: sibling?.model || this.models.defaultModel,
+            source: 'telegram-group',
+            createdAt: now,
+            updatedAt: now
+        };
+        await this.storage.createChat(chat);
+        return chat;
+    }
+
+    // The model is the same in every thread of the group
+    async setGroupModel(telegramChat, threadId, model) {
+        await this.groupChat(telegramChat, threadId);
+        const now = new Date().toISOString();
+        for (const chat of await this.storage.listChatsByUser(GROUP_OWNER_PREFIX + telegramChat.id)) {
+            await this.storage.updateChat(chat.id, { model, updatedAt: now });
+        }
+    }
+
+    async groupModel(telegramChat) {
+        const [chat] = await this.storage.listChatsByUser(GROUP_OWNER_PREFIX + telegramChat.id);
+        return this.chatModel(chat);
+    }
+
+    async groupModelList(telegramChat) {
+        const selected = await this.groupModel(telegramChat);
+        const buttons = this.models.list({ type: 'text' }).map(model => ({
+            text: `${model.id === selected.id ? '✅ ' : ''}${model.icon} ${model.name}`,
+            callback_data: `model:${model.id}`
+        }));
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 2) {
+            rows.push(buttons.slice(i, i + 2));
+        }
+        return [`🤖 Модель группы: ${selected.name}\nВыберите модель:`, keyboard(rows)];
+    }
+
+    async groupSettings(telegramChat, threadId) {
+        const chat = await this.storage.findChat(groupChatId(telegramChat.id, threadId));
+        const model = await this.groupModel(telegramChat);
+
+        const lines = [
+            '⚙️ Настройки группы',
+            `🤖 Модель: ${model.icon} ${model.name}`,
+            `💬 Сообщений в разговоре: ${chat ? chat.messages.length : 0}`
+        ];
+        return [lines.join('\n'), keyboard([
+            [{ text: '🤖 Модель', callback_data: 'settings:model' }, { text: '🧹 Очистить', callback_data: 'settings:clear' }]
+        ])];
+    }
+
+    async clearGroupChat(telegramChat, threadId, extra) {
+        const chat = await this.storage.findChat(groupChatId(telegramChat.id, threadId));
+        if (chat) {
+            await this.storage.updateChat(chat.id, { messages: [], updatedAt: new Date().toISOString() });
+        }
+        return this.api.sendMessage(telegramChat.id, '🧹 Разговор начат заново.', extra);
+    }
+
+    async groupGenerate(message, kind, prompt, extra) {
+        const buffer = await this.sendGenerated(message.chat.id, kind, prompt, extra);
+        if (!buffer) return;
+
+        const chat = await this.groupChat(message.chat, threadOf(message));
+        await this.storage.appendMessage(chat.id, chatMessage('user', `${authorName(message.from)}: ${message.text}`));
+        await this.storage.appendMessage(chat.id, generatedMessage(kind, buffer));
+        console.log(`🎨 Telegram ${kind} in group ${message.chat.id}: ${prompt}`);
+    }
+}
+
+module.exports = { TelegramBot, COMMANDS, GROUP_COMMANDS, HISTORY_LIMIT };
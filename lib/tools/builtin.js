@@ -0,0 +1,76 @@
+// Built-in tools for the web chat: current time, calculator and image
+// generation (through the same generator as /api/generate/image)
+
+const { evaluate } = require('./calculator');
+
+const currentTime = {
+    name: 'get_current_time',
+    description: 'Get the current date and time, optionally in a given IANA time zone (e.g. "Europe/Moscow").',
+    parameters: {
+        type: 'object',
+        properties: {
+            timezone: { type: 'string', description: 'IANA time zone name; UTC if omitted' }
+        }
+    },
+    async run({ timezone = 'UTC' }) {
+        const now = new Date();
+        let local;
+        try {
+            local = new Intl.DateTimeFormat('en-GB', {
+                timeZone: timezone,
+                dateStyle: 'full',
+                timeStyle: 'long'
+            }).format(now);
+        } catch (error) {
+            throw new Error(`Unknown time zone "${timezone}"`);
+        }
+        return { iso: now.toISOString(), timezone, local };
+    }
+};
+
+const calculator = {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, sin, cos, tan, ln, log, exp.',
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: 'The expression, e.g. "(2 + 3) * sqrt(16)"' }
+        },
+        required: ['expression']
+    },
+    async run({ expression }) {
+        return { expression, result: evaluate(expression) };
+    }
+};
+
+function imageGeneration(images) {
+    return {
+        name: 'generate_image',
+        description: 'Generate an image from a text description. The image is shown to the user automatically.',
+        parameters: {
+            type: 'object',
+            properties: {
+                prompt: { type: 'string', description: 'Detailed description of the image, in English' },
+                width: { type: 'integer', description: 'Width in pixels (default 1024)' },
+                height: { type: 'integer', description: 'Height in pixels (default 1024)' }
+            },
+            required: ['prompt']
+        },
+        async run({ prompt, width = 1024, height = 1024 }, { signal } = {}) {
+            if (!prompt) {
+                throw new Error('prompt is required');
+            }
+            const image = await images.generate(prompt, { provider: 'stable-diffusion', width, height, signal });
+            return {
+                result: {
+                    status: 'generated',
+                    model: image.model,
+                    note: 'The image is already shown to the user; do not repeat it in your answer.'
+                },
+                image: `data:image/png;base64,${image.buffer.toString('base64')}`
+            };
+        }
+    };
+}
+
+module.exports = { currentTime, calculator, imageGeneration };
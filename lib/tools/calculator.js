@@ -0,0 +1,146 @@
+// Arithmetic expression evaluator for the calculator tool
+//
+// A small recursive-descent parser - model-supplied input never reaches
+// eval(). Supports + - * / % ^, parentheses, unary minus, the constants pi
+// and e and a few Math functions.
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    ln: Math.log,
+    log: Math.log10,
+    exp: Math.exp
+};
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+const MAX_LENGTH = 500;
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/%^(),])/iy;
+    let index = 0;
+
+    while (index < expression.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(expression);
+        if (!match) {
+            if (/^\s*$/.test(expression.slice(index))) break;
+            throw new Error(`Unexpected character "${expression[index]}" at position ${index + 1}`);
+        }
+        tokens.push(match[1].toLowerCase());
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+function evaluate(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Expression is empty');
+    }
+    if (expression.length > MAX_LENGTH) {
+        throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+    }
+
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) {
+            throw new Error(`Expected "${token}"`);
+        }
+    };
+
+    // sum := product (("+" | "-") product)*
+    function sum() {
+        let value = product();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + product() : value - product();
+        }
+        return value;
+    }
+
+    // product := unary (("*" | "/" | "%") unary)*
+    function product() {
+        let value = unary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = next();
+            const right = unary();
+            if (operator === '*') value *= right;
+            else if (operator === '/') value /= right;
+            else value %= right;
+        }
+        return value;
+    }
+
+    // unary := "-" unary | "+" unary | power
+    function unary() {
+        if (peek() === '-') {
+            next();
+            return -unary();
+        }
+        if (peek() === '+') {
+            next();
+            return unary();
+        }
+        return power();
+    }
+
+    // power := primary ("^" unary)?  (right-associative)
+    function power() {
+        const base = primary();
+        if (peek() === '^') {
+            next();
+            return Math.pow(base, unary());
+        }
+        return base;
+    }
+
+    // primary := number | constant | function "(" sum ")" | "(" sum ")"
+    function primary() {
+        const token = next();
+        if (token === undefined) {
+            throw new Error('Unexpected end of expression');
+        }
+        if (token === '(') {
+            const value = sum();
+            expect(')');
+            return value;
+        }
+        if (/^[\d.]/.test(token)) {
+            return Number(token);
+        }
+        if (token in CONSTANTS) {
+            return CONSTANTS[token];
+        }
+        if (token in FUNCTIONS) {
+            expect('(');
+            const value = sum();
+            expect(')');
+            return FUNCTIONS[token](value);
+        }
+        throw new Error(`Unknown token "${token}"`);
+    }
+
+    const result = sum();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}"`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new Error('The result is not a finite number');
+    }
+    return result;
+}
+
+module.exports = { evaluate };
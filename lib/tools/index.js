@@ -0,0 +1,188 @@
+// Tools the model can call, and the loop that runs them
+//
+// A tool is { name, description, parameters (JSON schema), run(args, context) }.
+// run() resolves to the result for the model (anything JSON-serializable), or
+// to { result, image } when it also has an image to show the user. Errors
+// are handed back to the model as { error } so it can recover.
+//
+// streamWithTools()/completeWithTools() send the request with the tool
+// definitions; whenever the model answers with tool_calls, the calls are run,
+// their results are appended to the conversation and the model is asked
+// again - at most MAX_TOOL_ROUNDS times.
+
+const { currentTime, calculator, imageGeneration } = require('./builtin');
+
+const MAX_TOOL_ROUNDS = 5;
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    register(tool) {
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool "${tool.name}" is already registered`);
+        }
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    // OpenAI "tools" array for the request
+    definitions() {
+        return [...this.tools.values()].map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters
+            }
+        }));
+    }
+
+    // Run one tool call from the model. Resolves to
+    // { id, name, arguments, result, error, image } where `result` is the
+    // string handed back to the model.
+    async run(call, context = {}) {
+        const name = call.function?.name;
+        const invocation = { id: call.id, name, arguments: call.function?.arguments || '{}', error: false, image: null };
+        const tool = this.get(name);
+
+        try {
+            if (!tool) {
+                throw new Error(`Unknown tool "${name}"`);
+            }
+
+            let args;
+            try {
+                args = JSON.parse(invocation.arguments || '{}');
+            } catch (error) {
+                throw new Error('Arguments are not valid JSON');
+            }
+
+            const output = await tool.run(args || {}, context);
+            const hasImage = output && typeof output === 'object' && 'image' in output;
+            invocation.image = hasImage ? output.image : null;
+            invocation.result = JSON.stringify(hasImage ? output.result : output);
+            console.log(`🔧 Tool ${name} called`);
+        } catch (error) {
+            if (context.signal?.aborted) throw error;
+            console.warn(`⚠️ Tool ${name} failed: ${error.message}`);
+            invocation.error = true;
+            invocation.result = JSON.stringify({ error: error.message });
+        }
+        return invocation;
+    }
+}
+
+// Collect streamed tool_call deltas into whole calls
+function mergeToolCallDeltas(calls, deltas) {
+    for (const delta of deltas) {
+        const index = delta.index ?? calls.length;
+        if (!calls[index]) {
+            calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const call = calls[index];
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.function.name += delta.function.name;
+        if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+    }
+}
+
+// The request for the next round: the assistant's calls and their results
+// appended, and no more tool calls once the round limit is reached
+function nextRound(request, content, calls, invocations, round) {
+    const next = {
+        ...request,
+        messages: [
+            ...request.messages,
+            { role: 'assistant', content: content || null, tool_calls: calls },
+            ...invocations.map(invocation => ({
+                role: 'tool',
+                tool_call_id: invocation.id,
+                content: invocation.result
+            }))
+        ]
+    };
+    if (round >= MAX_TOOL_ROUNDS) {
+        next.tool_choice = 'none';
+    }
+    return next;
+}
+
+// Async iterator of completion chunks (with `provider`) across all rounds.
+// After each tool call a { tool: invocation } event is yielded. `first` is
+// the already started { provider, chunks } of the first round, so that its
+// errors can still be answered with a status code.
+async function* streamWithTools(providers, request, options, tools, context, first) {
+    let current = first;
+
+    for (let round = 1; ; round++) {
+        const calls = [];
+        let content = '';
+
+        for await (const chunk of current.chunks) {
+            const delta = chunk.choices?.[0]?.delta;
+            if (delta?.tool_calls) {
+                mergeToolCallDeltas(calls, delta.tool_calls);
+            }
+            content += delta?.content || '';
+            yield { ...chunk, provider: current.provider };
+        }
+
+        if (calls.length === 0 || round > MAX_TOOL_ROUNDS) return;
+
+        const invocations = [];
+        for (const call of calls) {
+            const invocation = await tools.run(call, context);
+            invocations.push(invocation);
+            yield { tool: invocation, provider: current.provider };
+        }
+
+        request = nextRound(request, content, calls, invocations, round);
+        current = await providers.stream(request, options);
+    }
+}
+
+// Resolves to { provider, completion, toolCalls } with the final completion
+// and every tool invocation made on the way
+async function completeWithTools(providers, request, options, tools, context) {
+    const toolCalls = [];
+
+    for (let round = 1; ; round++) {
+        const { provider, completion } = await providers.complete(request, options);
+        const message = completion.choices?.[0]?.message;
+        const calls = message?.tool_calls || [];
+
+        if (calls.length === 0 || round > MAX_TOOL_ROUNDS) {
+            return { provider, completion, toolCalls };
+        }
+
+        const invocations = [];
+        for (const call of calls) {
+            invocations.push(await tools.run(call, context));
+        }
+        toolCalls.push(...invocations);
+
+        request = nextRound(request, message.content, calls, invocations, round);
+    }
+}
+
+// The tools the web chat offers every model that supports tool calling
+function createBuiltinTools({ images }) {
+    return new ToolRegistry()
+        .register(currentTime)
+        .register(calculator)
+        .register(imageGeneration(images));
+}
+
+module.exports = {
+    ToolRegistry,
+    createBuiltinTools,
+    streamWithTools,
+    completeWithTools,
+    MAX_TOOL_ROUNDS
+};
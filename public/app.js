@@ -5,22 +5,29 @@ class ChatApp {
         // API URL - same origin (backend and frontend on same port)
         this.API_URL = `${window.location.origin}/api`;
         console.log('ChatApp API URL:', this.API_URL);
-        this.currentModel = 'gpt-5';
+        // Model catalog from the server (see loadModels)
+        this.models = [];
+        this.defaultModel = null;
+        this.currentModel = null;
         this.messages = [];
         this.isTyping = false;
         this.attachedFiles = [];
+        // Aborts the request in flight when the stop button is pressed
+        this.abortController = null;
         
         // Chat system
         this.currentChatId = null;
         this.chats = {};
         
-        // User's API key (generated per user)
-        this.userApiKey = this.getUserApiKey();
+        // Full API key, known only right after it was created on the server
+        this.userApiKey = null;
+        this.pendingLink = null;
+        // Keys from the old in-browser generator never worked with the API
+        localStorage.removeItem('ai_chat_api_keys');
         
         // Initialize immediately - DOM should be ready when this is called
         this.setupEventListeners();
         this.autoResizeTextarea();
-        this.displayApiKey();
         // Initialize chat system asynchronously
         this.initializeChatSystem().catch(error => {
             console.error('Failed to initialize chat system:', error);
@@ -31,15 +38,16 @@ class ChatApp {
     }
 
     setupEventListeners() {
-        // Model selection
-        const modelButtons = document.querySelectorAll('.model-btn');
-        console.log('Found model buttons:', modelButtons.length);
-        modelButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
+        // Model selection - the buttons are rendered from the catalog later
+        const modelList = document.getElementById('modelList');
+        if (modelList) {
+            modelList.addEventListener('click', (e) => {
+                const btn = e.target.closest('.model-btn');
+                if (!btn) return;
                 console.log('Model clicked:', btn.dataset.model);
                 this.selectModel(btn.dataset.model);
             });
-        });
+        }
 
         // Send message
         const sendBtn = document.getElementById('sendBtn');
@@ -50,6 +58,14 @@ class ChatApp {
             });
         }
 
+        // Stop the answer being generated
+        const stopBtn = document.getElementById('stopBtn');
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => {
+                this.stopGeneration();
+            });
+        }
+
         // Enter to send (Shift+Enter for new line)
         const messageInput = document.getElementById('messageInput');
         if (messageInput) {
@@ -104,6 +120,35 @@ class ChatApp {
             });
         }
 
+        const saveOpenRouterKeyBtn = document.getElementById('saveOpenRouterKeyBtn');
+        if (saveOpenRouterKeyBtn) {
+            saveOpenRouterKeyBtn.addEventListener('click', () => {
+                this.updateOpenRouterKey();
+            });
+        }
+
+        const removeOpenRouterKeyBtn = document.getElementById('removeOpenRouterKeyBtn');
+        if (removeOpenRouterKeyBtn) {
+            removeOpenRouterKeyBtn.addEventListener('click', () => {
+                this.updateOpenRouterKey(true);
+            });
+        }
+
+        // Account linking forms are re-rendered, so their events are delegated
+        const accountActions = document.getElementById('accountActions');
+        if (accountActions) {
+            accountActions.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleAccountForm(e.target);
+            });
+            accountActions.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) {
+                    this.handleAccountAction(button.dataset.action, button.dataset.strategy);
+                }
+            });
+        }
+
         const closeModalBtn = document.getElementById('closeModalBtn');
         if (closeModalBtn) {
             closeModalBtn.addEventListener('click', () => {
@@ -190,23 +235,58 @@ class ChatApp {
         console.log('Event listeners setup complete');
     }
 
+    // Load the model catalog and build the sidebar from it
+    async loadModels() {
+        try {
+            const response = await fetch(`${this.API_URL}/models`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.models = data.models.filter(m => m.type === 'text');
+            this.defaultModel = data.defaultModel;
+            this.currentModel = this.defaultModel;
+            console.log('Loaded models:', this.models.length);
+        } catch (error) {
+            console.error('Failed to load models:', error);
+            this.showToast('Не удалось загрузить список моделей', 'error');
+        }
+        
+        this.renderModelList();
+    }
+    
+    renderModelList() {
+        const modelList = document.getElementById('modelList');
+        if (!modelList) return;
+        
+        modelList.innerHTML = this.models.map(model => `
+            <button class="model-btn${model.id === this.currentModel ? ' active' : ''}" data-model="${this.escapeHtml(model.id)}">
+                <div class="model-icon">${this.escapeHtml(model.icon)}</div>
+                <div class="model-info">
+                    <div class="model-name">${this.escapeHtml(model.name)}</div>
+                    <div class="model-desc">${this.escapeHtml(model.description)}</div>
+                </div>
+            </button>
+        `).join('');
+    }
+    
     selectModel(modelId) {
-        this.currentModel = modelId;
+        // A chat may still point at a model that has since been turned off
+        const model = this.models.find(m => m.id === modelId) || this.models.find(m => m.id === this.defaultModel);
+        if (!model) return;
+        this.currentModel = model.id;
         
         // Update UI
         document.querySelectorAll('.model-btn').forEach(btn => {
-            btn.classList.remove('active');
+            btn.classList.toggle('active', btn.dataset.model === model.id);
         });
         
-        const selectedBtn = document.querySelector(`[data-model="${modelId}"]`);
-        selectedBtn.classList.add('active');
-        
         // Update current model display
-        const modelName = selectedBtn.querySelector('.model-name').textContent;
-        document.getElementById('currentModelName').textContent = modelName;
+        document.getElementById('currentModelName').textContent = model.name;
         
         // Show toast notification
-        this.showToast(`Модель изменена на ${modelName}`, 'info');
+        this.showToast(`Модель изменена на ${model.name}`, 'info');
     }
 
     async sendMessage() {
@@ -228,6 +308,9 @@ class ChatApp {
         // Save files before clearing
         const filesToSend = [...this.attachedFiles];
         
+        // Messages from here on are new and get appended on the server
+        const firstNewMessage = this.messages.length;
+        
         // Add user message to UI (with files if attached)
         this.addMessage(message || 'Прикрепленные файлы', 'user', this.attachedFiles);
         
@@ -237,16 +320,26 @@ class ChatApp {
         
         // Show typing indicator
         this.showTypingIndicator();
+        const streamingMessage = this.createStreamingMessage();
+        this.abortController = new AbortController();
         
         try {
             // Call API with message and files
-            const response = await this.callAIAPI(message, filesToSend);
+            const response = await this.callAIAPI(message, filesToSend, streamingMessage.update, streamingMessage.addTool);
             
-            // Remove typing indicator
+            // Remove typing indicator and the streamed draft
+            streamingMessage.remove();
             this.hideTypingIndicator();
             
             // Add AI response
-            if (typeof response === 'object' && response.type === 'image') {
+            if (typeof response === 'object' && response.type === 'interrupted') {
+                this.addInterruptedMessage(response.text, response.provider);
+            } else if (typeof response === 'object' && response.type === 'text') {
+                this.addMessage(response.text, 'ai', [], response.image, null, {
+                    provider: response.provider,
+                    toolCalls: response.toolCalls
+                });
+            } else if (typeof response === 'object' && response.type === 'image') {
                 // Image response
                 this.addMessage('🎨 Изображение успешно сгенерировано:', 'ai', [], response.url);
             } else if (typeof response === 'object' && response.type === 'video') {
@@ -259,17 +352,19 @@ class ChatApp {
             
         } catch (error) {
             console.error('API Error:', error);
+            streamingMessage.remove();
             this.hideTypingIndicator();
-            this.addMessage('Извините, произошла ошибка при обработке вашего запроса. Пожалуйста, попробуйте снова.', 'ai');
+            this.addMessage(this.describeCompletionError(error), 'ai');
         }
+        this.abortController = null;
         
         // Save chat after message
         if (this.currentChatId && this.chats[this.currentChatId]) {
-            console.log('[SAVE] Saving chat after message. Messages:', this.messages.length);
-            this.chats[this.currentChatId].messages = this.messages;
+            console.log('[SAVE] Saving new messages:', this.messages.length - firstNewMessage);
             this.chats[this.currentChatId].model = this.currentModel;
-            const saved = await this.updateChat(this.currentChatId, {
-                messages: this.messages,
+            const saved = await this.saveMessages(this.currentChatId, {
+                messages: this.messages.slice(firstNewMessage)
+            }) && await this.updateChat(this.currentChatId, {
                 model: this.currentModel
             });
             if (saved) {
@@ -285,7 +380,7 @@ class ChatApp {
         input.focus();
     }
 
-    async callAIAPI(userMessage, files = []) {
+    async callAIAPI(userMessage, files = [], onDelta = null, onTool = null) {
         // Store user message with files info
         this.messages.push({
             type: 'user',
@@ -311,6 +406,9 @@ class ChatApp {
                     return { type: 'image', url: imageUrl };
                 }
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    return this.interruptedResponse('');
+                }
                 console.error('Image generation failed:', error);
             }
         }
@@ -329,6 +427,9 @@ class ChatApp {
                     return { type: 'video', url: videoUrl };
                 }
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    return this.interruptedResponse('');
+                }
                 console.error('Video generation failed:', error);
                 const fallbackMessage = 'ℹ️ Генерация видео временно недоступна. Попробуйте генерацию изображений или задайте текстовый вопрос.';
                 this.messages.push({
@@ -340,61 +441,44 @@ class ChatApp {
             }
         }
         
-        // Normal text conversation
-        try {
-            // Try Clacky Proxy API first (primary API)
-            const response = await this.tryClackyProxyAPI(userMessage, files);
-            if (response) {
-                this.messages.push({
-                    type: 'ai',
-                    text: response,
-                    timestamp: new Date()
-                });
-                return response;
-            }
-        } catch (error) {
-            console.error('Clacky Proxy API failed:', error);
+        // Normal text conversation - the server walks the model's provider
+        // chain; if every provider fails the error is shown as is
+        const result = await this.requestCompletion(files, onDelta, onTool);
+        if (result.interrupted) {
+            return this.interruptedResponse(result.text, result.provider);
         }
         
-        // Fallback to other APIs
-        const fallbackApis = [
-            () => this.tryOpenRouterAPI(userMessage, files),
-            () => this.tryHuggingFaceAPI(userMessage)
-        ];
-        
-        for (const apiCall of fallbackApis) {
-            try {
-                const response = await apiCall();
-                if (response) {
-                    this.messages.push({
-                        type: 'ai',
-                        text: response,
-                        timestamp: new Date()
-                    });
-                    return response;
-                }
-            } catch (error) {
-                console.log('Fallback API attempt failed, trying next...');
-                continue;
-            }
-        }
-        
-        // All APIs failed, use smart fallback
-        const fallbackResponse = this.generateSmartResponse(userMessage);
+        // Tool calls are stored without their images; a generated image
+        // goes on the message itself
+        const toolCalls = result.toolCalls.map(({ image, ...call }) => call);
         this.messages.push({
             type: 'ai',
-            text: fallbackResponse,
+            text: result.text,
+            provider: result.provider,
+            image: result.image,
+            toolCalls: toolCalls,
             timestamp: new Date()
         });
-        return fallbackResponse;
+        return { type: 'text', text: result.text, provider: result.provider, image: result.image, toolCalls };
     }
     
-    async tryClackyProxyAPI(userMessage, files = []) {
-        // Use Clacky's proxy API with the provided key
-        const CLACKY_API_KEY = 'sk-SJeu29HwKbFU3Bx-ixW9oA';
-        const CLACKY_PROXY_URL = 'https://proxy.clacky.ai/v1/chat/completions';
-        
-        // Prepare conversation history
+    // The user pressed stop: keep what was generated so far, marked as interrupted
+    interruptedResponse(text, provider = null) {
+        if (text) {
+            this.messages.push({
+                type: 'ai',
+                text: text,
+                interrupted: true,
+                provider: provider,
+                timestamp: new Date()
+            });
+        }
+        return { type: 'interrupted', text, provider };
+    }
+    
+    // Build the OpenAI-style conversation for the current message:
+    // system prompt, recent history and the attached files
+    async buildConversation(files = []) {
         const conversationHistory = [];
         
         // Add system message with current date/time and search capabilities
@@ -441,10 +525,10 @@ class ChatApp {
                 const content = [];
                 
                 // Add text message
-                if (userMessage) {
+                if (currentMsg && currentMsg.text) {
                     content.push({
                         type: 'text',
-                        text: userMessage
+                        text: currentMsg.text
                     });
                 }
                 
@@ -479,276 +563,147 @@ class ChatApp {
             }
         }
         
-        // Map our model IDs to Clacky proxy models
-        const modelMap = {
-            'gpt-5': 'gpt-5',
-            'gpt-5-pro': 'gpt-5-pro',
-            'gpt-5-mini': 'gpt-5-mini',
-            'claude-sonnet-4': 'claude-sonnet-4',
-            'claude-3.7-sonnet': 'claude-3.7-sonnet',
-            'claude-3.7-sonnet-think': 'claude-3.7-sonnet-think',
-            'gemini-2.5-pro': 'gemini-2.5-pro',
-            'gemini-2.5-flash': 'gemini-2.5-flash',
-            'deepseek-r1': 'deepseek-r1',
-            'deepseek-chat': 'deepseek-chat',
-            'deepseek-reasoner': 'deepseek-reasoner'
-        };
-        
-        const modelId = modelMap[this.currentModel] || 'gpt-5';
-        
-        console.log(`Calling Clacky Proxy API with model: ${modelId}`, files.length > 0 ? `with ${files.length} file(s)` : '');
-        
-        const response = await fetch(CLACKY_PROXY_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${CLACKY_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: modelId,
-                messages: conversationHistory,
-                temperature: 0.7,
-                max_tokens: 30000
-            })
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Clacky API error:', response.status, errorText);
-            return null;
-        }
-        
-        const data = await response.json();
-        console.log('Clacky API response:', data);
-        
-        if (data.choices && data.choices[0] && data.choices[0].message) {
-            return data.choices[0].message.content;
-        }
-        
-        return null;
+        return conversationHistory;
     }
     
-    // Helper function to convert file to base64
-    async fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                // Remove data URL prefix to get pure base64
-                const base64 = reader.result.split(',')[1];
-                resolve(base64);
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
-    }
-    
-    async tryOpenRouterAPI(userMessage, files = []) {
-        const storedKey = localStorage.getItem('openrouter_api_key');
-        if (!storedKey) return null;
-        
-        const conversationHistory = [];
-        
-        // Add system message with current date/time
-        const systemMessage = this.getSystemMessage();
-        conversationHistory.push({
-            role: 'system',
-            content: systemMessage
-        });
+    // Ask our backend for a completion; it picks the provider and holds
+    // every provider key. The answer is streamed: onDelta(text) gets the
+    // text received so far after every chunk. The model may call the
+    // built-in tools on the way; onTool(call) gets each call as it is made.
+    // Resolves to { text, provider, interrupted, toolCalls, image }; throws
+    // if no provider answered.
+    async requestCompletion(files = [], onDelta = null, onTool = null) {
+        const messages = await this.buildConversation(files);
+        
+        console.log(`Requesting completion with model: ${this.currentModel}`, files.length > 0 ? `with ${files.length} file(s)` : '');
+        
+        let text = '';
+        let provider = null;
+        let image = null;
+        const toolCalls = [];
         
-        // Add previous messages
-        for (const msg of this.messages.slice(-10)) {
-            if (msg.files && msg.files.length > 0) {
-                conversationHistory.push({
-                    role: msg.type === 'user' ? 'user' : 'assistant',
-                    content: msg.text + ` [${msg.files.length} файл(ов) прикреплено]`
-                });
-            } else {
-                conversationHistory.push({
-                    role: msg.type === 'user' ? 'user' : 'assistant',
-                    content: msg.text
-                });
+        try {
+            const response = await fetch(`${this.API_URL}/chat/completions`, {
+                method: 'POST',
+                headers: this.getAuthHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    model: this.currentModel,
+                    messages,
+                    // temperature and max_tokens come from the model's catalog defaults
+                    stream: true,
+                    builtinTools: true
+                }),
+                signal: this.abortController?.signal
+            });
+            
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                console.error('Chat completion error:', response.status, data);
+                const error = new Error(data.error || `HTTP ${response.status}`);
+                error.code = data.code;
+                throw error;
             }
-        }
-        
-        // Handle files for current message
-        if (files && files.length > 0) {
-            try {
-                const fileContents = await Promise.all(
-                    files.map(file => this.fileToBase64(file))
-                );
-                
-                const content = [];
-                
-                if (userMessage) {
-                    content.push({
-                        type: 'text',
-                        text: userMessage
-                    });
+            
+            for await (const chunk of this.readEventStream(response)) {
+                if (chunk.error) {
+                    // The provider broke off mid-answer: keep what arrived
+                    console.error('Chat completion stream error:', chunk.error.message);
+                    if (!text) throw new Error(chunk.error.message);
+                    return { text, provider, interrupted: true, toolCalls, image };
                 }
                 
-                for (let i = 0; i < files.length; i++) {
-                    const file = files[i];
-                    const base64 = fileContents[i];
-                    
-                    if (file.type.startsWith('image/')) {
-                        content.push({
-                            type: 'image_url',
-                            image_url: {
-                                url: `data:${file.type};base64,${base64}`
-                            }
-                        });
-                    }
+                provider = provider || chunk.provider;
+                if (chunk.tool) {
+                    toolCalls.push(chunk.tool);
+                    image = chunk.tool.image || image;
+                    if (onTool) onTool(chunk.tool);
+                    continue;
                 }
                 
-                if (conversationHistory.length > 0) {
-                    conversationHistory[conversationHistory.length - 1].content = content;
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    if (onDelta) onDelta(text);
                 }
-            } catch (error) {
-                console.error('Error processing files for OpenRouter:', error);
             }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('⏹ Completion stopped by the user');
+                return { text, provider, interrupted: true, toolCalls, image };
+            }
+            throw error;
         }
         
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${storedKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'AI Chat Platform'
-            },
-            body: JSON.stringify({
-                model: this.getOpenRouterModelId(this.currentModel),
-                messages: conversationHistory,
-                temperature: 0.7,
-                max_tokens: 30000
-            })
-        });
+        if (!text && !image) {
+            throw new Error('Модель вернула пустой ответ');
+        }
         
-        if (!response.ok) return null;
-        const data = await response.json();
-        return data.choices[0].message.content;
+        console.log(`Completion served by ${provider}`, toolCalls.length > 0 ? `with ${toolCalls.length} tool call(s)` : '');
+        return { text, provider, interrupted: false, toolCalls, image };
     }
     
-    async tryHuggingFaceAPI(userMessage) {
-        try {
-            const response = await fetch('https://api-inference.huggingface.co/models/microsoft/DialoGPT-large', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    inputs: userMessage,
-                    parameters: {
-                        max_length: 500,
-                        temperature: 0.7
-                    }
-                })
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                if (data && data[0] && data[0].generated_text) {
-                    return data[0].generated_text;
+    // Parse the "data:" events of a Server-Sent Events response
+    async *readEventStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+                
+                try {
+                    yield JSON.parse(data);
+                } catch (error) {
+                    console.warn('Skipping malformed stream event:', data);
                 }
             }
-        } catch (e) {
-            return null;
         }
-        return null;
     }
     
-    getOpenRouterModelId(modelId) {
-        const modelMap = {
-            'gpt-5': 'openai/gpt-5',
-            'gpt-5-pro': 'openai/gpt-5-pro',
-            'claude-sonnet-4': 'anthropic/claude-sonnet-4',
-            'claude-3.7-sonnet': 'anthropic/claude-3.7-sonnet',
-            'gemini-2.5-pro': 'google/gemini-2.5-pro',
-            'gemini-2.5-flash': 'google/gemini-2.5-flash',
-            'deepseek-r1': 'deepseek/deepseek-r1',
-            'deepseek-chat': 'deepseek/deepseek-chat'
-        };
-        return modelMap[modelId] || 'openai/gpt-5';
+    // Helper function to convert file to base64
+    async fileToBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                // Remove data URL prefix to get pure base64
+                const base64 = reader.result.split(',')[1];
+                resolve(base64);
+            };
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+        });
     }
     
-    generateSmartResponse(userMessage) {
-        const lowerMessage = userMessage.toLowerCase();
+    // Human-readable text for a failed completion
+    describeCompletionError(error) {
         const modelName = this.getModelName();
         
-        // Comprehensive response patterns
-        const patterns = [
-            {
-                keywords: ['привет', 'здрав', 'hello', 'hi', 'добрый'],
-                responses: [
-                    `Здравствуйте! Я ${modelName}. Рад помочь вам с любыми вопросами. Чем могу быть полезен?`,
-                    `Привет! Я ${modelName}, и готов помочь. Задавайте вопросы!`
-                ]
-            },
-            {
-                keywords: ['как дела', 'как ты', 'how are you'],
-                responses: [
-                    `Отлично! Я ${modelName} и всегда готов помочь. Какой у вас вопрос?`
-                ]
-            },
-            {
-                keywords: ['помо', 'можешь', 'can you', 'help'],
-                responses: [
-                    `Конечно могу! Я ${modelName} и специализируюсь на помощи в различных задачах: анализ, программирование, написание текстов и многом другом. Что вам нужно?`
-                ]
-            },
-            {
-                keywords: ['спасибо', 'благодар', 'thank'],
-                responses: [
-                    `Пожалуйста! Рад был помочь. Если есть ещё вопросы - спрашивайте!`
-                ]
-            },
-            {
-                keywords: ['что такое', 'расскажи', 'what is', 'tell me'],
-                responses: [
-                    `Я ${modelName} - продвинутая языковая модель. Могу помочь с анализом, ответами на вопросы, написанием кода и созданием контента. Уточните ваш вопрос, и я постараюсь помочь.`
-                ]
-            },
-            {
-                keywords: ['код', 'code', 'программ', 'program'],
-                responses: [
-                    `Я ${modelName} и отлично разбираюсь в программировании! Могу помочь с Python, JavaScript, C++, Java и другими языками. Опишите вашу задачу, и я помогу её решить.`
-                ]
-            },
-            {
-                keywords: ['ку', 'hi', 'hey'],
-                responses: [
-                    `Привет! Я ${modelName}. Чем могу помочь? Задавайте любые вопросы!`
-                ]
-            }
-        ];
-        
-        // Find matching pattern
-        for (const pattern of patterns) {
-            if (pattern.keywords.some(keyword => lowerMessage.includes(keyword))) {
-                const randomResponse = pattern.responses[Math.floor(Math.random() * pattern.responses.length)];
-                return randomResponse;
-            }
+        switch (error.code) {
+            case 'PROVIDERS_UNAVAILABLE':
+                return `⚠️ Все провайдеры модели ${modelName} временно недоступны. Попробуйте через минуту или выберите другую модель.`;
+            case 'PROVIDERS_FAILED':
+                return `⚠️ Модель ${modelName} сейчас не отвечает: ни один провайдер не вернул ответ. Попробуйте снова или выберите другую модель.`;
+            case 'NO_PROVIDER':
+                return `⚠️ Для модели ${modelName} не настроен ни один провайдер. Добавьте свой ключ OpenRouter в окне API или выберите другую модель.`;
+            case 'MODEL_NOT_FOUND':
+                return `⚠️ Модель ${modelName} больше недоступна. Выберите другую модель.`;
+            default:
+                return `⚠️ Не удалось получить ответ от модели ${modelName}: ${error.message}`;
         }
-        
-        // Default response for unmatched queries
-        return `Я ${modelName} и понял ваш вопрос: "${userMessage.substring(0, 100)}${userMessage.length > 100 ? '...' : ''}". \n\nВ данный момент все бесплатные AI модели полностью доступны через Clacky AI Proxy! Выберите любую модель слева:\n\n🚀 GPT-5, GPT-5 Pro - новейшие модели от OpenAI\n🧠 Claude Sonnet 4, Claude 3.7 - от Anthropic\n💎 Gemini 2.5 Pro/Flash - от Google\n🔬 DeepSeek R1, DeepSeek Chat - reasoning модели\n\nПопробуйте задать вопрос снова или переформулируйте его!`;
     }
     
     getModelName() {
-        const names = {
-            'gpt-5': 'GPT-5',
-            'gpt-5-pro': 'GPT-5 Pro',
-            'gpt-5-mini': 'GPT-5 Mini',
-            'claude-sonnet-4': 'Claude Sonnet 4',
-            'claude-3.7-sonnet': 'Claude 3.7 Sonnet',
-            'claude-3.7-sonnet-think': 'Claude 3.7 Sonnet Think',
-            'gemini-2.5-pro': 'Gemini 2.5 Pro',
-            'gemini-2.5-flash': 'Gemini 2.5 Flash',
-            'deepseek-r1': 'DeepSeek R1',
-            'deepseek-chat': 'DeepSeek Chat',
-            'deepseek-reasoner': 'DeepSeek Reasoner'
-        };
-        return names[this.currentModel] || 'AI Assistant';
+        return this.models.find(m => m.id === this.currentModel)?.name || 'AI Assistant';
     }
     
     // Detect request type (text, image, or video generation)
@@ -801,23 +756,17 @@ class ChatApp {
             
             console.log('🎨 Generating image with Pollinations AI:', cleanPrompt);
             
-            // Get current user ID
-            const currentUser = JSON.parse(localStorage.getItem('ai_chat_current_user') || '{}');
-            const userId = currentUser.username;
-            
             // Call backend API to generate image with Pollinations AI
             const response = await fetch(`${this.API_URL}/generate/image`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getAuthHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ 
                     prompt: cleanPrompt, 
                     width: 1024, 
                     height: 1024,
-                    userId: userId,
                     chatId: this.currentChatId
-                })
+                }),
+                signal: this.abortController?.signal
             });
             
             if (!response.ok) {
@@ -832,6 +781,7 @@ class ChatApp {
             }
             return data.image || data.imageUrl;
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('❌ Image generation error:', error);
             return this.generateImageFallback(prompt);
         }
@@ -848,21 +798,15 @@ class ChatApp {
             
             console.log('🎥 Generating video with Pollinations AI:', cleanPrompt);
             
-            // Get current user ID
-            const currentUser = JSON.parse(localStorage.getItem('ai_chat_current_user') || '{}');
-            const userId = currentUser.username;
-            
             // Call backend API to generate video
             const response = await fetch(`${this.API_URL}/generate/video`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getAuthHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ 
                     prompt: cleanPrompt,
-                    userId: userId,
                     chatId: this.currentChatId
-                })
+                }),
+                signal: this.abortController?.signal
             });
             
             if (!response.ok) {
@@ -903,7 +847,8 @@ class ChatApp {
         }
     }
 
-    addMessage(text, type, files = [], imageUrl = null, videoUrl = null) {
+    // meta: { interrupted, provider, toolCalls } for AI messages
+    addMessage(text, type, files = [], imageUrl = null, videoUrl = null, meta = {}) {
         const messagesContainer = document.getElementById('messagesContainer');
         
         const messageDiv = document.createElement('div');
@@ -929,6 +874,14 @@ class ChatApp {
             content.appendChild(filesDiv);
         }
         
+        // Tools the model called before answering
+        if (meta.toolCalls && meta.toolCalls.length > 0) {
+            const toolsDiv = document.createElement('div');
+            toolsDiv.className = 'message-tools';
+            meta.toolCalls.forEach(call => toolsDiv.appendChild(this.renderToolCall(call)));
+            content.appendChild(toolsDiv);
+        }
+        
         // Add text with markdown support
         if (text) {
             const text_div = document.createElement('div');
@@ -949,6 +902,17 @@ class ChatApp {
             content.appendChild(text_div);
         }
         
+        // Which provider answered, and whether the answer was cut short
+        const metaParts = [];
+        if (meta.interrupted) metaParts.push('⏹ Ответ прерван');
+        if (meta.provider) metaParts.push(`⚡ ${meta.provider}`);
+        if (metaParts.length > 0) {
+            const metaDiv = document.createElement('div');
+            metaDiv.className = 'message-meta';
+            metaDiv.textContent = metaParts.join(' · ');
+            content.appendChild(metaDiv);
+        }
+        
         // Add generated image if present
         if (imageUrl) {
             const imageDiv = document.createElement('div');
@@ -959,6 +923,7 @@ class ChatApp {
             img.style.cursor = 'pointer';
             img.onclick = () => window.open(imageUrl, '_blank');
             imageDiv.appendChild(img);
+            this.addTelegramButton(imageDiv, imageUrl);
             content.appendChild(imageDiv);
         }
         
@@ -980,6 +945,7 @@ class ChatApp {
             downloadBtn.textContent = '📥 Скачать видео';
             downloadBtn.style.cssText = 'display: inline-block; margin-top: 0.5rem; padding: 0.5rem 1rem; background: var(--primary); color: white; border-radius: 8px; text-decoration: none; font-size: 0.9rem;';
             videoDiv.appendChild(downloadBtn);
+            this.addTelegramButton(videoDiv, videoUrl);
             
             content.appendChild(videoDiv);
         }
@@ -1025,6 +991,72 @@ class ChatApp {
         this.scrollToBottom();
     }
 
+    // One line of the tool list: "🔧 name(arguments) → result"
+    renderToolCall(call) {
+        const shorten = (value, length) => value.length > length ? value.slice(0, length) + '…' : value;
+        const line = document.createElement('div');
+        line.className = 'message-tool' + (call.error ? ' error' : '');
+        line.textContent = `🔧 ${call.name}(${shorten(call.arguments || '', 80)}) ${call.error ? '⚠️' : '→'} ${shorten(call.result || '', 120)}`;
+        line.title = call.result || '';
+        return line;
+    }
+
+    // "Send to Telegram" under a generated image, for users with a linked
+    // Telegram account; the server uploads it to their chat with the bot
+    addTelegramButton(container, url) {
+        const user = window.auth?.getCurrentUser();
+        if (!user?.telegramId || !url.startsWith('data:image/')) return;
+        
+        const button = document.createElement('button');
+        button.className = 'send-telegram-btn';
+        button.textContent = '📤 Отправить в Telegram';
+        button.onclick = () => this.sendToTelegram(url, button);
+        container.appendChild(button);
+    }
+
+    async sendToTelegram(url, button) {
+        // The caption is the prompt: the user message before the image
+        const index = this.messages.findIndex(msg => msg.image === url || msg.video === url);
+        const prompt = this.messages.slice(0, index).reverse().find(msg => msg.type === 'user');
+        
+        button.disabled = true;
+        try {
+            const response = await fetch(`${this.API_URL}/telegram/send-image`, {
+                method: 'POST',
+                headers: this.getAuthHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ image: url, caption: prompt?.text || '' })
+            });
+            const data = await response.json().catch(() => ({}));
+            
+            if (response.ok) {
+                this.showToast('Изображение отправлено в Telegram', 'success');
+            } else if (data.code === 'TELEGRAM_CHAT_UNAVAILABLE') {
+                this.showToast('Откройте чат с ботом и нажмите «Start», затем попробуйте снова', 'error');
+            } else {
+                this.showToast(`Не удалось отправить в Telegram: ${data.error || response.status}`, 'error');
+            }
+        } catch (error) {
+            console.error('Send to Telegram error:', error);
+            this.showToast('Не удалось отправить в Telegram', 'error');
+        }
+        button.disabled = false;
+    }
+
+    addInterruptedMessage(text, provider = null) {
+        if (text) {
+            this.addMessage(text, 'ai', [], null, null, { interrupted: true, provider });
+        } else {
+            this.addSystemMessage('⏹ Генерация остановлена');
+        }
+    }
+
+    stopGeneration() {
+        if (this.abortController) {
+            console.log('Stop button clicked');
+            this.abortController.abort();
+        }
+    }
+
     addSystemMessage(text) {
         const messagesContainer = document.getElementById('messagesContainer');
         
@@ -1039,6 +1071,8 @@ class ChatApp {
     showTypingIndicator() {
         this.isTyping = true;
         document.getElementById('sendBtn').disabled = true;
+        document.getElementById('sendBtn').style.display = 'none';
+        document.getElementById('stopBtn').style.display = '';
         
         const messagesContainer = document.getElementById('messagesContainer');
         
@@ -1065,9 +1099,92 @@ class ChatApp {
         this.scrollToBottom();
     }
 
+    // AI message bubble that shows a streamed answer as it arrives. It
+    // replaces the typing dots on the first update; once the answer is
+    // complete it is removed and the final message is added as usual.
+    // addTool(call) lists a tool call above the text.
+    createStreamingMessage() {
+        let messageDiv = null;
+        let textDiv = null;
+        let toolsDiv = null;
+        let latestText = '';
+        let renderScheduled = false;
+        
+        const render = () => {
+            renderScheduled = false;
+            if (!textDiv) return;
+            
+            // Markdown is re-rendered from the full text, so unfinished
+            // code blocks and lists fix themselves as more text arrives
+            textDiv.innerHTML = this.parseMarkdown(latestText);
+            this.scrollToBottom();
+        };
+        
+        const create = () => {
+            if (!messageDiv) {
+                const typingIndicator = document.getElementById('typingIndicator');
+                if (typingIndicator) {
+                    typingIndicator.remove();
+                }
+                
+                messageDiv = document.createElement('div');
+                messageDiv.className = 'message ai streaming';
+                
+                const avatar = document.createElement('div');
+                avatar.className = 'message-avatar';
+                avatar.textContent = '🤖';
+                
+                const content = document.createElement('div');
+                content.className = 'message-content';
+                textDiv = document.createElement('div');
+                textDiv.className = 'message-text';
+                content.appendChild(textDiv);
+                
+                messageDiv.appendChild(avatar);
+                messageDiv.appendChild(content);
+                document.getElementById('messagesContainer').appendChild(messageDiv);
+            }
+        };
+        
+        const update = (text) => {
+            latestText = text;
+            create();
+            
+            // At most one render per frame
+            if (!renderScheduled) {
+                renderScheduled = true;
+                requestAnimationFrame(render);
+            }
+        };
+        
+        const addTool = (call) => {
+            create();
+            if (!toolsDiv) {
+                toolsDiv = document.createElement('div');
+                toolsDiv.className = 'message-tools';
+                textDiv.before(toolsDiv);
+            }
+            toolsDiv.appendChild(this.renderToolCall(call));
+            this.scrollToBottom();
+        };
+        
+        const remove = () => {
+            if (messageDiv) {
+                messageDiv.remove();
+            }
+            messageDiv = null;
+            textDiv = null;
+            toolsDiv = null;
+        };
+        
+        return { update, addTool, remove };
+    }
+
     hideTypingIndicator() {
         this.isTyping = false;
         document.getElementById('sendBtn').disabled = false;
+        document.getElementById('sendBtn').style.display = '';
+        document.getElementById('stopBtn').style.display = 'none';
         
         const typingIndicator = document.getElementById('typingIndicator');
         if (typingIndicator) {
@@ -1405,6 +1522,7 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         const lastUserMessage = this.messages[lastUserMessageIndex];
         
         // Remove all messages after last user message (including AI responses)
+        const replacedCount = this.messages.length - (lastUserMessageIndex + 1);
         this.messages = this.messages.slice(0, lastUserMessageIndex + 1);
         
         // Re-render messages
@@ -1412,16 +1530,26 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         
         // Show typing indicator
         this.showTypingIndicator();
+        const streamingMessage = this.createStreamingMessage();
+        this.abortController = new AbortController();
         
         try {
             // Call API again with the user's message
-            const response = await this.callAIAPI(lastUserMessage.text, lastUserMessage.files || []);
+            const response = await this.callAIAPI(lastUserMessage.text, lastUserMessage.files || [], streamingMessage.update, streamingMessage.addTool);
             
-            // Remove typing indicator
+            // Remove typing indicator and the streamed draft
+            streamingMessage.remove();
             this.hideTypingIndicator();
             
             // Add AI response
-            if (typeof response === 'object' && response.type === 'image') {
+            if (typeof response === 'object' && response.type === 'interrupted') {
+                this.addInterruptedMessage(response.text, response.provider);
+            } else if (typeof response === 'object' && response.type === 'text') {
+                this.addMessage(response.text, 'ai', [], response.image, null, {
+                    provider: response.provider,
+                    toolCalls: response.toolCalls
+                });
+            } else if (typeof response === 'object' && response.type === 'image') {
                 this.addMessage('🎨 Изображение успешно сгенерировано:', 'ai', [], response.url);
             } else if (typeof response === 'object' && response.type === 'video') {
                 this.addMessage('🎥 Видео успешно сгенерировано:', 'ai', [], null, response.url);
@@ -1429,11 +1557,12 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
                 this.addMessage(response, 'ai');
             }
             
-            // Save chat
+            // Replace the old answer on the server, keeping anything added after it
             if (this.currentChatId && this.chats[this.currentChatId]) {
-                this.chats[this.currentChatId].messages = this.messages;
-                await this.updateChat(this.currentChatId, {
-                    messages: this.messages
+                await this.saveMessages(this.currentChatId, {
+                    start: lastUserMessageIndex + 1,
+                    deleteCount: replacedCount,
+                    messages: this.messages.slice(lastUserMessageIndex + 1)
                 });
             }
             
@@ -1441,59 +1570,310 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
             
         } catch (error) {
             console.error('Regenerate error:', error);
+            streamingMessage.remove();
             this.hideTypingIndicator();
-            this.addMessage('Извините, произошла ошибка при регенерации.', 'ai');
+            this.addMessage(this.describeCompletionError(error), 'ai');
         }
+        this.abortController = null;
     }
 
     // API Key Management
-    getUserApiKey() {
+    // The server keeps only a hash of the key, so the full key can be shown
+    // and copied only right after it was created
+    async loadApiKeyInfo() {
         const user = window.auth.getCurrentUser();
         if (!user) return null;
         
-        const apiKeysStr = localStorage.getItem('ai_chat_api_keys');
-        const apiKeys = apiKeysStr ? JSON.parse(apiKeysStr) : {};
+        try {
+            const response = await fetch(`${this.API_URL}/user/${encodeURIComponent(user.username)}/apikey`, {
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) {
+                console.error('Failed to load API key:', response.status);
+                return null;
+            }
+            
+            const data = await response.json();
+            return data.key;
+        } catch (error) {
+            console.error('Error loading API key:', error);
+            return null;
+        }
+    }
+
+    renderApiKey(key) {
+        const apiKeyDisplay = document.getElementById('apiKeyDisplay');
+        const apiKeyMeta = document.getElementById('apiKeyMeta');
         
-        if (!apiKeys[user.id]) {
-            apiKeys[user.id] = this.generateApiKey();
-            localStorage.setItem('ai_chat_api_keys', JSON.stringify(apiKeys));
+        if (apiKeyDisplay) {
+            apiKeyDisplay.value = this.userApiKey || (key ? key.hint : '');
+            apiKeyDisplay.placeholder = 'Ключ ещё не создан';
         }
         
-        return apiKeys[user.id];
+        if (!apiKeyMeta) return;
+        apiKeyMeta.classList.toggle('warning', !!this.userApiKey);
+        
+        if (!key) {
+            apiKeyMeta.textContent = 'Нажмите «Создать новый», чтобы получить API ключ.';
+        } else if (this.userApiKey) {
+            apiKeyMeta.textContent = '⚠️ Скопируйте ключ сейчас — после закрытия окна он больше не будет показан.';
+        } else {
+            const lastUsed = key.lastUsedAt
+                ? `последнее использование: ${this.formatDateTime(key.lastUsedAt)}`
+                : 'ещё не использовался';
+            apiKeyMeta.textContent = `Создан ${this.formatDateTime(key.createdAt)}, ${lastUsed}`;
+        }
     }
 
-    generateApiKey() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        let key = 'sk-';
-        for (let i = 0; i < 48; i++) {
-            key += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return key;
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('ru-RU', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
     }
 
-    displayApiKey() {
-        // API key will be shown in modal
+    // Usage examples pointing at this server
+    renderApiExamples() {
+        const baseUrl = `${window.location.origin}/api/v1`;
+        const apiKey = this.userApiKey || 'YOUR_API_KEY';
+        
+        const chatExample = document.getElementById('apiExampleChat');
+        if (chatExample) {
+            chatExample.textContent = `curl -X POST ${baseUrl}/chat/completions \\
+  -H "Authorization: Bearer ${apiKey}" \\
+  -H "Content-Type: application/json" \\
+  -d '{
+    "model": "gpt-5",
+    "messages": [{"role": "user", "content": "Hello!"}]
+  }'`;
+        }
+        
+        const modelsExample = document.getElementById('apiExampleModels');
+        if (modelsExample) {
+            modelsExample.textContent = `curl ${baseUrl}/models \\
+  -H "Authorization: Bearer ${apiKey}"`;
+        }
     }
 
-    showApiKeyModal() {
-        const apiKeyDisplay = document.getElementById('apiKeyDisplay');
+    async showApiKeyModal() {
         const apiModal = document.getElementById('apiModal');
-        const openRouterKeyInput = document.getElementById('openRouterKeyInput');
         
-        if (apiKeyDisplay && this.userApiKey) {
-            apiKeyDisplay.value = this.userApiKey;
+        this.renderApiExamples();
+        
+        if (apiModal) {
+            apiModal.classList.add('show');
         }
         
-        // Load stored OpenRouter key
-        if (openRouterKeyInput) {
-            const storedKey = localStorage.getItem('openrouter_api_key');
-            if (storedKey) {
-                openRouterKeyInput.value = storedKey;
+        this.renderAccount();
+        this.renderApiKey(await this.loadApiKeyInfo());
+        this.renderProviderKeys(await this.loadProviderKeys());
+    }
+
+    // The user's own OpenRouter key lives on the server, encrypted; the
+    // browser only sends it once and then sees a hint
+    async loadProviderKeys() {
+        try {
+            // Keys that were kept in localStorage before are moved to the server
+            const legacyKey = localStorage.getItem('openrouter_api_key');
+            if (legacyKey) {
+                const saved = await this.saveProviderKey('openrouter', legacyKey);
+                localStorage.removeItem('openrouter_api_key');
+                if (saved) return saved;
             }
+            
+            const response = await fetch(`${this.API_URL}/account/provider-keys`, {
+                headers: this.getAuthHeaders()
+            });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('Error loading provider keys:', error);
+            return null;
         }
+    }
+
+    async saveProviderKey(provider, apiKey) {
+        const response = await fetch(`${this.API_URL}/account/provider-keys/${provider}`, {
+            method: apiKey ? 'PUT' : 'DELETE',
+            headers: this.getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: apiKey ? JSON.stringify({ apiKey }) : undefined
+        });
+        const data = await response.json();
         
-        if (apiModal) {
-            apiModal.classList.add('show');
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    renderProviderKeys(status) {
+        const input = document.getElementById('openRouterKeyInput');
+        const statusText = document.getElementById('openRouterKeyStatus');
+        const openrouter = status?.openrouter;
+        
+        if (input) {
+            input.value = '';
+            input.placeholder = openrouter?.configured ? openrouter.hint : 'sk-or-...';
+        }
+        if (statusText) {
+            statusText.textContent = openrouter?.configured
+                ? `Ключ сохранён ${this.formatDateTime(openrouter.updatedAt)}`
+                : 'Ключ не сохранён';
+        }
+    }
+
+    async updateOpenRouterKey(remove = false) {
+        const input = document.getElementById('openRouterKeyInput');
+        const apiKey = remove ? null : input.value.trim();
+        
+        if (!remove && !apiKey) {
+            this.showToast('Введите ключ OpenRouter', 'warning');
+            return;
+        }
+        
+        try {
+            this.renderProviderKeys(await this.saveProviderKey('openrouter', apiKey));
+            this.showToast(remove ? 'Ключ OpenRouter удалён' : 'Ключ OpenRouter сохранён', 'success');
+        } catch (error) {
+            console.error('Save OpenRouter key error:', error);
+            this.showToast('Не удалось сохранить ключ: ' + error.message, 'error');
+        }
+    }
+
+    // Linking a Telegram identity and a username/password login into one
+    // account. What is offered depends on what the account already has:
+    // a Telegram-only account can set a password or link an existing
+    // password account; a password account can link the Telegram account
+    // the Mini App is opened from; with both, Telegram can be unlinked.
+    renderAccount(conflict = null) {
+        const user = window.auth?.getCurrentUser();
+        const status = document.getElementById('accountStatus');
+        const actions = document.getElementById('accountActions');
+        if (!user || !status || !actions) return;
+        
+        status.textContent = [
+            user.telegramId ? '✅ Telegram привязан' : '❌ Telegram не привязан',
+            user.hasPassword ? `✅ Вход по паролю: ${user.username}` : '❌ Пароль не установлен'
+        ].join(' · ');
+        
+        // Both accounts have chats: the user picks what happens to the other's
+        if (conflict) {
+            actions.innerHTML = `
+                <p class="api-key-meta warning">В обоих аккаунтах есть чаты (в этом: ${conflict.chats.current}, в другом: ${conflict.chats.other}). Что сделать с чатами другого аккаунта?</p>
+                <div class="api-key-actions">
+                    <button class="btn btn-primary" data-action="resolve" data-strategy="merge">🔀 Перенести сюда</button>
+                    <button class="btn btn-secondary" data-action="resolve" data-strategy="discard">🗑️ Удалить</button>
+                    <button class="btn btn-secondary" data-action="cancel">Отмена</button>
+                </div>
+            `;
+            return;
+        }
+        
+        const parts = [];
+        if (!user.hasPassword) {
+            parts.push(`
+                <form class="account-form" data-form="password">
+                    <p class="modal-desc">Установите пароль, чтобы входить и без Telegram:</p>
+                    <input type="text" name="username" class="api-key-input" placeholder="Имя пользователя (необязательно)" autocomplete="username">
+                    <input type="password" name="password" class="api-key-input" placeholder="Пароль (от 6 символов)" autocomplete="new-password" required>
+                    <button type="submit" class="btn btn-primary">🔐 Установить пароль</button>
+                </form>
+                <form class="account-form" data-form="link-password">
+                    <p class="modal-desc">Или привяжите существующий аккаунт с паролем:</p>
+                    <input type="text" name="username" class="api-key-input" placeholder="Имя пользователя" autocomplete="username" required>
+                    <input type="password" name="password" class="api-key-input" placeholder="Пароль" autocomplete="current-password" required>
+                    <button type="submit" class="btn btn-primary">🔗 Привязать аккаунт</button>
+                </form>
+            `);
+        }
+        if (!user.telegramId) {
+            parts.push(window.auth?.isTelegramWebApp()
+                ? '<button class="btn btn-primary" data-action="link-telegram">🔗 Привязать этот Telegram</button>'
+                : '<p class="api-key-meta">Откройте приложение в Telegram, чтобы привязать Telegram к этому аккаунту.</p>');
+        }
+        if (user.telegramId && user.hasPassword) {
+            parts.push('<button class="btn btn-secondary" data-action="unlink-telegram">✂️ Отвязать Telegram</button>');
+        }
+        actions.innerHTML = parts.join('');
+    }
+    
+    async handleAccountForm(form) {
+        const username = form.elements.username.value.trim();
+        const password = form.elements.password.value;
+        
+        if (form.dataset.form === 'password') {
+            if (password.length < 6) {
+                this.showToast('Пароль должен быть не менее 6 символов', 'error');
+                return;
+            }
+            await this.accountRequest('POST', '/account/password', { password, ...(username && { username }) }, 'Пароль установлен');
+        } else {
+            await this.linkAccount('/account/link/password', { username, password });
+        }
+    }
+    
+    async handleAccountAction(action, strategy) {
+        if (action === 'link-telegram') {
+            await this.linkAccount('/account/link/telegram', { initData: window.Telegram.WebApp.initData });
+        } else if (action === 'unlink-telegram') {
+            await this.accountRequest('DELETE', '/account/telegram', undefined, 'Telegram отвязан');
+        } else if (action === 'resolve' && this.pendingLink) {
+            const { path, body } = this.pendingLink;
+            await this.linkAccount(path, { ...body, strategy });
+        } else if (action === 'cancel') {
+            this.pendingLink = null;
+            this.renderAccount();
+        }
+    }
+    
+    // Link another account into this one. When both have chats the server
+    // answers CHATS_CONFLICT and the request is repeated with the strategy
+    // the user picks.
+    async linkAccount(path, body) {
+        this.pendingLink = null;
+        const data = await this.accountRequest('POST', path, body, 'Аккаунты объединены', ['CHATS_CONFLICT']);
+        
+        if (data?.code === 'CHATS_CONFLICT') {
+            this.pendingLink = { path, body };
+            this.renderAccount(data);
+            return;
+        }
+        if (data) {
+            // Chats of the other account may have moved here
+            this.chats = await this.loadChats();
+            this.renderChatList();
+        }
+    }
+    
+    // Resolves to the response body, or null after showing the error.
+    // Errors with a code in `expected` are returned for the caller to handle.
+    async accountRequest(method, path, body, successMessage, expected = []) {
+        try {
+            const response = await fetch(`${this.API_URL}${path}`, {
+                method,
+                headers: this.getAuthHeaders({ 'Content-Type': 'application/json' }),
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                if (expected.includes(data.code)) return data;
+                this.showToast(data.error || `HTTP ${response.status}`, 'error');
+                return null;
+            }
+            
+            // The session now belongs to the updated (or merged) account
+            sessionStorage.setItem(window.auth.CURRENT_USER_KEY, JSON.stringify(data.user));
+            document.getElementById('userInfo').textContent = data.user.firstName || data.user.username || 'User';
+            this.renderAccount();
+            this.showToast(successMessage, 'success');
+            return data;
+        } catch (error) {
+            console.error('Account request error:', error);
+            this.showToast('Ошибка подключения к серверу', 'error');
+            return null;
         }
     }
 
@@ -1502,12 +1882,24 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         if (apiModal) {
             apiModal.classList.remove('show');
         }
+        
+        // The full key is shown once
+        this.userApiKey = null;
     }
 
-    copyApiKey() {
-        const apiKeyInput = document.getElementById('apiKeyDisplay');
-        apiKeyInput.select();
-        document.execCommand('copy');
+    async copyApiKey() {
+        if (!this.userApiKey) {
+            this.showToast('Полный ключ показывается только при создании. Создайте новый ключ, чтобы скопировать его.', 'warning');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(this.userApiKey);
+        } catch (error) {
+            const apiKeyInput = document.getElementById('apiKeyDisplay');
+            apiKeyInput.select();
+            document.execCommand('copy');
+        }
         
         const btn = document.getElementById('copyApiBtn');
         const originalText = btn.textContent;
@@ -1530,22 +1922,45 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         }
         
         const user = window.auth.getCurrentUser();
-        const apiKeysStr = localStorage.getItem('ai_chat_api_keys');
-        const apiKeys = apiKeysStr ? JSON.parse(apiKeysStr) : {};
         
-        apiKeys[user.id] = this.generateApiKey();
-        localStorage.setItem('ai_chat_api_keys', JSON.stringify(apiKeys));
-        
-        this.userApiKey = apiKeys[user.id];
-        document.getElementById('apiKeyDisplay').value = this.userApiKey;
-        
-        this.showToast('Новый API ключ успешно сгенерирован', 'success');
+        try {
+            const response = await fetch(`${this.API_URL}/user/${encodeURIComponent(user.username)}/apikey/regenerate`, {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            this.userApiKey = data.apiKey;
+            this.renderApiKey(data.key);
+            this.renderApiExamples();
+            
+            this.showToast('Новый API ключ успешно сгенерирован', 'success');
+        } catch (error) {
+            console.error('Regenerate API key error:', error);
+            this.showToast('Не удалось создать API ключ: ' + error.message, 'error');
+        }
     }
 
     // Chat System Methods
+    
+    // Headers with the session token that Auth keeps in sessionStorage
+    getAuthHeaders(headers = {}) {
+        const sessionToken = window.auth?.getSessionToken();
+        if (sessionToken) {
+            headers['Authorization'] = `Bearer ${sessionToken}`;
+        }
+        return headers;
+    }
+    
     async initializeChatSystem() {
         try {
             console.log('Initializing chat system...');
+            await this.loadModels();
+            
             // Load chats from backend
             this.chats = await this.loadChats();
             console.log('Loaded chats:', Object.keys(this.chats).length);
@@ -1591,7 +2006,9 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         
         try {
             console.log('[LOAD] Loading chats for user:', user.id);
-            const response = await fetch(`${this.API_URL}/chats/${user.id}`);
+            const response = await fetch(`${this.API_URL}/chats/${user.id}`, {
+                headers: this.getAuthHeaders()
+            });
             if (!response.ok) {
                 console.error('[LOAD] Failed to load chats:', response.status);
                 return {};
@@ -1637,9 +2054,9 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
             
             const response = await fetch(`${this.API_URL}/chats/${chatId}`, {
                 method: 'PUT',
-                headers: {
+                headers: this.getAuthHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify(updates)
             });
             
@@ -1660,6 +2077,45 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         }
     }
     
+    // Add messages on the server without overwriting the stored list (see
+    // POST /api/chats/:chatId/messages). The chat comes back with everything
+    // stored, including messages the Telegram bot added meanwhile.
+    async saveMessages(chatId, body) {
+        try {
+            const response = await fetch(`${this.API_URL}/chats/${chatId}/messages`, {
+                method: 'POST',
+                headers: this.getAuthHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify(body)
+            });
+            
+            if (!response.ok) {
+                console.error('Failed to save messages:', response.status, response.statusText);
+                this.showToast('Ошибка сохранения чата', 'error');
+                return false;
+            }
+            
+            const updatedChat = await response.json();
+            this.chats[chatId] = updatedChat;
+            
+            if (chatId === this.currentChatId) {
+                const hasNewMessages = updatedChat.messages.length !== this.messages.length;
+                this.messages = updatedChat.messages;
+                if (hasNewMessages) {
+                    this.renderMessages();
+                }
+            }
+            
+            console.log(`[SAVE] Messages of chat ${chatId} saved. Total messages:`, updatedChat.messages.length);
+            return true;
+        } catch (error) {
+            console.error('Error saving messages:', error);
+            this.showToast(`Ошибка сохранения: ${error.message}`, 'error');
+            return false;
+        }
+    }
+    
     async createNewChat(title = '💬 Новый чат') {
         const user = window.auth?.getCurrentUser();
         if (!user) {
@@ -1671,9 +2127,9 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
             console.log('Creating chat for user:', user.id, 'title:', title);
             const response = await fetch(`${this.API_URL}/chats`, {
                 method: 'POST',
-                headers: {
+                headers: this.getAuthHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({
                     userId: user.id,
                     title: title,
@@ -1707,25 +2163,22 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         console.log('[LOAD] Current chat BEFORE switch:', this.currentChatId);
         console.log('[LOAD] Current messages count BEFORE switch:', this.messages.length);
         
-        // Save current chat before switching (use OLD currentChatId)
+        // Save the model of the current chat before switching (use OLD currentChatId).
+        // Its messages were saved as they were sent, and writing the whole list
+        // back would drop anything the Telegram bot added meanwhile.
         const oldChatId = this.currentChatId;
-        if (oldChatId && oldChatId !== chatId && this.chats[oldChatId] && this.messages.length > 0) {
-            console.log('[LOAD] Saving OLD chat before switch:', oldChatId, 'with', this.messages.length, 'messages');
-            this.chats[oldChatId].messages = this.messages;
+        if (oldChatId && oldChatId !== chatId && this.chats[oldChatId]) {
+            console.log('[LOAD] Saving OLD chat model before switch:', oldChatId);
             this.chats[oldChatId].model = this.currentModel;
             await this.updateChat(oldChatId, {
-                messages: this.messages,
                 model: this.currentModel
             });
-            console.log('[LOAD] ✅ Old chat saved successfully');
-        } else if (oldChatId && oldChatId !== chatId) {
-            console.log('[LOAD] Skipping save - messages array is empty, would erase data!');
         }
         
         // Load new chat
         this.currentChatId = chatId;
         this.messages = this.chats[chatId].messages || [];
-        this.currentModel = this.chats[chatId].model || 'gpt-5';
+        this.currentModel = this.chats[chatId].model || this.defaultModel;
         
         console.log('[LOAD] Loaded chat', chatId, 'with', this.messages.length, 'messages');
         console.log('[LOAD] Messages:', this.messages);
@@ -1759,7 +2212,11 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
             if (msg.type === 'user') {
                 this.addMessage(msg.text, 'user', msg.files || []);
             } else {
-                this.addMessage(msg.text, 'ai', [], msg.image || null, msg.video || null);
+                this.addMessage(msg.text, 'ai', [], msg.image || null, msg.video || null, {
+                    interrupted: !!msg.interrupted,
+                    provider: msg.provider || null,
+                    toolCalls: msg.toolCalls || []
+                });
             }
         });
     }
@@ -1867,7 +2324,8 @@ Always be helpful, accurate, and honest about your capabilities and limitations.
         
         try {
             const response = await fetch(`${this.API_URL}/chats/${chatId}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: this.getAuthHeaders()
             });
             
             if (!response.ok) {
@@ -84,8 +84,10 @@ class Auth {
             clearTimeout(timeoutId);
             
             if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'Auth failed');
+                const data = await response.json();
+                const error = new Error(data.error || 'Auth failed');
+                error.code = data.code;
+                throw error;
             }
             
             const data = await response.json();
@@ -104,7 +106,7 @@ class Auth {
             console.error('❌ Telegram auth error:', error);
             
             // Show error with retry button
-            this.showTelegramError(error.message);
+            this.showTelegramError(error.message, error.code);
         }
     }
 
@@ -134,9 +136,24 @@ class Auth {
         `;
     }
 
-    showTelegramError(errorMsg) {
+    showTelegramError(errorMsg, code) {
         const authContainer = document.getElementById('authContainer');
         
+        // Messages for the error codes returned by /api/auth/telegram
+        const codeMessages = {
+            TELEGRAM_AUTH_DATE_EXPIRED: 'Данные авторизации Telegram устарели. Закройте и снова откройте приложение.',
+            TELEGRAM_AUTH_DATE_INVALID: 'Неверное время авторизации. Проверьте дату и время на устройстве.',
+            TELEGRAM_AUTH_DATE_MISSING: 'Telegram не передал время авторизации. Откройте приложение заново.',
+            TELEGRAM_SIGNATURE_INVALID: 'Не удалось подтвердить данные Telegram. Откройте приложение через бота.',
+            TELEGRAM_HASH_MISSING: 'Не удалось подтвердить данные Telegram. Откройте приложение через бота.',
+            TELEGRAM_NOT_CONFIGURED: 'Вход через Telegram не настроен на сервере.',
+            TELEGRAM_USER_MISSING: 'Telegram не передал данные пользователя.',
+            TELEGRAM_INIT_DATA_MISSING: 'Telegram не передал данные пользователя.'
+        };
+        // Retrying with the same initData can't fix these
+        const needsReopen = ['TELEGRAM_AUTH_DATE_EXPIRED', 'TELEGRAM_AUTH_DATE_MISSING', 'TELEGRAM_SIGNATURE_INVALID', 'TELEGRAM_HASH_MISSING'].includes(code);
+        const message = codeMessages[code] || errorMsg || 'Не удалось подключиться к серверу';
+        
         authContainer.innerHTML = `
             <div class="auth-card" style="text-align: center;">
                 <h1 class="logo">AI Chat</h1>
@@ -145,11 +162,16 @@ class Auth {
                     <div style="font-size: 3rem; margin-bottom: 1rem;">❌</div>
                     <h2 style="color: var(--error-color); margin-bottom: 0.5rem;">Ошибка авторизации</h2>
                     <p style="color: var(--text-secondary); font-size: 0.9rem; margin-bottom: 1.5rem;">
-                        ${errorMsg || 'Не удалось подключиться к серверу'}
+                        ${message}
                     </p>
+                    ${code ? `<p style="color: var(--text-secondary); font-size: 0.75rem; margin-bottom: 1rem; opacity: 0.7;">Код: ${code}</p>` : ''}
+                    ${needsReopen ? `
+                    <button id="closeTelegramApp" class="btn btn-primary">
+                        ✖️ Закрыть приложение
+                    </button>` : `
                     <button id="retryTelegramAuth" class="btn btn-primary">
                         🔄 Попробовать снова
-                    </button>
+                    </button>`}
                 </div>
             </div>
         `;
@@ -158,6 +180,10 @@ class Auth {
         document.getElementById('retryTelegramAuth')?.addEventListener('click', () => {
             this.handleTelegramAuth();
         });
+        
+        document.getElementById('closeTelegramApp')?.addEventListener('click', () => {
+            window.Telegram?.WebApp?.close();
+        });
     }
 
     setupEventListeners() {
@@ -287,6 +313,16 @@ class Auth {
     }
 
     logout() {
+        // Delete the session on the server too; the UI doesn't wait for it
+        const sessionToken = this.getSessionToken();
+        if (sessionToken) {
+            fetch(`${this.API_URL}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${sessionToken}` },
+                keepalive: true
+            }).catch(error => console.error('Logout request failed:', error));
+        }
+        
         sessionStorage.removeItem(this.CURRENT_USER_KEY);
         sessionStorage.removeItem(this.SESSION_TOKEN_KEY);
         this.showAuthInterface();
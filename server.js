@@ -1,12 +1,27 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { toStoredMessage } = require('./lib/storage/migrations');
+const { hashPassword, verifyPassword, fakeVerify } = require('./lib/passwords');
+const { API_KEY_SCOPES, hashApiKey, apiKeyHint, createApiKeyRecord, apiKeyResponse } = require('./lib/api-keys');
+const { encryptSecret, decryptSecret } = require('./lib/secrets');
+const { loadModelCatalog } = require('./lib/models');
+const { createProviders } = require('./lib/providers');
+const { createImageGenerator, pollinationsUrl } = require('./lib/images');
+const { openAIError, readChatCompletionParams, normalizeCompletion, normalizeChunks } = require('./lib/openai');
+const { createBuiltinTools, streamWithTools, completeWithTools } = require('./lib/tools');
+const { createTelegramApi } = require('./lib/telegram/api');
+const { TelegramBot } = require('./lib/telegram/bot');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DB_PATH = path.join(__dirname, 'db.json');
+const storage = createStorage();
+const models = loadModelCatalog();
+const providers = createProviders(process.env, models);
+const images = createImageGenerator();
+const builtinTools = createBuiltinTools({ images });
 
 // Middleware
 app.use(cors());
@@ -15,73 +30,20 @@ app.use(express.json({ limit: '50mb' }));
 // Serve static files from 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Ensure database exists on every request
-app.use(async (req, res, next) => {
-    try {
-        await ensureDBExists();
-        next();
-    } catch (error) {
-        console.error('Database check failed:', error);
-        next();
-    }
-});
-
-// Helper functions
-async function ensureDBExists() {
-    try {
-        await fs.access(DB_PATH);
-    } catch (error) {
-        // File doesn't exist, create it
-        console.log('💾 Creating new database file...');
-        const defaultDB = {
-            users: [],
-            chats: [],
-            apiKeys: {
-                huggingface: '',
-                replicate: ''
-            }
-        };
-        await fs.writeFile(DB_PATH, JSON.stringify(defaultDB, null, 2));
-        console.log('✅ Database file created successfully');
-    }
-}
-
-async function readDB() {
-    // Ensure database exists before reading
-    await ensureDBExists();
-    
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        // If parsing fails, recreate with default structure
-        console.error('❌ Error reading database:', error);
-        console.log('🔧 Recreating database with default structure...');
-        const defaultDB = {
-            users: [],
-            chats: [],
-            apiKeys: {
-                huggingface: '',
-                replicate: ''
-            }
-        };
-        await fs.writeFile(DB_PATH, JSON.stringify(defaultDB, null, 2));
-        return defaultDB;
-    }
-}
+// The ADMIN_USERNAME account is made admin at startup. If it doesn't exist
+// yet and ADMIN_PASSWORD is set, it is created with that password. Only a
+// password account with no Telegram identity is ever promoted.
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || null;
 
-async function writeDB(data) {
-    await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2));
-}
+// Usernames of Telegram accounts are "@<Telegram username>"; password
+// accounts can't take names starting with "@", so the two never collide
+const TELEGRAM_USERNAME_PREFIX = '@';
 
-// Hash password
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
-}
-
-// Generate API key
-function generateApiKey() {
-    return 'sk-' + crypto.randomBytes(32).toString('hex');
+// The user as clients see it: no password hash or provider keys, only
+// whether a password is set (the Mini App offers linking based on it)
+function publicUser(user) {
+    const { password, providerKeys, ...rest } = user;
+    return { ...rest, hasPassword: !!password };
 }
 
 // Generate session token
@@ -92,12 +54,76 @@ function generateSessionToken(userId) {
     return `sess_${timestamp}_${random}_${userHash}`;
 }
 
-// Verify Telegram WebApp initData
+// Sessions expire after SESSION_TTL_DAYS without activity (sliding expiry),
+// and after SESSION_MAX_AGE_DAYS in any case
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_TTL = (Number(process.env.SESSION_TTL_DAYS) || 7) * DAY_MS;
+const SESSION_MAX_AGE = (Number(process.env.SESSION_MAX_AGE_DAYS) || 30) * DAY_MS;
+// lastSeenAt is written at most this often, not on every request
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+function sessionExpiry(session, now = Date.now()) {
+    const createdAt = new Date(session.createdAt).getTime();
+    return new Date(Math.min(now + SESSION_TTL, createdAt + SESSION_MAX_AGE)).toISOString();
+}
+
+// Create a session for the user, remembering the device it was opened from
+async function createSession(userId, req) {
+    const sessionToken = generateSessionToken(userId);
+    const now = new Date().toISOString();
+    
+    // Очистить истекшие сессии этого пользователя
+    const userSessions = await storage.listSessionsByUser(userId);
+    for (const session of userSessions) {
+        if (new Date(session.expiresAt) < new Date()) {
+            await storage.deleteSession(session.token);
+        }
+    }
+    
+    const session = {
+        id: crypto.randomBytes(12).toString('hex'),
+        token: sessionToken,
+        userId,
+        createdAt: now,
+        lastSeenAt: now,
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null
+    };
+    session.expiresAt = sessionExpiry(session);
+    
+    await storage.createSession(session);
+    
+    return sessionToken;
+}
+
+// Public view of a session - never includes the token itself
+function sessionResponse(session, currentSession) {
+    return {
+        id: session.id,
+        current: session.token === currentSession.token,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt
+    };
+}
+
+// Telegram Mini App auth settings:
+// TELEGRAM_INIT_DATA_MAX_AGE - seconds after auth_date that initData is accepted (default 1 day)
+// TELEGRAM_AUTH_DEV_MODE=true - accept unsigned initData when no bot token is set (development only)
+const TELEGRAM_INIT_DATA_MAX_AGE = Number(process.env.TELEGRAM_INIT_DATA_MAX_AGE) || 24 * 60 * 60;
+const TELEGRAM_AUTH_DEV_MODE = process.env.TELEGRAM_AUTH_DEV_MODE === 'true';
+// Allowed clock difference between Telegram and this server
+const TELEGRAM_CLOCK_SKEW = 60;
+
+// Verify Telegram WebApp initData.
+// Returns { valid: true } or { valid: false, code } naming the failed check.
 function verifyTelegramWebAppData(initData, botToken) {
     try {
         const urlParams = new URLSearchParams(initData);
         const hash = urlParams.get('hash');
-        if (!hash) return false;
+        if (!hash) return { valid: false, code: 'TELEGRAM_HASH_MISSING' };
         
         urlParams.delete('hash');
         
@@ -117,13 +143,161 @@ function verifyTelegramWebAppData(initData, botToken) {
         const calculatedHash = crypto
             .createHmac('sha256', secretKey)
             .update(dataCheckString)
-            .digest('hex');
+            .digest();
+        
+        const receivedHash = Buffer.from(hash, 'hex');
+        if (receivedHash.length !== calculatedHash.length || !crypto.timingSafeEqual(receivedHash, calculatedHash)) {
+            return { valid: false, code: 'TELEGRAM_SIGNATURE_INVALID' };
+        }
         
-        return calculatedHash === hash;
+        return { valid: true };
     } catch (error) {
         console.error('Telegram verification error:', error);
-        return false;
+        return { valid: false, code: 'TELEGRAM_SIGNATURE_INVALID' };
+    }
+}
+
+// auth_date is signed along with the rest of initData, so checking it stops
+// old initData from being replayed
+function checkTelegramAuthDate(urlParams) {
+    const authDate = Number(urlParams.get('auth_date'));
+    if (!authDate) {
+        return 'TELEGRAM_AUTH_DATE_MISSING';
     }
+    
+    const age = Date.now() / 1000 - authDate;
+    if (age < -TELEGRAM_CLOCK_SKEW) {
+        return 'TELEGRAM_AUTH_DATE_INVALID';
+    }
+    if (age > TELEGRAM_INIT_DATA_MAX_AGE) {
+        return 'TELEGRAM_AUTH_DATE_EXPIRED';
+    }
+    return null;
+}
+
+// Verify initData from the Mini App and extract the Telegram user.
+// Returns { telegramUser } or { status, error, code } for the error response.
+function readTelegramInitData(initData) {
+    if (!initData) {
+        return { status: 400, error: 'initData required', code: 'TELEGRAM_INIT_DATA_MISSING' };
+    }
+    
+    // BOT TOKEN should be in environment variable.
+    // Without it initData can only be accepted unverified, which has to be
+    // switched on explicitly with TELEGRAM_AUTH_DEV_MODE.
+    const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+    
+    if (BOT_TOKEN) {
+        const { valid, code } = verifyTelegramWebAppData(initData, BOT_TOKEN);
+        if (!valid) {
+            return { status: 401, error: 'Invalid Telegram data', code };
+        }
+    } else if (!TELEGRAM_AUTH_DEV_MODE) {
+        return { status: 503, error: 'Telegram login is not configured', code: 'TELEGRAM_NOT_CONFIGURED' };
+    }
+    
+    const urlParams = new URLSearchParams(initData);
+    
+    const authDateError = checkTelegramAuthDate(urlParams);
+    if (authDateError) {
+        return { status: 401, error: 'Telegram data is expired or invalid', code: authDateError };
+    }
+    
+    // Parse user data
+    const userParam = urlParams.get('user');
+    
+    if (!userParam) {
+        return { status: 400, error: 'User data not found', code: 'TELEGRAM_USER_MISSING' };
+    }
+    
+    try {
+        return { telegramUser: JSON.parse(userParam) };
+    } catch (error) {
+        return { status: 400, error: 'User data not found', code: 'TELEGRAM_USER_MISSING' };
+    }
+}
+
+// Look up the session behind an "Authorization: Bearer <token>" header.
+// Returns { session, user } or { error } with a message for the 401 response.
+async function resolveSession(authHeader) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { error: 'No token provided' };
+    }
+    
+    const token = authHeader.substring(7);
+    const session = await storage.findSession(token);
+    
+    if (!session) {
+        return { error: 'Invalid session' };
+    }
+    
+    // Check if session expired
+    if (new Date(session.expiresAt) < new Date()) {
+        // Remove expired session
+        await storage.deleteSession(token);
+        return { error: 'Session expired' };
+    }
+    
+    // Find user
+    const user = await storage.findUserById(session.userId);
+    
+    if (!user) {
+        return { error: 'User not found' };
+    }
+    
+    if (user.disabled) {
+        return { error: 'Account disabled' };
+    }
+    
+    // Activity moves the expiry forward
+    const now = Date.now();
+    if (now - new Date(session.lastSeenAt || 0).getTime() >= SESSION_TOUCH_INTERVAL) {
+        const touched = await storage.updateSession(token, {
+            lastSeenAt: new Date(now).toISOString(),
+            expiresAt: sessionExpiry(session, now)
+        });
+        return { session: touched || session, user };
+    }
+    
+    return { session, user };
+}
+
+// Middleware для проверки сессии: sets req.user and req.session
+const requireSession = async (req, res, next) => {
+    try {
+        const { session, user, error } = await resolveSession(req.headers.authorization);
+        
+        if (error) {
+            return res.status(401).json({ error });
+        }
+        
+        req.session = session;
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Session check error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Must come after requireSession
+const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
+// Load a chat owned by the session user. Chats of other users are reported
+// as not found so their ids can't be probed.
+async function findOwnChat(req, chatId) {
+    const chat = await storage.findChat(chatId);
+    return chat && chat.userId === req.user.id ? chat : null;
+}
+
+// Messages from the client must at least be objects before they are normalized
+function isMessageList(value) {
+    return Array.isArray(value) && value.every(message => message && typeof message === 'object' && !Array.isArray(message));
 }
 
 // ==================== AUTH ROUTES ====================
@@ -137,10 +311,24 @@ app.post('/api/auth/register', async (req, res) => {
             return res.status(400).json({ error: 'Username and password required' });
         }
         
-        const db = await readDB();
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password must be strings' });
+        }
+        
+        if (username.length < 3) {
+            return res.status(400).json({ error: 'Username must be at least 3 characters' });
+        }
+        
+        if (password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        }
+        
+        if (username.startsWith(TELEGRAM_USERNAME_PREFIX)) {
+            return res.status(400).json({ error: 'Usernames starting with @ are reserved for Telegram accounts' });
+        }
         
         // Check if user exists
-        const existingUser = db.users.find(u => u.username === username);
+        const existingUser = await storage.findUserByUsername(username);
         if (existingUser) {
             return res.status(400).json({ error: 'User already exists' });
         }
@@ -149,16 +337,20 @@ app.post('/api/auth/register', async (req, res) => {
         const newUser = {
             id: Date.now().toString(),
             username,
-            password: hashPassword(password),
-            apiKey: generateApiKey(),
+            password: await hashPassword(password),
+            telegramId: null,
+            firstName: null,
+            lastName: null,
+            role: 'user',
+            disabled: false,
+            providerKeys: {},
             createdAt: new Date().toISOString()
         };
         
-        db.users.push(newUser);
-        await writeDB(db);
+        await storage.createUser(newUser);
         
-        // Return user without password
-        const { password: _, ...userResponse } = newUser;
+        // Return user without password or provider keys
+        const userResponse = publicUser(newUser);
         res.status(201).json(userResponse);
     } catch (error) {
         console.error('Register error:', error);
@@ -175,47 +367,37 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(400).json({ error: 'Username and password required' });
         }
         
-        const db = await readDB();
-        const user = db.users.find(u => 
-            u.username === username && 
-            u.password === hashPassword(password)
-        );
-        
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password must be strings' });
         }
         
-        // Generate session token
-        const sessionToken = generateSessionToken(user.id);
+        const user = await storage.findUserByUsername(username);
+        
+        const { valid, needsUpgrade } = user && user.password
+            ? await verifyPassword(password, user.password)
+            : await fakeVerify(password);
         
-        // Initialize sessions array if not exists
-        if (!db.sessions) {
-            db.sessions = [];
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid credentials' });
         }
         
-        // Очистить старые сессии этого пользователя
-        const userSessions = db.sessions.filter(s => s.userId === user.id);
-        if (userSessions.length >= 3) {
-            userSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-            const sessionsToKeep = userSessions.slice(0, 2).map(s => s.token);
-            db.sessions = db.sessions.filter(s => s.userId !== user.id || sessionsToKeep.includes(s.token));
-            console.log(`🧹 Cleaned old sessions for user ${user.id}`);
+        if (user.disabled) {
+            return res.status(403).json({ error: 'Account disabled' });
         }
         
-        // Save session
-        db.sessions.push({
-            token: sessionToken,
-            userId: user.id,
-            createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7 days
-        });
+        // Re-hash old SHA-256 passwords now that we know the plaintext
+        if (needsUpgrade) {
+            await storage.updateUser(user.id, { password: await hashPassword(password) });
+            console.log(`🔐 Upgraded password hash for user ${user.id}`);
+        }
         
-        console.log(`✅ Login session created for user ${user.id}. Total sessions:`, db.sessions.filter(s => s.userId === user.id).length);
+        // Generate session token
+        const sessionToken = await createSession(user.id, req);
         
-        await writeDB(db);
+        console.log(`✅ Login session created for user ${user.id}`);
         
-        // Return user without password
-        const { password: _, ...userResponse } = user;
+        // Return user without password or provider keys
+        const userResponse = publicUser(user);
         res.json({ 
             ...userResponse,
             sessionToken 
@@ -226,347 +408,1050 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+// The user a Telegram identity signs in as; created on first contact, from
+// the Mini App or the bot
+async function findOrCreateTelegramUser(telegramUser) {
+    const telegramId = telegramUser.id;
+    
+    const user = await storage.findUserByTelegramId(telegramId);
+    if (user) {
+        return user;
+    }
+    
+    // tg_<id> may still be taken by an account this identity was unlinked from
+    let userId = 'tg_' + telegramId;
+    if (await storage.findUserById(userId)) {
+        userId += '_' + Date.now();
+    }
+    
+    // A Telegram username can be given up and taken by someone else
+    let username = TELEGRAM_USERNAME_PREFIX + (telegramUser.username || `user_${telegramId}`);
+    if (await storage.findUserByUsername(username)) {
+        username += '_' + telegramId;
+    }
+    
+    // Create new user from Telegram data
+    const newUser = {
+        id: userId,
+        username,
+        password: null,
+        firstName: telegramUser.first_name || null,
+        lastName: telegramUser.last_name || null,
+        telegramId: telegramId,
+        role: 'user',
+        disabled: false,
+        providerKeys: {},
+        createdAt: new Date().toISOString()
+    };
+    
+    await storage.createUser(newUser);
+    return newUser;
+}
+
 // Telegram WebApp Authentication
 app.post('/api/auth/telegram', async (req, res) => {
     try {
-        const { initData } = req.body;
+        const { telegramUser, status, error, code } = readTelegramInitData(req.body.initData);
         
-        if (!initData) {
-            return res.status(400).json({ error: 'initData required' });
+        if (error) {
+            return res.status(status).json({ error, code });
         }
         
-        // BOT TOKEN should be in environment variable
-        // For development, you can set a default or skip verification
-        const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+        const user = await findOrCreateTelegramUser(telegramUser);
         
-        // Verify initData (skip in development if no token)
-        if (BOT_TOKEN && !verifyTelegramWebAppData(initData, BOT_TOKEN)) {
-            return res.status(401).json({ error: 'Invalid Telegram data' });
+        if (user.disabled) {
+            return res.status(403).json({ error: 'Account disabled', code: 'ACCOUNT_DISABLED' });
         }
         
-        // Parse user data
-        const urlParams = new URLSearchParams(initData);
-        const userParam = urlParams.get('user');
+        // Generate session token
+        const sessionToken = await createSession(user.id, req);
+        
+        console.log(`✅ Session created for user ${user.id} (${user.username})`);
+        
+        // Return user data
+        const userResponse = publicUser(user);
+        res.json({
+            success: true,
+            user: userResponse,
+            sessionToken
+        });
+    } catch (error) {
+        console.error('Telegram auth error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Verify session
+app.post('/api/auth/verify-session', async (req, res) => {
+    try {
+        const { session, user, error } = await resolveSession(req.headers.authorization);
         
-        if (!userParam) {
-            return res.status(400).json({ error: 'User data not found' });
+        if (error) {
+            return res.status(401).json({ valid: false, error });
         }
         
-        const telegramUser = JSON.parse(userParam);
-        const telegramId = telegramUser.id;
+        // Return user without password or provider keys
+        const userResponse = publicUser(user);
+        res.json({ 
+            valid: true, 
+            user: userResponse,
+            expiresAt: session.expiresAt
+        });
+    } catch (error) {
+        console.error('Session verification error:', error);
+        res.status(500).json({ valid: false, error: 'Internal server error' });
+    }
+});
+
+// Logout - deletes the current session on the server
+app.post('/api/auth/logout', requireSession, async (req, res) => {
+    try {
+        await storage.deleteSession(req.session.token);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List the user's active sessions
+app.get('/api/auth/sessions', requireSession, async (req, res) => {
+    try {
+        const sessions = await storage.listSessionsByUser(req.user.id);
+        const active = sessions
+            .filter(s => new Date(s.expiresAt) >= new Date())
+            .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+            .map(s => sessionResponse(s, req.session));
         
-        const db = await readDB();
+        res.json(active);
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke all sessions except the current one
+app.delete('/api/auth/sessions', requireSession, async (req, res) => {
+    try {
+        const sessions = await storage.listSessionsByUser(req.user.id);
+        let revoked = 0;
         
-        // Find or create user
-        let user = db.users.find(u => u.telegramId === telegramId);
+        for (const session of sessions) {
+            if (session.token !== req.session.token) {
+                await storage.deleteSession(session.token);
+                revoked++;
+            }
+        }
         
-        if (!user) {
-            // Create new user from Telegram data
-            user = {
-                id: 'tg_' + telegramId,
-                username: telegramUser.username || `user_${telegramId}`,
-                firstName: telegramUser.first_name,
-                lastName: telegramUser.last_name,
-                telegramId: telegramId,
-                apiKey: generateApiKey(),
-                createdAt: new Date().toISOString()
-            };
-            
-            db.users.push(user);
+        console.log(`🧹 Revoked ${revoked} other sessions for user ${req.user.id}`);
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke one session by its id
+app.delete('/api/auth/sessions/:sessionId', requireSession, async (req, res) => {
+    try {
+        const sessions = await storage.listSessionsByUser(req.user.id);
+        const session = sessions.find(s => s.id === req.params.sessionId);
+        
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
         }
         
-        // Generate session token
-        const sessionToken = generateSessionToken(user.id);
+        await storage.deleteSession(session.token);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==================== CHAT ROUTES ====================
+
+// Get all chats for a user
+app.get('/api/chats/:userId', requireSession, async (req, res) => {
+    try {
+        const { userId } = req.params;
         
-        // Initialize sessions array if not exists
-        if (!db.sessions) {
-            db.sessions = [];
+        if (userId !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied' });
         }
         
-        // Очистить старые сессии этого пользователя (оставить только 3 последних)
-        const userSessions = db.sessions.filter(s => s.userId === user.id);
-        if (userSessions.length >= 3) {
-            // Sort by creation date and keep only last 2
-            userSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-            const sessionsToKeep = userSessions.slice(0, 2).map(s => s.token);
-            db.sessions = db.sessions.filter(s => s.userId !== user.id || sessionsToKeep.includes(s.token));
-            console.log(`🧹 Cleaned old sessions for user ${user.id}`);
+        const userChats = await storage.listChatsByUser(userId);
+        res.json(userChats);
+    } catch (error) {
+        console.error('Get chats error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create new chat
+app.post('/api/chats', requireSession, async (req, res) => {
+    try {
+        const { title, model } = req.body;
+        const userId = req.user.id;
+        
+        if (req.body.userId && req.body.userId !== userId) {
+            return res.status(403).json({ error: 'Access denied' });
         }
         
-        // Save new session
-        db.sessions.push({
-            token: sessionToken,
-            userId: user.id,
+        if (!title) {
+            return res.status(400).json({ error: 'Title required' });
+        }
+        
+        const newChat = {
+            id: 'chat_' + Date.now(),
+            userId,
+            title,
+            messages: [],
+            model: model || models.defaultModel,
             createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7 days
+            updatedAt: new Date().toISOString()
+        };
+        
+        await storage.createChat(newChat);
+        
+        res.status(201).json(newChat);
+    } catch (error) {
+        console.error('Create chat error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update chat
+app.put('/api/chats/:chatId', requireSession, async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        // Ownership and identity fields can't be changed through an update
+        const { id, userId, createdAt, ...updates } = req.body;
+        
+        console.log(`[SERVER] Updating chat ${chatId}`);
+        console.log(`[SERVER] Updates:`, {
+            hasMessages: !!updates.messages,
+            messagesCount: updates.messages?.length,
+            hasModel: !!updates.model,
+            hasTitle: !!updates.title
         });
         
-        console.log(`✅ Session created for user ${user.id} (${user.username}). Total sessions:`, db.sessions.filter(s => s.userId === user.id).length);
+        if (updates.messages !== undefined && !isMessageList(updates.messages)) {
+            return res.status(400).json({ error: 'messages must be an array of objects', code: 'INVALID_MESSAGES' });
+        }
+        for (const field of ['title', 'model']) {
+            if (updates[field] !== undefined && typeof updates[field] !== 'string') {
+                return res.status(400).json({ error: `${field} must be a string`, code: 'INVALID_CHAT' });
+            }
+        }
         
-        await writeDB(db);
+        if (!await findOwnChat(req, chatId)) {
+            console.error(`[SERVER] Chat ${chatId} not found`);
+            return res.status(404).json({ error: 'Chat not found' });
+        }
         
-        // Return user data
-        const { password, ...userResponse } = user;
-        res.json({
-            success: true,
-            user: userResponse,
-            sessionToken
+        // Keep stored messages in the current schema shape
+        if (updates.messages) {
+            updates.messages = updates.messages.map(toStoredMessage);
+        }
+        
+        const chat = await storage.updateChat(chatId, {
+            ...updates,
+            updatedAt: new Date().toISOString()
         });
+        
+        if (!chat) {
+            console.error(`[SERVER] Chat ${chatId} not found`);
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+        
+        console.log(`[SERVER] ✅ Chat ${chatId} saved: ${chat.messages?.length || 0} messages`);
+        
+        res.json(chat);
     } catch (error) {
-        console.error('Telegram auth error:', error);
+        console.error('[SERVER] Update chat error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Verify session
-app.post('/api/auth/verify-session', async (req, res) => {
+// Add messages to a chat without replacing what is stored, since the
+// Telegram bot may have appended to it meanwhile. Works like Array#splice:
+// `deleteCount` messages at `start` are replaced with `messages`; without
+// `start` the messages are appended.
+app.post('/api/chats/:chatId/messages', requireSession, async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
+        const { chatId } = req.params;
+        const { messages, start, deleteCount = 0 } = req.body;
         
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ valid: false, error: 'No token provided' });
+        if (!isMessageList(messages)) {
+            return res.status(400).json({ error: 'messages must be an array of objects', code: 'INVALID_MESSAGES' });
+        }
+        if ((start !== undefined && !(Number.isInteger(start) && start >= 0)) || !(Number.isInteger(deleteCount) && deleteCount >= 0)) {
+            return res.status(400).json({ error: 'start and deleteCount must be non-negative integers', code: 'INVALID_RANGE' });
         }
         
-        const token = authHeader.substring(7);
-        const db = await readDB();
+        if (!await findOwnChat(req, chatId)) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+        
+        const stored = await storage.spliceMessages(chatId, start, deleteCount, messages.map(toStoredMessage));
         
-        if (!db.sessions) {
-            return res.status(401).json({ valid: false, error: 'Session not found' });
+        if (!stored) {
+            return res.status(404).json({ error: 'Chat not found' });
         }
         
-        const session = db.sessions.find(s => s.token === token);
+        res.json(await storage.findChat(chatId));
+    } catch (error) {
+        console.error('[SERVER] Save messages error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete chat
+app.delete('/api/chats/:chatId', requireSession, async (req, res) => {
+    try {
+        const { chatId } = req.params;
         
-        if (!session) {
-            return res.status(401).json({ valid: false, error: 'Invalid session' });
+        if (!await findOwnChat(req, chatId)) {
+            return res.status(404).json({ error: 'Chat not found' });
         }
         
-        // Check if session expired
-        if (new Date(session.expiresAt) < new Date()) {
-            // Remove expired session
-            db.sessions = db.sessions.filter(s => s.token !== token);
-            await writeDB(db);
-            return res.status(401).json({ valid: false, error: 'Session expired' });
+        const deleted = await storage.deleteChat(chatId);
+        
+        if (!deleted) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete chat error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==================== ACCOUNT LINKING ROUTES ====================
+
+// Move everything from `other` into `survivor` and delete `other`.
+// When both accounts have chats, `strategy` decides what happens to the
+// chats of `other`: "merge" moves them over, "discard" deletes them.
+// Without a strategy such a conflict is returned instead of merging.
+// Resolves to { user } or, when the accounts can't be merged, { status, failure }.
+async function mergeAccounts(survivor, other, strategy) {
+    // Linking must not bring a disabled identity back to life
+    if (survivor.disabled || other.disabled) {
+        return { status: 403, failure: { error: 'Account disabled', code: 'ACCOUNT_DISABLED' } };
+    }
+    
+    const survivorChats = await storage.listChatsByUser(survivor.id);
+    const otherChats = await storage.listChatsByUser(other.id);
+    
+    if (survivorChats.length > 0 && otherChats.length > 0 && !['merge', 'discard'].includes(strategy)) {
+        return {
+            status: 409,
+            failure: {
+                error: 'Both accounts have chats',
+                code: 'CHATS_CONFLICT',
+                chats: { current: survivorChats.length, other: otherChats.length },
+                strategies: ['merge', 'discard']
+            }
+        };
+    }
+    
+    for (const chat of otherChats) {
+        if (strategy === 'discard') {
+            await storage.deleteChat(chat.id);
+        } else {
+            await storage.updateChat(chat.id, { userId: survivor.id });
+        }
+    }
+    
+    // Sessions and API keys of the other account keep working, now as the survivor
+    for (const session of await storage.listSessionsByUser(other.id)) {
+        await storage.updateSession(session.token, { userId: survivor.id });
+    }
+    for (const key of await storage.listUserApiKeys(other.id)) {
+        await storage.updateUserApiKey(key.id, { userId: survivor.id });
+    }
+    
+    const updates = {};
+    if (!survivor.telegramId && other.telegramId) {
+        updates.telegramId = other.telegramId;
+        updates.firstName = survivor.firstName || other.firstName;
+        updates.lastName = survivor.lastName || other.lastName;
+    }
+    if (!survivor.password && other.password) {
+        updates.password = other.password;
+        updates.username = other.username;
+    }
+    // The merged account keeps the higher of the two roles
+    if (other.role === 'admin' && survivor.role !== 'admin') {
+        updates.role = 'admin';
+    }
+    if (Object.keys(other.providerKeys || {}).length > 0) {
+        updates.providerKeys = { ...other.providerKeys, ...survivor.providerKeys };
+    }
+    
+    // Delete first so the Telegram id and username are free for the survivor
+    await storage.deleteUser(other.id);
+    const user = await storage.updateUser(survivor.id, updates);
+    
+    console.log(`🔗 Merged account ${other.id} into ${survivor.id} (${otherChats.length} chats, ${strategy || 'merge'})`);
+    return { user };
+}
+
+// Link the Telegram identity from Mini App initData to the current account
+app.post('/api/account/link/telegram', requireSession, async (req, res) => {
+    try {
+        const { initData, strategy } = req.body;
+        
+        if (req.user.telegramId) {
+            return res.status(409).json({ error: 'A Telegram account is already linked', code: 'ALREADY_LINKED' });
+        }
+        
+        const { telegramUser, status, error, code } = readTelegramInitData(initData);
+        if (error) {
+            return res.status(status).json({ error, code });
+        }
+        
+        const other = await storage.findUserByTelegramId(telegramUser.id);
+        
+        if (!other) {
+            const user = await storage.updateUser(req.user.id, {
+                telegramId: telegramUser.id,
+                firstName: req.user.firstName || telegramUser.first_name || null,
+                lastName: req.user.lastName || telegramUser.last_name || null
+            });
+            return res.json({ success: true, user: publicUser(user) });
+        }
+        
+        // A Telegram user with a password is a full account of its own
+        if (other.password) {
+            return res.status(409).json({ error: 'This Telegram account is linked to another account', code: 'TELEGRAM_LINKED' });
+        }
+        
+        const merged = await mergeAccounts(req.user, other, strategy);
+        if (merged.failure) {
+            return res.status(merged.status).json(merged.failure);
+        }
+        
+        res.json({ success: true, user: publicUser(merged.user) });
+    } catch (error) {
+        console.error('Link Telegram error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Link an existing username/password account to the current Telegram account
+app.post('/api/account/link/password', requireSession, async (req, res) => {
+    try {
+        const { username, password, strategy } = req.body;
+        
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password required' });
+        }
+        
+        if (req.user.password) {
+            return res.status(409).json({ error: 'Account already has a password', code: 'ALREADY_LINKED' });
+        }
+        
+        const other = await storage.findUserByUsername(username);
+        const { valid } = other && other.password
+            ? await verifyPassword(password, other.password)
+            : await fakeVerify(password);
+        
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        
+        if (other.id === req.user.id) {
+            return res.json({ success: true, user: publicUser(req.user) });
+        }
+        
+        if (other.telegramId) {
+            return res.status(409).json({ error: 'This account is linked to another Telegram account', code: 'TELEGRAM_LINKED' });
+        }
+        
+        const merged = await mergeAccounts(req.user, other, strategy);
+        if (merged.failure) {
+            return res.status(merged.status).json(merged.failure);
+        }
+        
+        res.json({ success: true, user: publicUser(merged.user) });
+    } catch (error) {
+        console.error('Link password account error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add a password (and optionally a new username) to a Telegram-only account
+app.post('/api/account/password', requireSession, async (req, res) => {
+    try {
+        const { password, username } = req.body;
+        
+        if (req.user.password) {
+            return res.status(409).json({ error: 'Account already has a password', code: 'ALREADY_LINKED' });
+        }
+        
+        if (!password || password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        }
+        
+        const updates = { password: await hashPassword(password) };
+        
+        if (username && username !== req.user.username) {
+            if (username.length < 3) {
+                return res.status(400).json({ error: 'Username must be at least 3 characters' });
+            }
+            if (username.startsWith(TELEGRAM_USERNAME_PREFIX)) {
+                return res.status(400).json({ error: 'Usernames starting with @ are reserved for Telegram accounts' });
+            }
+            if (await storage.findUserByUsername(username)) {
+                return res.status(400).json({ error: 'User already exists' });
+            }
+            updates.username = username;
+        }
+        
+        const user = await storage.updateUser(req.user.id, updates);
+        res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+        console.error('Set password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unlink the Telegram identity. Only possible when the account can still
+// be reached with a password afterwards.
+app.delete('/api/account/telegram', requireSession, async (req, res) => {
+    try {
+        if (!req.user.telegramId) {
+            return res.status(400).json({ error: 'No Telegram account linked' });
+        }
+        
+        if (!req.user.password) {
+            return res.status(409).json({ error: 'Set a password before unlinking Telegram', code: 'PASSWORD_REQUIRED' });
+        }
+        
+        const user = await storage.updateUser(req.user.id, { telegramId: null });
+        res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+        console.error('Unlink Telegram error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==================== API KEY ROUTES ====================
+
+// Keys are stored hashed: the full key is only in the response that creates it.
+// Each key has a name, the scopes it may be used for and an optional expiry.
+
+// Check { name, scopes, expiresInDays } from the body of a create request.
+// Returns { name, scopes, expiresAt } or { error }.
+function readApiKeyOptions(body, defaultName) {
+    const name = body.name === undefined ? defaultName : String(body.name).trim();
+    if (!name || name.length > 64) {
+        return { error: 'Key name must be 1-64 characters' };
+    }
+    
+    const scopes = body.scopes === undefined ? API_KEY_SCOPES : body.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        return { error: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` };
+    }
+    
+    let expiresAt = null;
+    if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+        const days = Number(body.expiresInDays);
+        if (!Number.isFinite(days) || days <= 0) {
+            return { error: 'expiresInDays must be a positive number' };
+        }
+        expiresAt = new Date(Date.now() + days * DAY_MS).toISOString();
+    }
+    
+    return { name, scopes: [...new Set(scopes)], expiresAt };
+}
+
+// List the current user's API keys
+app.get('/api/user/apikeys', requireSession, async (req, res) => {
+    try {
+        const keys = await storage.listUserApiKeys(req.user.id);
+        res.json({ scopes: API_KEY_SCOPES, keys: keys.map(apiKeyResponse) });
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create an API key. The key itself is returned only here.
+app.post('/api/user/apikeys', requireSession, async (req, res) => {
+    try {
+        const options = readApiKeyOptions(req.body, 'API key');
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const { apiKey, record } = createApiKeyRecord({ userId: req.user.id, ...options });
+        await storage.createUserApiKey(record);
+        
+        res.status(201).json({ ...apiKeyResponse(record), apiKey });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke an API key
+app.delete('/api/user/apikeys/:keyId', requireSession, async (req, res) => {
+    try {
+        const keys = await storage.listUserApiKeys(req.user.id);
+        const key = keys.find(k => k.id === req.params.keyId);
+        
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        
+        await storage.deleteUserApiKey(key.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Only the owner may manage the keys of a username
+function requireOwnUsername(req, res, next) {
+    if (req.params.username !== req.user.username) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+}
+
+// The user's default key (named "Default"), as used by the API key dialog
+app.get('/api/user/:username/apikey', requireSession, requireOwnUsername, async (req, res) => {
+    try {
+        const keys = await storage.listUserApiKeys(req.user.id);
+        const key = keys.find(k => k.name === 'Default');
+        
+        res.json({ 
+            username: req.user.username,
+            key: key ? apiKeyResponse(key) : null
+        });
+    } catch (error) {
+        console.error('Get user API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replace the default key with a new one that has every scope
+app.post('/api/user/:username/apikey/regenerate', requireSession, requireOwnUsername, async (req, res) => {
+    try {
+        const keys = await storage.listUserApiKeys(req.user.id);
+        for (const key of keys.filter(k => k.name === 'Default')) {
+            await storage.deleteUserApiKey(key.id);
+        }
+        
+        const { apiKey, record } = createApiKeyRecord({ userId: req.user.id, name: 'Default' });
+        await storage.createUserApiKey(record);
+        
+        res.json({ 
+            username: req.user.username,
+            apiKey,
+            key: apiKeyResponse(record),
+            message: 'API key regenerated successfully'
+        });
+    } catch (error) {
+        console.error('Regenerate API key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get API keys
+app.get('/api/keys', requireSession, requireAdmin, async (req, res) => {
+    try {
+        res.json(await storage.getApiKeys());
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update API keys
+app.put('/api/keys', requireSession, requireAdmin, async (req, res) => {
+    try {
+        const { huggingface, replicate } = req.body;
+        const updates = {};
+        
+        if (huggingface !== undefined) {
+            updates.huggingface = huggingface;
+        }
+        if (replicate !== undefined) {
+            updates.replicate = replicate;
+        }
+        
+        res.json(await storage.updateApiKeys(updates));
+    } catch (error) {
+        console.error('Update API keys error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==================== PROVIDER KEY ROUTES ====================
+
+// Providers users can bring their own key for. The keys are stored
+// encrypted in user.providerKeys and never sent back to the client.
+const USER_PROVIDER_KEYS = ['openrouter'];
+
+function providerKeyStatus(user) {
+    const status = {};
+    for (const provider of USER_PROVIDER_KEYS) {
+        const stored = user.providerKeys?.[provider];
+        status[provider] = stored
+            ? { configured: true, hint: stored.hint, updatedAt: stored.updatedAt }
+            : { configured: false };
+    }
+    return status;
+}
+
+// Decrypted provider keys of the user, as credentials for the provider registry
+function userCredentials(user) {
+    const credentials = {};
+    for (const [provider, stored] of Object.entries(user.providerKeys || {})) {
+        const apiKey = decryptSecret(stored.encrypted);
+        if (apiKey) {
+            credentials[provider] = apiKey;
+        }
+    }
+    return credentials;
+}
+
+function requireUserProvider(req, res, next) {
+    if (!USER_PROVIDER_KEYS.includes(req.params.provider)) {
+        return res.status(404).json({ error: 'Unknown provider' });
+    }
+    next();
+}
+
+// Which provider keys the user has saved
+app.get('/api/account/provider-keys', requireSession, (req, res) => {
+    res.json(providerKeyStatus(req.user));
+});
+
+// Save the user's key for a provider
+app.put('/api/account/provider-keys/:provider', requireSession, requireUserProvider, async (req, res) => {
+    try {
+        const apiKey = typeof req.body.apiKey === 'string' ? req.body.apiKey.trim() : '';
+        if (!apiKey) {
+            return res.status(400).json({ error: 'apiKey is required' });
         }
         
-        // Find user
-        const user = db.users.find(u => u.id === session.userId);
-        
-        if (!user) {
-            return res.status(401).json({ valid: false, error: 'User not found' });
-        }
+        const providerKeys = {
+            ...req.user.providerKeys,
+            [req.params.provider]: {
+                encrypted: encryptSecret(apiKey),
+                hint: apiKeyHint(apiKey),
+                updatedAt: new Date().toISOString()
+            }
+        };
+        const user = await storage.updateUser(req.user.id, { providerKeys });
         
-        // Return user without password
-        const { password, ...userResponse } = user;
-        res.json({ 
-            valid: true, 
-            user: userResponse 
-        });
+        res.json(providerKeyStatus(user));
     } catch (error) {
-        console.error('Session verification error:', error);
-        res.status(500).json({ valid: false, error: 'Internal server error' });
+        console.error('Save provider key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// ==================== CHAT ROUTES ====================
-
-// Get all chats for a user
-app.get('/api/chats/:userId', async (req, res) => {
+// Remove the user's key for a provider
+app.delete('/api/account/provider-keys/:provider', requireSession, requireUserProvider, async (req, res) => {
     try {
-        const { userId } = req.params;
-        const db = await readDB();
+        const { [req.params.provider]: removed, ...providerKeys } = req.user.providerKeys || {};
+        const user = await storage.updateUser(req.user.id, { providerKeys });
         
-        const userChats = db.chats.filter(chat => chat.userId === userId);
-        res.json(userChats);
+        res.json(providerKeyStatus(user));
     } catch (error) {
-        console.error('Get chats error:', error);
+        console.error('Delete provider key error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Create new chat
-app.post('/api/chats', async (req, res) => {
+// ==================== ADMIN ROUTES ====================
+
+// Circuit state, error rate and latency of every LLM provider.
+// With ?probe=true each provider is also checked for reachability.
+app.get('/api/admin/providers', requireSession, requireAdmin, async (req, res) => {
     try {
-        const { userId, title, model } = req.body;
+        const status = providers.status();
         
-        if (!userId || !title) {
-            return res.status(400).json({ error: 'UserId and title required' });
+        if (req.query.probe === 'true') {
+            const probes = await providers.health();
+            for (const name of Object.keys(status)) {
+                status[name].probe = probes[name];
+            }
         }
         
-        const db = await readDB();
-        
-        const newChat = {
-            id: 'chat_' + Date.now(),
-            userId,
-            title,
-            messages: [],
-            model: model || 'gpt-5',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-        
-        db.chats.push(newChat);
-        await writeDB(db);
-        
-        res.status(201).json(newChat);
+        res.json(status);
     } catch (error) {
-        console.error('Create chat error:', error);
+        console.error('Provider health error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update chat
-app.put('/api/chats/:chatId', async (req, res) => {
+// Delete every session of a user, e.g. after disabling them or resetting the password
+async function revokeUserSessions(userId) {
+    for (const session of await storage.listSessionsByUser(userId)) {
+        await storage.deleteSession(session.token);
+    }
+}
+
+// List users with their chat counts
+app.get('/api/admin/users', requireSession, requireAdmin, async (req, res) => {
     try {
-        const { chatId } = req.params;
-        const updates = req.body;
-        
-        console.log(`[SERVER] Updating chat ${chatId}`);
-        console.log(`[SERVER] Updates:`, {
-            hasMessages: !!updates.messages,
-            messagesCount: updates.messages?.length,
-            hasModel: !!updates.model,
-            hasTitle: !!updates.title
-        });
-        
-        const db = await readDB();
-        const chatIndex = db.chats.findIndex(c => c.id === chatId);
-        
-        if (chatIndex === -1) {
-            console.error(`[SERVER] Chat ${chatId} not found`);
-            return res.status(404).json({ error: 'Chat not found' });
+        const users = await storage.listUsers();
+        const result = [];
+        
+        for (const user of users) {
+            result.push({
+                ...publicUser(user),
+                hasPassword: !!user.password,
+                chatCount: await storage.countChatsByUser(user.id)
+            });
         }
         
-        const oldMessagesCount = db.chats[chatIndex].messages?.length || 0;
-        
-        db.chats[chatIndex] = {
-            ...db.chats[chatIndex],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
-        
-        const newMessagesCount = db.chats[chatIndex].messages?.length || 0;
-        console.log(`[SERVER] Chat ${chatId} updated: ${oldMessagesCount} -> ${newMessagesCount} messages`);
-        
-        await writeDB(db);
-        console.log(`[SERVER] ✅ Chat ${chatId} saved to database`);
-        
-        res.json(db.chats[chatIndex]);
+        res.json(result);
     } catch (error) {
-        console.error('[SERVER] Update chat error:', error);
+        console.error('Admin list users error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete chat
-app.delete('/api/chats/:chatId', async (req, res) => {
+// Change a user's role or disable/enable them
+app.patch('/api/admin/users/:userId', requireSession, requireAdmin, async (req, res) => {
     try {
-        const { chatId } = req.params;
-        const db = await readDB();
+        const { userId } = req.params;
+        const { role, disabled } = req.body;
+        const updates = {};
         
-        const chatIndex = db.chats.findIndex(c => c.id === chatId);
-        if (chatIndex === -1) {
-            return res.status(404).json({ error: 'Chat not found' });
+        if (role !== undefined) {
+            if (!['admin', 'user'].includes(role)) {
+                return res.status(400).json({ error: 'Role must be "admin" or "user"' });
+            }
+            updates.role = role;
+        }
+        if (disabled !== undefined) {
+            updates.disabled = !!disabled;
         }
         
-        db.chats.splice(chatIndex, 1);
-        await writeDB(db);
+        if (userId === req.user.id && (updates.disabled || updates.role === 'user')) {
+            return res.status(400).json({ error: 'You cannot disable or demote yourself' });
+        }
         
-        res.json({ success: true });
+        const user = await storage.updateUser(userId, updates);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (updates.disabled) {
+            await revokeUserSessions(userId);
+        }
+        
+        console.log(`👑 Admin ${req.user.username} updated user ${userId}:`, updates);
+        res.json(publicUser(user));
     } catch (error) {
-        console.error('Delete chat error:', error);
+        console.error('Admin update user error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// ==================== API KEY ROUTES ====================
-
-// Get user's API key for external integrations
-app.get('/api/user/:username/apikey', async (req, res) => {
+// Delete a user together with their chats, sessions and API keys
+app.delete('/api/admin/users/:userId', requireSession, requireAdmin, async (req, res) => {
     try {
-        const { username } = req.params;
-        const db = await readDB();
-        const user = db.users?.find(u => u.username === username);
+        const { userId } = req.params;
+        
+        if (userId === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete yourself' });
+        }
         
+        const user = await storage.findUserById(userId);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        res.json({ 
-            username: user.username,
-            apiKey: user.apiKey,
-            createdAt: user.createdAt
-        });
+        const chats = await storage.listChatsByUser(userId);
+        for (const chat of chats) {
+            await storage.deleteChat(chat.id);
+        }
+        await revokeUserSessions(userId);
+        for (const key of await storage.listUserApiKeys(userId)) {
+            await storage.deleteUserApiKey(key.id);
+        }
+        await storage.deleteUser(userId);
+        
+        console.log(`👑 Admin ${req.user.username} deleted user ${userId} (${chats.length} chats)`);
+        res.json({ success: true, deletedChats: chats.length });
     } catch (error) {
-        console.error('Get user API key error:', error);
+        console.error('Admin delete user error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Regenerate user's API key
-app.post('/api/user/:username/apikey/regenerate', async (req, res) => {
+// Reset a user's password. Without a password in the body a temporary one
+// is generated and returned once.
+app.post('/api/admin/users/:userId/reset-password', requireSession, requireAdmin, async (req, res) => {
     try {
-        const { username } = req.params;
-        const db = await readDB();
-        const userIndex = db.users?.findIndex(u => u.username === username);
+        const { userId } = req.params;
+        const newPassword = req.body.password || crypto.randomBytes(9).toString('base64url');
         
-        if (userIndex === -1) {
+        if (newPassword.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        }
+        
+        const user = await storage.updateUser(userId, { password: await hashPassword(newPassword) });
+        if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        // Generate new API key
-        const newApiKey = generateApiKey();
-        db.users[userIndex].apiKey = newApiKey;
-        await writeDB(db);
+        await revokeUserSessions(userId);
         
-        res.json({ 
-            username: db.users[userIndex].username,
-            apiKey: newApiKey,
-            message: 'API key regenerated successfully'
+        console.log(`👑 Admin ${req.user.username} reset password of user ${userId}`);
+        res.json({
+            success: true,
+            username: user.username,
+            password: req.body.password ? undefined : newPassword
         });
     } catch (error) {
-        console.error('Regenerate API key error:', error);
+        console.error('Admin reset password error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get API keys
-app.get('/api/keys', async (req, res) => {
+// ==================== MODEL ROUTES ====================
+
+// Model catalog for the model picker (enabled models only)
+app.get('/api/models', (req, res) => {
+    res.json({
+        defaultModel: models.defaultModel,
+        models: models.list().map(model => models.publicEntry(model))
+    });
+});
+
+// ==================== GENERATION ROUTES ====================
+
+// Aborted when the client goes away before the response is finished
+// (e.g. the stop button), so the upstream call is cancelled too
+function clientAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
+// Send completion chunks as OpenAI-style Server-Sent Events, ending with
+// "data: [DONE]". `extra` is merged into every chunk.
+async function sendCompletionStream(res, chunks, extra = {}, signal = null) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    
     try {
-        const db = await readDB();
-        res.json(db.apiKeys);
+        for await (const chunk of chunks) {
+            res.write(`data: ${JSON.stringify({ ...chunk, ...extra })}\n\n`);
+        }
     } catch (error) {
-        console.error('Get API keys error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        if (signal?.aborted) {
+            console.log('⏹ Completion stream cancelled by the client');
+            return;
+        }
+        // Headers are already sent, so the error goes into the stream
+        console.error('Completion stream error:', error);
+        res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'provider_error' } })}\n\n`);
     }
-});
+    
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
 
-// Update API keys
-app.put('/api/keys', async (req, res) => {
+// Chat completion request with the model's defaults filled in, or null if
+// the model is not an enabled text model in the catalog
+function buildChatRequest({ messages, model, temperature, max_tokens }) {
+    const entry = models.get(model || models.defaultModel);
+    if (!entry || entry.type !== 'text') {
+        return null;
+    }
+    
+    return {
+        model: entry.id,
+        messages,
+        temperature: temperature ?? entry.defaults.temperature,
+        max_tokens: max_tokens ?? entry.defaults.max_tokens
+    };
+}
+
+// Chat completion for the web app. The client sends OpenAI-style messages;
+// the server picks the provider and adds the user's own provider keys.
+// With `stream: true` the answer comes as Server-Sent Events. With
+// `builtinTools: true` the model may call the built-in tools (lib/tools),
+// which run here until it answers; in a stream every call is sent as a
+// { tool } event, otherwise they are listed in `toolCalls`.
+app.post('/api/chat/completions', requireSession, async (req, res) => {
     try {
-        const { huggingface, replicate } = req.body;
-        const db = await readDB();
+        const { messages, stream = false, builtinTools: useTools = false } = req.body;
         
-        if (huggingface !== undefined) {
-            db.apiKeys.huggingface = huggingface;
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: 'messages array is required' });
         }
-        if (replicate !== undefined) {
-            db.apiKeys.replicate = replicate;
+        
+        const request = buildChatRequest(req.body);
+        if (!request) {
+            return res.status(400).json({ error: `Unknown model "${req.body.model}"`, code: 'MODEL_NOT_FOUND' });
+        }
+        const options = { credentials: userCredentials(req.user), signal: clientAbortSignal(res) };
+        
+        // Only when the model and one of the user's providers can call tools
+        const withTools = useTools && models.get(request.model).capabilities.tools &&
+            providers.forModel(request.model, options, true).length > 0;
+        if (withTools) {
+            request.tools = builtinTools.definitions();
+        }
+        const context = { user: req.user, signal: options.signal };
+        
+        if (stream) {
+            const first = await providers.stream(request, options);
+            if (!withTools) {
+                return sendCompletionStream(res, first.chunks, { provider: first.provider }, options.signal);
+            }
+            return sendCompletionStream(res, streamWithTools(providers, request, options, builtinTools, context, first), {}, options.signal);
         }
         
-        await writeDB(db);
-        res.json(db.apiKeys);
+        if (!withTools) {
+            const { provider, completion } = await providers.complete(request, options);
+            return res.json({ ...completion, provider });
+        }
+        const { provider, completion, toolCalls } = await completeWithTools(providers, request, options, builtinTools, context);
+        res.json({ ...completion, provider, toolCalls });
     } catch (error) {
-        console.error('Update API keys error:', error);
+        if (res.destroyed) {
+            console.log('⏹ Chat completion cancelled by the client');
+            return;
+        }
+        if (error.name === 'ProviderError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Chat completion error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// ==================== GENERATION ROUTES ====================
-
-// Generate image - supports multiple providers
-app.post('/api/generate/image', async (req, res) => {
+// Generate image - supports multiple providers. With the id of one of the
+// user's chats, a follow-up ("убери фон") is combined with the earlier
+// request from that chat.
+app.post('/api/generate/image', requireSession, async (req, res) => {
     try {
-        const { prompt, width = 1024, height = 1024, userId, chatId, provider = 'stable-diffusion' } = req.body;
+        const { prompt, width = 1024, height = 1024, chatId, provider = 'stable-diffusion' } = req.body;
+        const signal = clientAbortSignal(res);
         
         if (!prompt) {
             return res.status(400).json({ error: 'Prompt required' });
@@ -574,16 +1459,15 @@ app.post('/api/generate/image', async (req, res) => {
         
         // Get chat context if chatId is provided
         let contextualPrompt = prompt;
-        if (chatId && userId) {
-            const db = await readDB();
-            const chat = db.chats?.find(c => c.id === chatId && c.userId === userId);
+        if (chatId) {
+            const chat = await findOwnChat(req, chatId);
             
-            if (chat && chat.messages && chat.messages.length > 0) {
+            if (chat && chat.messages.length > 0) {
                 // Find last image generation request in chat history
                 const recentMessages = chat.messages.slice(-10); // Last 10 messages
                 const lastImageGeneration = recentMessages
                     .reverse()
-                    .find(m => m.content && (m.content.includes('сгенерир') || m.content.includes('нарисуй') || m.content.includes('создай')));
+                    .find(m => m.type === 'user' && m.text && (m.text.includes('сгенерир') || m.text.includes('нарисуй') || m.text.includes('создай')));
                 
                 if (lastImageGeneration) {
                     // Check if current prompt is a modification request
@@ -591,9 +1475,9 @@ app.post('/api/generate/image', async (req, res) => {
                     
                     if (isModification) {
                         // Combine context: take base from previous request + current modification
-                        contextualPrompt = `${lastImageGeneration.content}, ${prompt}`;
+                        contextualPrompt = `${lastImageGeneration.text}, ${prompt}`;
                         console.log('📝 Using context from previous request');
-                        console.log('   Previous:', lastImageGeneration.content);
+                        console.log('   Previous:', lastImageGeneration.text);
                         console.log('   Current:', prompt);
                         console.log('   Combined:', contextualPrompt);
                     }
@@ -601,79 +1485,35 @@ app.post('/api/generate/image', async (req, res) => {
             }
         }
         
-        let imageBase64, modelName;
-        
-        // Choose provider
-        if (provider === 'huggingface' || provider === 'stable-diffusion') {
-            console.log('🎨 Generating image with Stable Diffusion 2.1:', contextualPrompt);
-            
-            // Use Hugging Face Inference API (Free, No API Key!)
-            const hfResponse = await fetch('https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-2-1', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    inputs: contextualPrompt,
-                    parameters: {
-                        num_inference_steps: 30,
-                        guidance_scale: 7.5
-                    }
-                })
+        console.log(`🎨 Generating image with ${provider}:`, contextualPrompt);
+        let image;
+        try {
+            image = await images.generate(contextualPrompt, { provider, width, height, signal });
+        } catch (error) {
+            if (error.name !== 'ImageGenerationError') throw error;
+            return res.status(error.status).json({ 
+                error: 'Image generation failed',
+                details: error.message
             });
-            
-            if (!hfResponse.ok) {
-                const errorText = await hfResponse.text();
-                console.error('Hugging Face API error:', hfResponse.status, errorText);
-                
-                // Fallback to Pollinations if HF fails
-                console.log('⚠️ Falling back to Pollinations AI');
-                const encodedPrompt = encodeURIComponent(contextualPrompt);
-                const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${width}&height=${height}&model=flux&enhance=true&nologo=true`;
-                const pollResponse = await fetch(imageUrl);
-                const pollBuffer = await pollResponse.arrayBuffer();
-                imageBase64 = Buffer.from(pollBuffer).toString('base64');
-                modelName = 'Pollinations AI (Flux) - Fallback';
-            } else {
-                const imageBuffer = await hfResponse.arrayBuffer();
-                imageBase64 = Buffer.from(imageBuffer).toString('base64');
-                modelName = 'Stable Diffusion 2.1';
-            }
-        } else {
-            // Default: Pollinations AI
-            console.log('🎨 Generating image with Pollinations AI:', contextualPrompt);
-            
-            const encodedPrompt = encodeURIComponent(contextualPrompt);
-            const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${width}&height=${height}&model=flux&enhance=true&nologo=true`;
-            
-            const response = await fetch(imageUrl);
-            
-            if (!response.ok) {
-                console.error('Pollinations AI error:', response.status);
-                return res.status(response.status).json({ 
-                    error: 'Image generation failed',
-                    details: `HTTP ${response.status}`
-                });
-            }
-            
-            const imageBuffer = await response.arrayBuffer();
-            imageBase64 = Buffer.from(imageBuffer).toString('base64');
-            modelName = 'Pollinations AI (Flux)';
         }
         
         console.log('✅ Image generated successfully');
         
         res.json({
-            image: `data:image/png;base64,${imageBase64}`,
+            image: `data:image/png;base64,${image.buffer.toString('base64')}`,
             prompt: contextualPrompt,
             originalPrompt: prompt,
-            model: modelName,
+            model: image.model,
             provider: provider,
             width,
             height,
             contextUsed: contextualPrompt !== prompt
         });
     } catch (error) {
+        if (res.destroyed) {
+            console.log('⏹ Image generation cancelled by the client');
+            return;
+        }
         console.error('❌ Generate image error:', error);
         res.status(500).json({ 
             error: 'Internal server error',
@@ -682,10 +1522,12 @@ app.post('/api/generate/image', async (req, res) => {
     }
 });
 
-// Generate video - BETA: Limited free options available
-app.post('/api/generate/video', async (req, res) => {
+// Generate video - BETA: Limited free options available. Takes context from
+// the user's own chat like /api/generate/image.
+app.post('/api/generate/video', requireSession, async (req, res) => {
     try {
-        const { prompt, userId, chatId } = req.body;
+        const { prompt, chatId } = req.body;
+        const signal = clientAbortSignal(res);
         
         if (!prompt) {
             return res.status(400).json({ error: 'Prompt required' });
@@ -693,16 +1535,15 @@ app.post('/api/generate/video', async (req, res) => {
         
         // Get chat context if chatId is provided
         let contextualPrompt = prompt;
-        if (chatId && userId) {
-            const db = await readDB();
-            const chat = db.chats?.find(c => c.id === chatId && c.userId === userId);
+        if (chatId) {
+            const chat = await findOwnChat(req, chatId);
             
-            if (chat && chat.messages && chat.messages.length > 0) {
+            if (chat && chat.messages.length > 0) {
                 // Find last video generation request in chat history
                 const recentMessages = chat.messages.slice(-10); // Last 10 messages
                 const lastVideoGeneration = recentMessages
                     .reverse()
-                    .find(m => m.content && (m.content.includes('видео') || m.content.includes('video')));
+                    .find(m => m.type === 'user' && m.text && (m.text.includes('видео') || m.text.includes('video')));
                 
                 if (lastVideoGeneration) {
                     // Check if current prompt is a modification request
@@ -710,9 +1551,9 @@ app.post('/api/generate/video', async (req, res) => {
                     
                     if (isModification) {
                         // Combine context: take base from previous request + current modification
-                        contextualPrompt = `${lastVideoGeneration.content}, ${prompt}`;
+                        contextualPrompt = `${lastVideoGeneration.text}, ${prompt}`;
                         console.log('📝 Using context from previous video request');
-                        console.log('   Previous:', lastVideoGeneration.content);
+                        console.log('   Previous:', lastVideoGeneration.text);
                         console.log('   Current:', prompt);
                         console.log('   Combined:', contextualPrompt);
                     }
@@ -726,31 +1567,23 @@ app.post('/api/generate/video', async (req, res) => {
         // For now, generate a high-quality animated sequence using Stable Diffusion
         // This creates a static image as a placeholder until we integrate a real video API
         
-        const encodedPrompt = encodeURIComponent(contextualPrompt + ', cinematic, motion blur, dynamic');
-        
         // Try Hugging Face first for better quality
         let videoUrl;
         try {
-            const hfResponse = await fetch('https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-2-1', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    inputs: contextualPrompt + ', cinematic scene, motion, dynamic',
-                    parameters: { num_inference_steps: 30, guidance_scale: 7.5 }
-                })
+            const image = await images.generate(contextualPrompt + ', cinematic scene, motion, dynamic', {
+                provider: 'stable-diffusion',
+                fallback: false,
+                signal
             });
-            
-            if (hfResponse.ok) {
-                const imageBuffer = await hfResponse.arrayBuffer();
-                const base64Image = Buffer.from(imageBuffer).toString('base64');
-                videoUrl = `data:image/png;base64,${base64Image}`;
-                console.log('✅ Generated cinematic image (video placeholder)');
-            } else {
-                throw new Error('HF API failed');
-            }
+            videoUrl = `data:image/png;base64,${image.buffer.toString('base64')}`;
+            console.log('✅ Generated cinematic image (video placeholder)');
         } catch (error) {
+            if (signal.aborted) {
+                console.log('⏹ Video generation cancelled by the client');
+                return;
+            }
             // Fallback to Pollinations
-            videoUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=1024&height=1024&model=flux&enhance=true&nologo=true`;
+            videoUrl = pollinationsUrl(contextualPrompt + ', cinematic, motion blur, dynamic');
             console.log('✅ Using Pollinations fallback');
         }
         
@@ -774,137 +1607,214 @@ app.post('/api/generate/video', async (req, res) => {
 
 
 
+// ==================== TELEGRAM BOT ====================
+
+// Bot settings (the bot is off without TELEGRAM_BOT_TOKEN):
+// TELEGRAM_WEBHOOK_URL - public URL of /api/telegram/webhook, registered with Telegram at startup
+// TELEGRAM_WEBHOOK_SECRET - secret_token Telegram must send back in X-Telegram-Bot-Api-Secret-Token;
+//   without it no update is handled, as anyone could post updates in any user's name
+// TELEGRAM_WEBHOOK_DEV_MODE=true - handle updates without a secret (development only)
+// TELEGRAM_API_URL - Bot API server (default https://api.telegram.org), e.g. test/fake-telegram.js
+// PUBLIC_URL - public URL of this server; Telegram fetches inline mode images from it
+// Inline mode itself is switched on for the bot with /setinline in @BotFather. In
+// groups the bot only sees mentions with privacy mode off (/setprivacy) or as an admin.
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || null;
+const TELEGRAM_WEBHOOK_DEV_MODE = process.env.TELEGRAM_WEBHOOK_DEV_MODE === 'true';
+const telegramApi = createTelegramApi();
+const telegramBot = telegramApi && new TelegramBot({
+    api: telegramApi,
+    storage,
+    models,
+    providers,
+    images,
+    buildChatRequest,
+    userCredentials,
+    findOrCreateUser: findOrCreateTelegramUser,
+    publicUrl: process.env.PUBLIC_URL || null
+});
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Bot API updates. Telegram only needs a quick 200 - the answer is sent
+// with sendMessage once the model replies, so the update is handled after
+// responding.
+app.post('/api/telegram/webhook', (req, res) => {
+    if (!telegramBot) {
+        return res.status(404).json({ error: 'Telegram bot is not configured', code: 'TELEGRAM_BOT_DISABLED' });
+    }
+    
+    if (!TELEGRAM_WEBHOOK_SECRET && !TELEGRAM_WEBHOOK_DEV_MODE) {
+        return res.status(503).json({ error: 'Telegram webhook secret is not configured', code: 'TELEGRAM_WEBHOOK_SECRET_NOT_SET' });
+    }
+    
+    if (TELEGRAM_WEBHOOK_SECRET && !safeEqual(req.get('X-Telegram-Bot-Api-Secret-Token') || '', TELEGRAM_WEBHOOK_SECRET)) {
+        return res.status(401).json({ error: 'Invalid webhook secret', code: 'TELEGRAM_WEBHOOK_SECRET_INVALID' });
+    }
+    
+    res.json({ ok: true });
+    telegramBot.handleUpdate(req.body);
+});
+
+// Images of inline mode results, fetched by Telegram while they are cached
+app.get('/api/telegram/inline-images/:id.png', (req, res) => {
+    const image = telegramBot && telegramBot.inlineImageFile(req.params.id);
+    if (!image) {
+        return res.status(404).json({ error: 'Image not found', code: 'IMAGE_NOT_FOUND' });
+    }
+    
+    res.type('png').send(image);
+});
+
+// Send a generated image to the user's own Telegram chat ("send to
+// Telegram" in the Mini App). `image` is the data: URL the generation
+// routes return; it is uploaded as a photo, or as a file with `asDocument`.
+app.post('/api/telegram/send-image', requireSession, async (req, res) => {
+    try {
+        const { image, caption = '', asDocument = false } = req.body;
+        
+        if (!telegramApi) {
+            return res.status(404).json({ error: 'Telegram bot is not configured', code: 'TELEGRAM_BOT_DISABLED' });
+        }
+        
+        if (!req.user.telegramId) {
+            return res.status(400).json({ error: 'Link a Telegram account first', code: 'TELEGRAM_NOT_LINKED' });
+        }
+        
+        const match = /^data:image\/([\w.+-]+);base64,(.+)$/s.exec(typeof image === 'string' ? image : '');
+        if (!match) {
+            return res.status(400).json({ error: 'image must be a data:image/... URL', code: 'INVALID_IMAGE' });
+        }
+        
+        const [, format, base64] = match;
+        await telegramApi.sendImage(req.user.telegramId, Buffer.from(base64, 'base64'), {
+            caption: String(caption),
+            asDocument: !!asDocument,
+            filename: `image.${format === 'jpeg' ? 'jpg' : format}`,
+            contentType: `image/${format}`
+        });
+        
+        console.log(`📤 Image sent to Telegram for user ${req.user.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.name === 'TelegramApiError') {
+            console.warn(`⚠️ ${error.message}`);
+            // 403: the user never started the bot or blocked it
+            const code = error.status === 403 ? 'TELEGRAM_CHAT_UNAVAILABLE' : 'TELEGRAM_SEND_FAILED';
+            return res.status(502).json({ error: error.message, code });
+        }
+        console.error('Send image to Telegram error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ==================== PUBLIC API FOR INTEGRATIONS ====================
 
-// Middleware для проверки API ключа
-const verifyApiKey = async (req, res, next) => {
+// lastUsedAt of an API key is written at most this often
+const API_KEY_TOUCH_INTERVAL = 60 * 1000;
+
+// Middleware для проверки API ключа; scope - для чего нужен ключ
+const verifyApiKey = (scope) => async (req, res, next) => {
     const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
     
     if (!apiKey) {
-        return res.status(401).json({ 
-            error: 'API key required',
-            message: 'Please provide API key in X-API-Key or Authorization header'
-        });
+        return res.status(401).json(openAIError(401, 'API key required: provide it in the X-API-Key or Authorization header', { code: 'missing_api_key' }));
     }
     
     try {
-        const db = await readDB();
-        const user = db.users?.find(u => u.apiKey === apiKey);
+        const key = await storage.findUserApiKeyByHash(hashApiKey(apiKey));
+        const user = key && await storage.findUserById(key.userId);
         
         if (!user) {
-            return res.status(401).json({ 
-                error: 'Invalid API key',
-                message: 'The provided API key is invalid'
-            });
+            return res.status(401).json(openAIError(401, 'The provided API key is invalid', { code: 'invalid_api_key' }));
+        }
+        
+        if (key.expiresAt && new Date(key.expiresAt) < new Date()) {
+            return res.status(401).json(openAIError(401, `The provided API key expired at ${key.expiresAt}`, { code: 'expired_api_key' }));
+        }
+        
+        if (!key.scopes.includes(scope)) {
+            return res.status(403).json(openAIError(403, `This API key does not have the "${scope}" scope`, { code: 'insufficient_scope' }));
+        }
+        
+        if (user.disabled) {
+            return res.status(403).json(openAIError(403, 'The account this API key belongs to is disabled', { code: 'account_disabled' }));
+        }
+        
+        if (!key.lastUsedAt || Date.now() - new Date(key.lastUsedAt).getTime() > API_KEY_TOUCH_INTERVAL) {
+            await storage.updateUserApiKey(key.id, { lastUsedAt: new Date().toISOString() });
         }
         
         req.user = user;
+        req.apiKey = key;
         next();
     } catch (error) {
         console.error('API key verification error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        res.status(500).json(openAIError(500, 'Internal server error', { type: 'server_error' }));
     }
 };
 
-// Public API: Chat completions (OpenAI compatible)
-app.post('/api/v1/chat/completions', verifyApiKey, async (req, res) => {
+// Public API: Chat completions (OpenAI compatible). Parameters are
+// validated and forwarded as in the OpenAI API (see lib/openai.js); unlike
+// the web chat, nothing the client left out is filled in.
+app.post('/api/v1/chat/completions', verifyApiKey('chat'), async (req, res) => {
     try {
-        const { messages, model = 'gpt-5', temperature = 0.7, max_tokens = 30000 } = req.body;
+        const model = models.get(req.body.model || models.defaultModel);
+        if (!model || model.type !== 'text') {
+            return res.status(404).json(openAIError(404, `The model "${req.body.model}" does not exist; see GET /api/v1/models`, { param: 'model', code: 'model_not_found' }));
+        }
         
-        if (!messages || !Array.isArray(messages) || messages.length === 0) {
-            return res.status(400).json({ 
-                error: 'Invalid request',
-                message: 'messages array is required'
-            });
+        const { params: request, error } = readChatCompletionParams(req.body, model);
+        if (error) {
+            return res.status(400).json(openAIError(400, error.message, { param: error.param, code: 'invalid_value' }));
         }
         
-        // Use Clacky Proxy API
-        const CLACKY_API_KEY = 'sk-SJeu29HwKbFU3Bx-ixW9oA';
-        const CLACKY_PROXY_URL = 'https://proxy.clacky.ai/v1/chat/completions';
-        
-        const response = await fetch(CLACKY_PROXY_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${CLACKY_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: messages,
-                temperature: temperature,
-                max_tokens: max_tokens
-            })
-        });
+        const options = { signal: clientAbortSignal(res) };
         
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Clacky API error:', response.status, errorText);
-            return res.status(response.status).json({ 
-                error: 'AI API failed',
-                details: errorText
-            });
+        if (request.stream) {
+            const { provider, chunks } = await providers.stream(request, options);
+            return sendCompletionStream(res, normalizeChunks(chunks, request), { provider }, options.signal);
         }
         
-        const data = await response.json();
-        res.json(data);
+        const { provider, completion } = await providers.complete(request, options);
+        res.json({ ...normalizeCompletion(completion, request), provider });
     } catch (error) {
+        if (res.destroyed) {
+            console.log('⏹ Chat completion cancelled by the client');
+            return;
+        }
+        if (error.name === 'ProviderError') {
+            return res.status(error.status).json(openAIError(error.status, error.message, { code: error.code.toLowerCase() }));
+        }
         console.error('Chat completions error:', error);
-        res.status(500).json({ 
-            error: 'Internal server error',
-            message: error.message
-        });
+        res.status(500).json(openAIError(500, 'Internal server error', { type: 'server_error' }));
     }
 });
 
 // Public API: Image generation
-app.post('/api/v1/images/generate', verifyApiKey, async (req, res) => {
+app.post('/api/v1/images/generate', verifyApiKey('images'), async (req, res) => {
     try {
         const { prompt, provider = 'pollinations', width = 1024, height = 1024 } = req.body;
         
         if (!prompt) {
-            return res.status(400).json({ 
-                error: 'Invalid request',
-                message: 'prompt is required'
-            });
+            return res.status(400).json(openAIError(400, 'prompt is required', { param: 'prompt' }));
         }
         
-        let imageBase64, modelName;
-        
-        if (provider === 'huggingface' || provider === 'stable-diffusion') {
-            console.log('🎨 API: Generating with Stable Diffusion 2.1:', prompt);
-            
-            const hfResponse = await fetch('https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-2-1', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    inputs: prompt,
-                    parameters: { num_inference_steps: 30, guidance_scale: 7.5 }
-                })
-            });
-            
-            if (!hfResponse.ok) {
-                // Fallback
-                const encodedPrompt = encodeURIComponent(prompt);
-                const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${width}&height=${height}&model=flux&enhance=true&nologo=true`;
-                const pollResponse = await fetch(imageUrl);
-                const pollBuffer = await pollResponse.arrayBuffer();
-                imageBase64 = Buffer.from(pollBuffer).toString('base64');
-                modelName = 'Pollinations AI (Fallback)';
-            } else {
-                const imageBuffer = await hfResponse.arrayBuffer();
-                imageBase64 = Buffer.from(imageBuffer).toString('base64');
-                modelName = 'Stable Diffusion 2.1';
-            }
-        } else {
-            console.log('🎨 API: Generating with Pollinations AI:', prompt);
-            
-            const encodedPrompt = encodeURIComponent(prompt);
-            const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${width}&height=${height}&model=flux&enhance=true&nologo=true`;
-            const response = await fetch(imageUrl);
-            const imageBuffer = await response.arrayBuffer();
-            imageBase64 = Buffer.from(imageBuffer).toString('base64');
-            modelName = 'Pollinations AI (Flux)';
+        console.log(`🎨 API: Generating with ${provider}:`, prompt);
+        let image;
+        try {
+            image = await images.generate(prompt, { provider, width, height });
+        } catch (error) {
+            if (error.name !== 'ImageGenerationError') throw error;
+            return res.status(error.status).json(openAIError(error.status, `Image generation failed: ${error.message}`, {
+                type: 'api_error',
+                code: 'image_generation_failed'
+            }));
         }
+        const imageBase64 = image.buffer.toString('base64');
         
         res.json({
             created: Date.now(),
@@ -912,34 +1822,27 @@ app.post('/api/v1/images/generate', verifyApiKey, async (req, res) => {
                 url: `data:image/png;base64,${imageBase64}`,
                 b64_json: imageBase64
             }],
-            model: modelName,
+            model: image.model,
             provider: provider
         });
     } catch (error) {
         console.error('Image generation API error:', error);
-        res.status(500).json({ 
-            error: 'Internal server error',
-            message: error.message
-        });
+        res.status(500).json(openAIError(500, 'Internal server error', { type: 'server_error' }));
     }
 });
 
 // Public API: Video generation
-app.post('/api/v1/videos/generate', verifyApiKey, async (req, res) => {
+app.post('/api/v1/videos/generate', verifyApiKey('videos'), async (req, res) => {
     try {
         const { prompt } = req.body;
         
         if (!prompt) {
-            return res.status(400).json({ 
-                error: 'Invalid request',
-                message: 'prompt is required'
-            });
+            return res.status(400).json(openAIError(400, 'prompt is required', { param: 'prompt' }));
         }
         
         console.log('🎥 API: Generating video:', prompt);
         
-        const encodedPrompt = encodeURIComponent(prompt);
-        const videoUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=1024&height=1024&model=flux&enhance=true&nologo=true&video=true`;
+        const videoUrl = pollinationsUrl(prompt, 1024, 1024, '&video=true');
         
         res.json({
             created: Date.now(),
@@ -950,40 +1853,109 @@ app.post('/api/v1/videos/generate', verifyApiKey, async (req, res) => {
         });
     } catch (error) {
         console.error('Video generation API error:', error);
-        res.status(500).json({ 
-            error: 'Internal server error',
-            message: error.message
-        });
+        res.status(500).json(openAIError(500, 'Internal server error', { type: 'server_error' }));
     }
 });
 
 // Public API: List available models
-app.get('/api/v1/models', verifyApiKey, (req, res) => {
+app.get('/api/v1/models', verifyApiKey('models'), (req, res) => {
     res.json({
-        data: [
-            { id: 'gpt-5', name: 'GPT-5', type: 'text' },
-            { id: 'gpt-5-pro', name: 'GPT-5 Pro', type: 'text' },
-            { id: 'gpt-5-mini', name: 'GPT-5 Mini', type: 'text' },
-            { id: 'claude-sonnet-4', name: 'Claude Sonnet 4', type: 'text' },
-            { id: 'claude-3.7-sonnet', name: 'Claude 3.7 Sonnet', type: 'text' },
-            { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', type: 'text' },
-            { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', type: 'text' },
-            { id: 'deepseek-r1', name: 'DeepSeek R1', type: 'text' },
-            { id: 'deepseek-chat', name: 'DeepSeek Chat', type: 'text' },
-            { id: 'pollinations', name: 'Pollinations AI (Flux)', type: 'image' },
-            { id: 'stable-diffusion-2-1', name: 'Stable Diffusion 2.1', type: 'image' },
-            { id: 'pollinations-video', name: 'Pollinations Video', type: 'video' }
-        ]
+        object: 'list',
+        data: models.list().map(model => ({
+            id: model.id,
+            object: 'model',
+            created: 0,
+            owned_by: 'ai-chat-platform',
+            name: model.name,
+            type: model.type,
+            capabilities: model.capabilities,
+            context_length: model.contextLength
+        }))
     });
 });
 
+// Malformed JSON bodies on the public API get an OpenAI-style error too
+app.use('/api/v1', (error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed') {
+        return next(error);
+    }
+    res.status(400).json(openAIError(400, `We could not parse the JSON body of your request: ${error.message}`));
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Promote or create the ADMIN_USERNAME account
+async function bootstrapAdmin() {
+    if (!ADMIN_USERNAME) return;
+    
+    const user = await storage.findUserByUsername(ADMIN_USERNAME);
+    
+    if (user) {
+        if (user.role === 'admin') return;
+        
+        // The name may belong to an account created through Telegram
+        if (!user.password || user.telegramId) {
+            console.warn(`⚠️ ADMIN_USERNAME ${ADMIN_USERNAME} belongs to a Telegram account; not promoted`);
+            return;
+        }
+        await storage.updateUser(user.id, { role: 'admin' });
+        console.log(`👑 User ${ADMIN_USERNAME} promoted to admin`);
+        return;
+    }
+    
+    if (!process.env.ADMIN_PASSWORD) {
+        console.warn(`⚠️ ADMIN_USERNAME ${ADMIN_USERNAME} not found; set ADMIN_PASSWORD to create it`);
+        return;
+    }
+    
+    await storage.createUser({
+        id: Date.now().toString(),
+        username: ADMIN_USERNAME,
+        password: await hashPassword(process.env.ADMIN_PASSWORD),
+        telegramId: null,
+        firstName: null,
+        lastName: null,
+        role: 'admin',
+        disabled: false,
+        providerKeys: {},
+        createdAt: new Date().toISOString()
+    });
+    console.log(`👑 Admin user ${ADMIN_USERNAME} created`);
+}
+
 // Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📊 Database: ${DB_PATH}`);
+storage.init().then(bootstrapAdmin).then(() => {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+        console.log(`📊 Database: ${storage.describe()}`);
+        if (process.env.MOCK_PROVIDERS === 'true') {
+            console.warn('🧪 MOCK_PROVIDERS is on: chat and images come from the mock provider');
+        } else if (!providers.get('clacky').isConfigured()) {
+            console.warn('⚠️ CLACKY_API_KEY is not set: chat only works through the fallback chain (e.g. users\' OpenRouter keys)');
+        }
+        if (!process.env.TELEGRAM_BOT_TOKEN && TELEGRAM_AUTH_DEV_MODE) {
+            console.warn('⚠️ TELEGRAM_AUTH_DEV_MODE is on: Telegram initData is accepted WITHOUT verification');
+        }
+        if (telegramBot && !TELEGRAM_WEBHOOK_SECRET) {
+            console.warn(TELEGRAM_WEBHOOK_DEV_MODE
+                ? '⚠️ TELEGRAM_WEBHOOK_DEV_MODE is on: Telegram webhook updates are accepted WITHOUT a secret'
+                : '⚠️ TELEGRAM_WEBHOOK_SECRET is not set: Telegram webhook updates are refused');
+        }
+        if (telegramBot) {
+            telegramBot.registerCommands()
+                .then(() => console.log('🤖 Telegram bot commands registered'))
+                .catch(error => console.error('❌ Failed to register Telegram bot commands:', error.message));
+        }
+        if (telegramApi && process.env.TELEGRAM_WEBHOOK_URL) {
+            telegramApi.setWebhook(process.env.TELEGRAM_WEBHOOK_URL, TELEGRAM_WEBHOOK_SECRET)
+                .then(() => console.log(`🤖 Telegram webhook set to ${process.env.TELEGRAM_WEBHOOK_URL}`))
+                .catch(error => console.error('❌ Failed to set the Telegram webhook:', error.message));
+        }
+    });
+}).catch(error => {
+    console.error('❌ Failed to open database:', error);
+    process.exit(1);
 });
@@ -0,0 +1,314 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, parseEventStream, isPng } = require('./helpers');
+const { normalizeCompletion } = require('../lib/openai');
+
+describe('public API /api/v1', () => {
+    let server;
+    let token;
+    let fullKey;
+    let chatKey;
+
+    before(async () => {
+        server = await startServer();
+        ({ token } = await createUser(server, 'alice'));
+
+        const full = await server.request('POST', '/api/user/apikeys', { token, body: { name: 'Everything' } });
+        fullKey = full.body;
+        const chat = await server.request('POST', '/api/user/apikeys', {
+            token,
+            body: { name: 'Chat only', scopes: ['chat'] }
+        });
+        chatKey = chat.body;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('creates keys that are shown only once', async () => {
+        assert.match(fullKey.apiKey, /^sk-[0-9a-f]{64}$/);
+        assert.deepStrictEqual(chatKey.scopes, ['chat']);
+
+        const { body } = await server.request('GET', '/api/user/apikeys', { token });
+        assert.strictEqual(body.keys.length, 2);
+        assert.ok(body.keys.every(key => key.apiKey === undefined && key.hash === undefined));
+    });
+
+    it('rejects missing and unknown keys with OpenAI-style errors', async () => {
+        const missing = await server.request('GET', '/api/v1/models');
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(missing.body.error.code, 'missing_api_key');
+
+        const unknown = await server.request('GET', '/api/v1/models', { token: 'sk-unknown' });
+        assert.strictEqual(unknown.status, 401);
+        assert.deepStrictEqual(Object.keys(unknown.body.error).sort(), ['code', 'message', 'param', 'type']);
+        assert.strictEqual(unknown.body.error.type, 'invalid_request_error');
+        assert.strictEqual(unknown.body.error.code, 'invalid_api_key');
+    });
+
+    it('lists models from the catalog', async () => {
+        const { status, body } = await server.request('GET', '/api/v1/models', {
+            headers: { 'X-API-Key': fullKey.apiKey }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.object, 'list');
+        assert.strictEqual(body.data[0].object, 'model');
+        const ids = body.data.map(model => model.id);
+        assert.ok(ids.includes('gpt-5'));
+        assert.ok(ids.includes('pollinations'));
+        assert.strictEqual(body.data.find(model => model.id === 'gpt-5').context_length, 400000);
+    });
+
+    it('completes chats with an OpenAI-shaped body', async () => {
+        const { status, body } = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: { model: 'gpt-5-mini', messages: [{ role: 'user', content: 'Ping' }] }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.ok(body.id);
+        assert.strictEqual(body.object, 'chat.completion');
+        assert.strictEqual(typeof body.created, 'number');
+        assert.strictEqual(body.model, 'gpt-5-mini');
+        assert.deepStrictEqual(body.choices[0], {
+            index: 0,
+            message: { role: 'assistant', content: 'Mock response from gpt-5-mini: Ping' },
+            logprobs: null,
+            finish_reason: 'stop'
+        });
+        assert.ok(body.usage.prompt_tokens > 0);
+        assert.ok(body.usage.completion_tokens > 0);
+        assert.strictEqual(body.usage.total_tokens, body.usage.prompt_tokens + body.usage.completion_tokens);
+    });
+
+    it('accepts the optional OpenAI parameters', async () => {
+        const { status, body } = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: {
+                model: 'gpt-5',
+                messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Ping' }],
+                temperature: 0.2,
+                top_p: 0.9,
+                n: 2,
+                stop: ['\n\n'],
+                presence_penalty: 0.5,
+                frequency_penalty: -0.5,
+                seed: 42,
+                max_completion_tokens: 100,
+                response_format: { type: 'json_object' },
+                user: 'user-1234'
+            }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.choices.map(choice => choice.index), [0, 1]);
+    });
+
+    it('validates parameters', async () => {
+        const invalid = [
+            [{ temperature: 3 }, 'temperature'],
+            [{ top_p: -1 }, 'top_p'],
+            [{ n: 0 }, 'n'],
+            [{ stop: ['a', 'b', 'c', 'd', 'e'] }, 'stop'],
+            [{ presence_penalty: 'high' }, 'presence_penalty'],
+            [{ seed: 1.5 }, 'seed'],
+            [{ max_tokens: 10 * 1000 * 1000 }, 'max_tokens'],
+            [{ response_format: { type: 'xml' } }, 'response_format'],
+            [{ stream_options: { include_usage: true } }, 'stream_options'],
+            [{ messages: [{ role: 'robot', content: 'Hi' }] }, 'messages'],
+            [{ messages: [] }, 'messages']
+        ];
+
+        for (const [params, param] of invalid) {
+            const { status, body } = await server.request('POST', '/api/v1/chat/completions', {
+                token: chatKey.apiKey,
+                body: { messages: [{ role: 'user', content: 'Ping' }], ...params }
+            });
+            assert.strictEqual(status, 400, `expected ${param} to be rejected`);
+            assert.strictEqual(body.error.type, 'invalid_request_error');
+            assert.strictEqual(body.error.param, param);
+        }
+    });
+
+    it('answers malformed JSON with an OpenAI-style error', async () => {
+        const response = await fetch(`${server.url}/api/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${chatKey.apiKey}` },
+            body: '{"messages": ['
+        });
+        const body = await response.json();
+
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(body.error.type, 'invalid_request_error');
+    });
+
+    it('streams chat completions with a final usage chunk', async () => {
+        const { status, body } = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: {
+                messages: [{ role: 'user', content: 'Ping' }],
+                stream: true,
+                stream_options: { include_usage: true }
+            }
+        });
+
+        assert.strictEqual(status, 200);
+        const chunks = parseEventStream(body);
+        const usageChunk = chunks.pop();
+        assert.deepStrictEqual(usageChunk.choices, []);
+        assert.ok(usageChunk.usage.total_tokens > 0);
+
+        assert.strictEqual(new Set(chunks.map(chunk => chunk.id)).size, 1);
+        assert.ok(chunks.every(chunk => chunk.object === 'chat.completion.chunk' && chunk.model === 'gpt-5'));
+        const text = chunks.map(chunk => chunk.choices[0].delta.content || '').join('');
+        assert.strictEqual(text, 'Mock response from gpt-5: Ping');
+    });
+
+    it('passes tools through and returns tool calls in the OpenAI format', async () => {
+        const tools = [{
+            type: 'function',
+            function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+        }];
+        const messages = [{ role: 'user', content: 'get_weather {"city": "Paris"}' }];
+
+        const { status, body } = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: { messages, tools, tool_choice: 'auto', parallel_tool_calls: false }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.choices[0].finish_reason, 'tool_calls');
+        const { message } = body.choices[0];
+        assert.strictEqual(message.content, null);
+        assert.deepStrictEqual(message.tool_calls, [{
+            id: 'call_mock_get_weather',
+            type: 'function',
+            function: { name: 'get_weather', arguments: '{"city": "Paris"}' }
+        }]);
+
+        // The client runs the tool and sends the result back
+        const answer = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: {
+                tools,
+                messages: [
+                    ...messages,
+                    message,
+                    { role: 'tool', tool_call_id: message.tool_calls[0].id, content: 'Sunny, 21°C' }
+                ]
+            }
+        });
+        assert.strictEqual(answer.status, 200);
+        assert.strictEqual(answer.body.choices[0].message.content, 'Mock response from gpt-5: Sunny, 21°C');
+    });
+
+    it('streams tool call deltas', async () => {
+        const { body } = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: {
+                messages: [{ role: 'user', content: 'lookup {"q": 1}' }],
+                tools: [{ type: 'function', function: { name: 'lookup' } }],
+                stream: true
+            }
+        });
+
+        const chunks = parseEventStream(body);
+        const deltas = chunks.flatMap(chunk => chunk.choices[0].delta.tool_calls || []);
+        assert.strictEqual(deltas[0].function.name, 'lookup');
+        assert.strictEqual(deltas.map(delta => delta.function.arguments).join(''), '{"q": 1}');
+        assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, 'tool_calls');
+    });
+
+    it('validates tools', async () => {
+        const tool = { type: 'function', function: { name: 'lookup' } };
+        const invalid = [
+            [{ tools: {} }, 'tools'],
+            [{ tools: [{ type: 'function', function: { name: 'bad name' } }] }, 'tools'],
+            [{ tools: [{ type: 'function', function: { name: 'lookup', parameters: [] } }] }, 'tools'],
+            [{ tools: [tool], model: 'deepseek-r1' }, 'tools'],
+            [{ tools: [tool], tool_choice: 'always' }, 'tool_choice'],
+            [{ tools: [tool], tool_choice: { type: 'function', function: { name: 'other' } } }, 'tool_choice'],
+            [{ parallel_tool_calls: 'yes' }, 'parallel_tool_calls'],
+            [{ messages: [{ role: 'tool', content: '42' }] }, 'messages']
+        ];
+
+        for (const [params, param] of invalid) {
+            const { status, body } = await server.request('POST', '/api/v1/chat/completions', {
+                token: chatKey.apiKey,
+                body: { messages: [{ role: 'user', content: 'Ping' }], ...params }
+            });
+            assert.strictEqual(status, 400, `expected ${JSON.stringify(params)} to be rejected`);
+            assert.strictEqual(body.error.param, param);
+        }
+    });
+
+    it('rejects unknown models', async () => {
+        const { status, body } = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: { model: 'pollinations', messages: [{ role: 'user', content: 'Ping' }] }
+        });
+        assert.strictEqual(status, 404);
+        assert.strictEqual(body.error.code, 'model_not_found');
+        assert.strictEqual(body.error.param, 'model');
+    });
+
+    it('enforces key scopes', async () => {
+        const { status, body } = await server.request('POST', '/api/v1/images/generate', {
+            token: chatKey.apiKey,
+            body: { prompt: 'a cat' }
+        });
+        assert.strictEqual(status, 403);
+        assert.strictEqual(body.error.code, 'insufficient_scope');
+    });
+
+    it('generates images', async () => {
+        const { status, body } = await server.request('POST', '/api/v1/images/generate', {
+            token: fullKey.apiKey,
+            body: { prompt: 'a cat', width: 32, height: 32 }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.ok(isPng(body.data[0].b64_json));
+        assert.strictEqual(body.data[0].url, `data:image/png;base64,${body.data[0].b64_json}`);
+    });
+
+    it('returns video URLs', async () => {
+        const { status, body } = await server.request('POST', '/api/v1/videos/generate', {
+            token: fullKey.apiKey,
+            body: { prompt: 'a running horse' }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.match(body.data[0].url, /^https:\/\/image\.pollinations\.ai\/prompt\/a%20running%20horse/);
+    });
+
+    it('stops accepting a revoked key', async () => {
+        const revoke = await server.request('DELETE', `/api/user/apikeys/${chatKey.id}`, { token });
+        assert.strictEqual(revoke.status, 200);
+
+        const { status } = await server.request('POST', '/api/v1/chat/completions', {
+            token: chatKey.apiKey,
+            body: { messages: [{ role: 'user', content: 'Ping' }] }
+        });
+        assert.strictEqual(status, 401);
+    });
+});
+
+describe('normalizeCompletion', () => {
+    const request = { model: 'gpt-5', messages: [{ role: 'user', content: 'Hi' }] };
+
+    it('fills in a missing finish_reason from the message', () => {
+        const call = { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } };
+        const completion = normalizeCompletion({
+            choices: [
+                { message: { content: null, tool_calls: [call] } },
+                { message: { content: 'Hello' } }
+            ]
+        }, request);
+
+        assert.strictEqual(completion.choices[0].finish_reason, 'tool_calls');
+        assert.strictEqual(completion.choices[1].finish_reason, 'stop');
+    });
+});
@@ -0,0 +1,266 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, createUser, signInitData } = require('./helpers');
+
+const BOT_TOKEN = '123456:test-bot-token';
+
+describe('auth', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ TELEGRAM_BOT_TOKEN: BOT_TOKEN });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('registers a user without exposing secrets', async () => {
+        const { status, body } = await server.request('POST', '/api/auth/register', {
+            body: { username: 'alice', password: 'password123' }
+        });
+
+        assert.strictEqual(status, 201);
+        assert.strictEqual(body.username, 'alice');
+        assert.strictEqual(body.role, 'user');
+        assert.strictEqual(body.hasPassword, true);
+        assert.strictEqual(body.password, undefined);
+        assert.strictEqual(body.providerKeys, undefined);
+    });
+
+    it('rejects a duplicate username and missing or invalid fields', async () => {
+        const duplicate = await server.request('POST', '/api/auth/register', {
+            body: { username: 'alice', password: 'other-password' }
+        });
+        assert.strictEqual(duplicate.status, 400);
+
+        const missing = await server.request('POST', '/api/auth/register', { body: { username: 'bob' } });
+        assert.strictEqual(missing.status, 400);
+
+        const invalid = [
+            { username: 123, password: 'password123' },
+            { username: 'dave', password: 123456789 },
+            { username: 'dave', password: 'short' },
+            { username: 'da', password: 'password123' }
+        ];
+        for (const body of invalid) {
+            const { status } = await server.request('POST', '/api/auth/register', { body });
+            assert.strictEqual(status, 400, JSON.stringify(body));
+        }
+
+        // "@..." names belong to Telegram accounts
+        const reserved = await server.request('POST', '/api/auth/register', {
+            body: { username: '@tg_user', password: 'password123' }
+        });
+        assert.strictEqual(reserved.status, 400);
+    });
+
+    it('logs in with the right password only', async () => {
+        const wrong = await server.request('POST', '/api/auth/login', {
+            body: { username: 'alice', password: 'wrong-password' }
+        });
+        assert.strictEqual(wrong.status, 401);
+
+        const unknown = await server.request('POST', '/api/auth/login', {
+            body: { username: 'nobody', password: 'password123' }
+        });
+        assert.strictEqual(unknown.status, 401);
+
+        const numeric = await server.request('POST', '/api/auth/login', {
+            body: { username: 'alice', password: 123456789 }
+        });
+        assert.strictEqual(numeric.status, 400);
+
+        const { status, body } = await server.request('POST', '/api/auth/login', {
+            body: { username: 'alice', password: 'password123' }
+        });
+        assert.strictEqual(status, 200);
+        assert.ok(body.sessionToken);
+        assert.strictEqual(body.password, undefined);
+    });
+
+    it('verifies a session until it is logged out', async () => {
+        const { token } = await createUser(server, 'carol');
+
+        const valid = await server.request('POST', '/api/auth/verify-session', { token });
+        assert.strictEqual(valid.status, 200);
+        assert.strictEqual(valid.body.valid, true);
+        assert.strictEqual(valid.body.user.username, 'carol');
+
+        const logout = await server.request('POST', '/api/auth/logout', { token });
+        assert.strictEqual(logout.status, 200);
+
+        const invalid = await server.request('POST', '/api/auth/verify-session', { token });
+        assert.strictEqual(invalid.status, 401);
+        assert.strictEqual(invalid.body.valid, false);
+    });
+
+    it('requires a session for protected routes', async () => {
+        const missing = await server.request('GET', '/api/user/apikeys');
+        assert.strictEqual(missing.status, 401);
+
+        const bogus = await server.request('GET', '/api/user/apikeys', { token: 'not-a-session' });
+        assert.strictEqual(bogus.status, 401);
+    });
+
+    it('signs in with valid Telegram initData', async () => {
+        const initData = signInitData({
+            auth_date: String(Math.floor(Date.now() / 1000)),
+            user: JSON.stringify({ id: 424242, first_name: 'Tg', username: 'tg_user' })
+        }, BOT_TOKEN);
+
+        const { status, body } = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+        assert.strictEqual(status, 200);
+        assert.ok(body.sessionToken);
+        assert.strictEqual(body.user.telegramId, 424242);
+        assert.strictEqual(body.user.username, '@tg_user');
+        assert.strictEqual(body.user.hasPassword, false);
+
+        // The same identity signs in to the same account again
+        const again = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+        assert.strictEqual(again.body.user.id, body.user.id);
+    });
+
+    it('rejects tampered or expired Telegram initData', async () => {
+        const initData = signInitData({
+            auth_date: String(Math.floor(Date.now() / 1000)),
+            user: JSON.stringify({ id: 1, first_name: 'Tg' })
+        }, BOT_TOKEN);
+        const tampered = initData.replace('%22id%22%3A1', '%22id%22%3A2');
+
+        const forged = await server.request('POST', '/api/auth/telegram', { body: { initData: tampered } });
+        assert.strictEqual(forged.status, 401);
+        assert.strictEqual(forged.body.code, 'TELEGRAM_SIGNATURE_INVALID');
+
+        const old = signInitData({
+            auth_date: String(Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60),
+            user: JSON.stringify({ id: 1, first_name: 'Tg' })
+        }, BOT_TOKEN);
+        const expired = await server.request('POST', '/api/auth/telegram', { body: { initData: old } });
+        assert.strictEqual(expired.status, 401);
+        assert.strictEqual(expired.body.code, 'TELEGRAM_AUTH_DATE_EXPIRED');
+    });
+});
+
+describe('admin bootstrap', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-chat-admin-test-'));
+    const env = { TELEGRAM_BOT_TOKEN: BOT_TOKEN, DB_PATH: path.join(dir, 'database.json') };
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('never promotes an account created through Telegram', async () => {
+        const initData = signInitData({
+            auth_date: String(Math.floor(Date.now() / 1000)),
+            user: JSON.stringify({ id: 31337, first_name: 'Root', username: 'root' })
+        }, BOT_TOKEN);
+
+        let server = await startServer(env);
+        let telegramUser;
+        try {
+            const { body } = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+            telegramUser = body;
+            assert.strictEqual(telegramUser.user.username, '@root');
+
+            // Even with a password and the admin's username
+            const renamed = await server.request('POST', '/api/account/password', {
+                token: telegramUser.sessionToken,
+                body: { password: 'password123', username: 'admin' }
+            });
+            assert.strictEqual(renamed.status, 200);
+        } finally {
+            await server.stop();
+        }
+
+        server = await startServer({ ...env, ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'admin-password' });
+        try {
+            assert.match(server.output(), /belongs to a Telegram account; not promoted/);
+            const users = await server.request('GET', '/api/admin/users', { token: telegramUser.sessionToken });
+            assert.strictEqual(users.status, 403);
+        } finally {
+            await server.stop();
+        }
+
+        // A free ADMIN_USERNAME is created as a password account
+        server = await startServer({ ...env, ADMIN_USERNAME: 'root', ADMIN_PASSWORD: 'admin-password' });
+        try {
+            const login = await server.request('POST', '/api/auth/login', {
+                body: { username: 'root', password: 'admin-password' }
+            });
+            assert.strictEqual(login.body.role, 'admin');
+            const users = await server.request('GET', '/api/admin/users', { token: login.body.sessionToken });
+            assert.strictEqual(users.status, 200);
+        } finally {
+            await server.stop();
+        }
+    });
+});
+
+describe('account linking', () => {
+    let server;
+    let admin;
+
+    const telegramInitData = (id, username) => signInitData({
+        auth_date: String(Math.floor(Date.now() / 1000)),
+        user: JSON.stringify({ id, first_name: 'Tg', username })
+    }, BOT_TOKEN);
+
+    before(async () => {
+        server = await startServer({
+            TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+            ADMIN_USERNAME: 'admin',
+            ADMIN_PASSWORD: 'admin-password'
+        });
+        const login = await server.request('POST', '/api/auth/login', {
+            body: { username: 'admin', password: 'admin-password' }
+        });
+        admin = login.body;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('refuses to link a disabled Telegram account', async () => {
+        const initData = telegramInitData(5150, 'banned');
+        const { body: telegram } = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+
+        const disabled = await server.request('PATCH', `/api/admin/users/${telegram.user.id}`, {
+            token: admin.sessionToken,
+            body: { disabled: true }
+        });
+        assert.strictEqual(disabled.status, 200);
+
+        const { token } = await createUser(server, 'mallory');
+        const link = await server.request('POST', '/api/account/link/telegram', { token, body: { initData } });
+        assert.strictEqual(link.status, 403);
+        assert.strictEqual(link.body.code, 'ACCOUNT_DISABLED');
+
+        const login = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+        assert.strictEqual(login.status, 403);
+    });
+
+    it('keeps the admin role when an admin account is linked', async () => {
+        const { body: telegram } = await server.request('POST', '/api/auth/telegram', {
+            body: { initData: telegramInitData(6160, 'owner') }
+        });
+
+        const link = await server.request('POST', '/api/account/link/password', {
+            token: telegram.sessionToken,
+            body: { username: 'admin', password: 'admin-password' }
+        });
+        assert.strictEqual(link.status, 200);
+        assert.strictEqual(link.body.user.role, 'admin');
+        assert.strictEqual(link.body.user.username, 'admin');
+
+        // Both the old admin session and the Telegram session still reach the admin routes
+        const users = await server.request('GET', '/api/admin/users', { token: admin.sessionToken });
+        assert.strictEqual(users.status, 200);
+        const viaTelegram = await server.request('GET', '/api/admin/users', { token: telegram.sessionToken });
+        assert.strictEqual(viaTelegram.status, 200);
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser } = require('./helpers');
+
+describe('chats', () => {
+    let server;
+    let alice;
+    let bob;
+    let chatId;
+
+    before(async () => {
+        server = await startServer();
+        alice = await createUser(server, 'alice');
+        bob = await createUser(server, 'bob');
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('creates a chat with the default model', async () => {
+        const { status, body } = await server.request('POST', '/api/chats', {
+            token: alice.token,
+            body: { title: 'First chat' }
+        });
+
+        assert.strictEqual(status, 201);
+        assert.strictEqual(body.title, 'First chat');
+        assert.strictEqual(body.userId, alice.user.id);
+        assert.strictEqual(body.model, 'gpt-5');
+        assert.deepStrictEqual(body.messages, []);
+        chatId = body.id;
+    });
+
+    it('requires a title', async () => {
+        const { status } = await server.request('POST', '/api/chats', { token: alice.token, body: {} });
+        assert.strictEqual(status, 400);
+    });
+
+    it('lists only the owner\'s chats', async () => {
+        const own = await server.request('GET', `/api/chats/${alice.user.id}`, { token: alice.token });
+        assert.strictEqual(own.status, 200);
+        assert.deepStrictEqual(own.body.map(chat => chat.id), [chatId]);
+
+        const other = await server.request('GET', `/api/chats/${alice.user.id}`, { token: bob.token });
+        assert.strictEqual(other.status, 403);
+    });
+
+    it('updates messages, title and model', async () => {
+        const { status, body } = await server.request('PUT', `/api/chats/${chatId}`, {
+            token: alice.token,
+            body: {
+                title: 'Renamed',
+                model: 'claude-sonnet-4',
+                messages: [
+                    { text: 'Hello', type: 'user', timestamp: new Date().toISOString() },
+                    { text: 'Hi!', type: 'ai', timestamp: new Date().toISOString() }
+                ]
+            }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.title, 'Renamed');
+        assert.strictEqual(body.model, 'claude-sonnet-4');
+        assert.strictEqual(body.messages.length, 2);
+
+        const list = await server.request('GET', `/api/chats/${alice.user.id}`, { token: alice.token });
+        assert.strictEqual(list.body[0].messages[1].text, 'Hi!');
+    });
+
+    it('stores tool calls without their images', async () => {
+        const toolCall = { id: 'call_1', name: 'generate_image', arguments: '{"prompt":"a cat"}', result: '{}', error: false };
+        const { body } = await server.request('PUT', `/api/chats/${chatId}`, {
+            token: alice.token,
+            body: {
+                messages: [
+                    { text: 'Draw a cat', type: 'user' },
+                    { text: 'Here it is', type: 'ai', toolCalls: [{ ...toolCall, image: 'data:image/png;base64,AAAA' }] }
+                ]
+            }
+        });
+
+        assert.deepStrictEqual(body.messages[1].toolCalls, [toolCall]);
+        assert.strictEqual(body.messages[0].toolCalls, undefined);
+    });
+
+    it('rejects updates with the wrong types', async () => {
+        for (const body of [{ messages: null }, { messages: 'Hello' }, { title: 42 }, { model: ['gpt-5'] }]) {
+            const { status } = await server.request('PUT', `/api/chats/${chatId}`, { token: alice.token, body });
+            assert.strictEqual(status, 400, JSON.stringify(body));
+        }
+
+        // The stored messages are untouched, so generation still reads them
+        const image = await server.request('POST', '/api/generate/image', {
+            token: alice.token,
+            body: { prompt: 'a cat', chatId }
+        });
+        assert.strictEqual(image.status, 200);
+    });
+
+    it('does not let an update change the owner', async () => {
+        const { body } = await server.request('PUT', `/api/chats/${chatId}`, {
+            token: alice.token,
+            body: { userId: bob.user.id, title: 'Still mine' }
+        });
+        assert.strictEqual(body.userId, alice.user.id);
+    });
+
+    it('adds messages without overwriting what is stored', async () => {
+        const appended = await server.request('POST', `/api/chats/${chatId}/messages`, {
+            token: alice.token,
+            body: { messages: [{ text: 'From Telegram', type: 'user' }] }
+        });
+        assert.strictEqual(appended.status, 200);
+        assert.deepStrictEqual(appended.body.messages.map(m => m.text), ['Draw a cat', 'Here it is', 'From Telegram']);
+
+        // A regenerated answer replaces the old one in place
+        const replaced = await server.request('POST', `/api/chats/${chatId}/messages`, {
+            token: alice.token,
+            body: { start: 1, deleteCount: 1, messages: [{ text: 'Another cat', type: 'ai' }] }
+        });
+        assert.deepStrictEqual(replaced.body.messages.map(m => m.text), ['Draw a cat', 'Another cat', 'From Telegram']);
+
+        const invalid = await server.request('POST', `/api/chats/${chatId}/messages`, {
+            token: alice.token,
+            body: { messages: [null] }
+        });
+        assert.strictEqual(invalid.status, 400);
+
+        const foreign = await server.request('POST', `/api/chats/${chatId}/messages`, {
+            token: bob.token,
+            body: { messages: [{ text: 'Hi', type: 'user' }] }
+        });
+        assert.strictEqual(foreign.status, 404);
+    });
+
+    it('hides other users\' chats', async () => {
+        const update = await server.request('PUT', `/api/chats/${chatId}`, {
+            token: bob.token,
+            body: { title: 'Taken' }
+        });
+        assert.strictEqual(update.status, 404);
+
+        const remove = await server.request('DELETE', `/api/chats/${chatId}`, { token: bob.token });
+        assert.strictEqual(remove.status, 404);
+    });
+
+    it('deletes a chat', async () => {
+        const { status } = await server.request('DELETE', `/api/chats/${chatId}`, { token: alice.token });
+        assert.strictEqual(status, 200);
+
+        const list = await server.request('GET', `/api/chats/${alice.user.id}`, { token: alice.token });
+        assert.deepStrictEqual(list.body, []);
+
+        const again = await server.request('DELETE', `/api/chats/${chatId}`, { token: alice.token });
+        assert.strictEqual(again.status, 404);
+    });
+});
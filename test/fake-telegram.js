@@ -0,0 +1,171 @@
+// Fake Telegram Bot API - records every call and answers { ok: true }
+//
+// Uploaded files (multipart requests) are recorded as
+// { filename, contentType, buffer }. failNext() makes the next call of a
+// method fail, e.g. with a 429 to test rate-limit retries. Group members are
+// plain members unless setMemberStatus() says otherwise.
+//
+// Start the server with TELEGRAM_API_URL pointing here and the bot talks to
+// this instead of api.telegram.org. Used by the tests; it can also be run on
+// its own to try the bot locally:
+//
+//   node test/fake-telegram.js 8081
+//   TELEGRAM_BOT_TOKEN=123:abc TELEGRAM_WEBHOOK_DEV_MODE=true TELEGRAM_API_URL=http://localhost:8081 npm start
+//   curl -X POST localhost:3000/api/telegram/webhook -H 'Content-Type: application/json' \
+//        -d '{"update_id":1,"message":{"message_id":1,"date":0,"text":"Hi","chat":{"id":42,"type":"private"},"from":{"id":42,"first_name":"Test"}}}'
+
+const http = require('http');
+
+const WAIT_TIMEOUT = 5 * 1000;
+
+// Result of a method; anything not listed answers `true`. `statuses` maps
+// "<chat id>:<user id>" to a ChatMember status.
+function result(method, params, messageId, statuses) {
+    switch (method) {
+        case 'getMe':
+            return { id: 1, is_bot: true, first_name: 'Test Bot', username: 'test_bot' };
+        case 'getChatMember':
+            return {
+                user: { id: params.user_id, is_bot: false, first_name: 'Member' },
+                status: statuses.get(`${params.chat_id}:${params.user_id}`) || 'member'
+            };
+        case 'sendMessage':
+            return {
+                message_id: messageId,
+                date: Math.floor(Date.now() / 1000),
+                chat: { id: params.chat_id, type: 'private' },
+                text: params.text
+            };
+        default:
+            return true;
+    }
+}
+
+// Parameters of a JSON or multipart/form-data request
+async function readParams(req, body) {
+    const type = req.headers['content-type'] || '';
+    if (!type.startsWith('multipart/form-data')) {
+        return body.length ? JSON.parse(body) : {};
+    }
+
+    const form = await new Request('http://fake-telegram' + req.url, { method: 'POST', headers: req.headers, body }).formData();
+    const params = {};
+    for (const [name, value] of form.entries()) {
+        params[name] = typeof value === 'string'
+            ? value
+            : { filename: value.name, contentType: value.type, buffer: Buffer.from(await value.arrayBuffer()) };
+    }
+    return params;
+}
+
+// JSON for logs and errors, with uploaded files shortened
+function describe(value) {
+    return JSON.stringify(value, (key, item) =>
+        item?.buffer ? `<${item.filename}, ${item.buffer.length} bytes>` : item);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Resolves to { url, calls, rejected, waitFor, failNext, setMemberStatus,
+// stop }. `calls` is the list of { token, method, params } answered with ok,
+// `rejected` those failed by failNext(); with `log` each call is printed.
+function startFakeTelegram({ port = 0, log = false } = {}) {
+    const calls = [];
+    const rejected = [];
+    const waiters = [];
+    const failures = [];
+    const statuses = new Map();
+    let messageId = 0;
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', data => chunks.push(data));
+        req.on('end', async () => {
+            const match = req.url.match(/^\/bot([^/]+)\/(\w+)/);
+            if (!match) {
+                return send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+            }
+
+            let params;
+            try {
+                params = await readParams(req, Buffer.concat(chunks));
+            } catch (error) {
+                return send(res, 400, { ok: false, error_code: 400, description: `Bad Request: ${error.message}` });
+            }
+
+            const call = { token: match[1], method: match[2], params };
+            const failure = failures.find(f => f.method === call.method);
+            if (failure) {
+                failures.splice(failures.indexOf(failure), 1);
+                rejected.push(call);
+                return send(res, failure.error.error_code, { ok: false, ...failure.error });
+            }
+
+            calls.push(call);
+            if (log) {
+                console.log(`${call.method}:`, describe(params));
+            }
+            for (const waiter of [...waiters]) {
+                if (waiter.matches(call)) {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    waiter.resolve(call);
+                }
+            }
+
+            send(res, 200, { ok: true, result: result(call.method, params, ++messageId, statuses) });
+        });
+    });
+
+    // The next call of `method` fails with
+    // { error_code, description, parameters } instead of being answered
+    function failNext(method, { error_code = 400, description = 'Bad Request', parameters } = {}) {
+        failures.push({ method, error: { error_code, description, ...(parameters && { parameters }) } });
+    }
+
+    // getChatMember answers `status` ("administrator", "creator", ...)
+    // for the user in that chat
+    function setMemberStatus(chatId, userId, status) {
+        statuses.set(`${chatId}:${userId}`, status);
+    }
+
+    // Resolves to the first call of `method` (matching `predicate`) made
+    // after `since` calls, waiting for it if needed
+    function waitFor(method, predicate = () => true, { since = 0, timeout = WAIT_TIMEOUT } = {}) {
+        const matches = call => call.method === method && predicate(call.params);
+        const found = calls.slice(since).find(matches);
+        if (found) return Promise.resolve(found);
+
+        return new Promise((resolve, reject) => {
+            const waiter = { matches, resolve };
+            waiters.push(waiter);
+            setTimeout(() => {
+                if (waiters.includes(waiter)) {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`No ${method} call within ${timeout}ms; calls: ${describe(calls)}`));
+                }
+            }, timeout).unref();
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            resolve({ url: `http://127.0.0.1:${server.address().port}`, calls, rejected, waitFor, failNext, setMemberStatus, stop });
+        });
+    });
+}
+
+if (require.main === module) {
+    startFakeTelegram({ port: Number(process.argv[2]) || 8081, log: true }).then(({ url }) => {
+        console.log(`🤖 Fake Telegram Bot API on ${url}`);
+    });
+}
+
+module.exports = { startFakeTelegram };
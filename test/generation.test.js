@@ -0,0 +1,229 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, parseEventStream, isPng } = require('./helpers');
+const { ImageGenerator } = require('../lib/images');
+
+describe('generation', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        ({ token } = await createUser(server, 'alice'));
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('lists the model catalog', async () => {
+        const { status, body } = await server.request('GET', '/api/models');
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.defaultModel, 'gpt-5');
+        const gpt5 = body.models.find(model => model.id === 'gpt-5');
+        assert.strictEqual(gpt5.name, 'GPT-5');
+        assert.strictEqual(gpt5.type, 'text');
+        assert.strictEqual(gpt5.capabilities.vision, true);
+        assert.strictEqual(gpt5.providers, undefined);
+    });
+
+    it('completes a chat with the mock provider', async () => {
+        const { status, body } = await server.request('POST', '/api/chat/completions', {
+            token,
+            body: { model: 'deepseek-chat', messages: [{ role: 'user', content: 'Hello' }] }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.provider, 'mock');
+        assert.strictEqual(body.model, 'deepseek-chat');
+        assert.strictEqual(body.choices[0].message.content, 'Mock response from deepseek-chat: Hello');
+    });
+
+    it('streams a chat completion as Server-Sent Events', async () => {
+        const { status, body, headers } = await server.request('POST', '/api/chat/completions', {
+            token,
+            body: { messages: [{ role: 'user', content: 'Tell me something' }], stream: true }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.match(headers.get('content-type'), /text\/event-stream/);
+        assert.ok(body.trimEnd().endsWith('data: [DONE]'));
+
+        const chunks = parseEventStream(body);
+        assert.ok(chunks.length > 2);
+        assert.ok(chunks.every(chunk => chunk.provider === 'mock'));
+        const text = chunks.map(chunk => chunk.choices[0].delta.content || '').join('');
+        assert.strictEqual(text, 'Mock response from gpt-5: Tell me something');
+        assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, 'stop');
+    });
+
+    it('runs built-in tools until the model answers', async () => {
+        const { status, body } = await server.request('POST', '/api/chat/completions', {
+            token,
+            body: {
+                messages: [{ role: 'user', content: 'Use the calculator {"expression": "2 + 3 * 4"}' }],
+                builtinTools: true
+            }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.toolCalls.length, 1);
+        assert.strictEqual(body.toolCalls[0].name, 'calculator');
+        assert.strictEqual(body.toolCalls[0].error, false);
+        assert.deepStrictEqual(JSON.parse(body.toolCalls[0].result), { expression: '2 + 3 * 4', result: 14 });
+        assert.strictEqual(body.choices[0].message.content, `Mock response from gpt-5: ${body.toolCalls[0].result}`);
+    });
+
+    it('streams tool calls as events and hands tool errors back to the model', async () => {
+        const { status, body } = await server.request('POST', '/api/chat/completions', {
+            token,
+            body: {
+                messages: [{ role: 'user', content: 'calculator {"expression": "2 +"}' }],
+                builtinTools: true,
+                stream: true
+            }
+        });
+
+        assert.strictEqual(status, 200);
+        const events = parseEventStream(body);
+        const tools = events.filter(event => event.tool);
+        assert.strictEqual(tools.length, 1);
+        assert.strictEqual(tools[0].tool.error, true);
+        assert.match(JSON.parse(tools[0].tool.result).error, /end of expression/);
+
+        const text = events.filter(event => event.choices).map(event => event.choices[0].delta.content || '').join('');
+        assert.match(text, /^Mock response from gpt-5: \{"error"/);
+    });
+
+    it('returns generated images from the image tool', async () => {
+        const { body } = await server.request('POST', '/api/chat/completions', {
+            token,
+            body: {
+                messages: [{ role: 'user', content: 'generate_image {"prompt": "a cat", "width": 16, "height": 16}' }],
+                builtinTools: true
+            }
+        });
+
+        assert.strictEqual(body.toolCalls[0].name, 'generate_image');
+        assert.ok(isPng(body.toolCalls[0].image.split(',')[1]));
+        assert.strictEqual(JSON.parse(body.toolCalls[0].result).status, 'generated');
+    });
+
+    it('does not offer tools to models without tool support', async () => {
+        const { body } = await server.request('POST', '/api/chat/completions', {
+            token,
+            body: { model: 'deepseek-r1', messages: [{ role: 'user', content: 'calculator {"expression": "1"}' }], builtinTools: true }
+        });
+
+        assert.strictEqual(body.toolCalls, undefined);
+        assert.match(body.choices[0].message.content, /^Mock response from deepseek-r1: calculator/);
+    });
+
+    it('rejects unknown models and bad requests', async () => {
+        const unknown = await server.request('POST', '/api/chat/completions', {
+            token,
+            body: { model: 'no-such-model', messages: [{ role: 'user', content: 'Hi' }] }
+        });
+        assert.strictEqual(unknown.status, 400);
+        assert.strictEqual(unknown.body.code, 'MODEL_NOT_FOUND');
+
+        const empty = await server.request('POST', '/api/chat/completions', { token, body: { messages: [] } });
+        assert.strictEqual(empty.status, 400);
+
+        const anonymous = await server.request('POST', '/api/chat/completions', {
+            body: { messages: [{ role: 'user', content: 'Hi' }] }
+        });
+        assert.strictEqual(anonymous.status, 401);
+    });
+
+    it('generates deterministic PNG images', async () => {
+        const request = { prompt: 'a red fox', width: 64, height: 64, provider: 'pollinations' };
+        const first = await server.request('POST', '/api/generate/image', { token, body: request });
+        const second = await server.request('POST', '/api/generate/image', { token, body: request });
+
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.model, 'Mock Image');
+        const [prefix, base64] = first.body.image.split(',');
+        assert.strictEqual(prefix, 'data:image/png;base64');
+        assert.ok(isPng(base64));
+        assert.strictEqual(second.body.image, first.body.image);
+
+        const other = await server.request('POST', '/api/generate/image', { token, body: { ...request, prompt: 'a blue whale' } });
+        assert.notStrictEqual(other.body.image, first.body.image);
+    });
+
+    it('requires a session and a prompt for images and videos', async () => {
+        const image = await server.request('POST', '/api/generate/image', { token, body: {} });
+        assert.strictEqual(image.status, 400);
+
+        const video = await server.request('POST', '/api/generate/video', { token, body: {} });
+        assert.strictEqual(video.status, 400);
+
+        const anonymous = await server.request('POST', '/api/generate/image', { body: { prompt: 'a red fox' } });
+        assert.strictEqual(anonymous.status, 401);
+    });
+
+    it('takes context for follow-ups from the user\'s own chats only', async () => {
+        const { body: chat } = await server.request('POST', '/api/chats', { token, body: { title: 'Images' } });
+        await server.request('PUT', `/api/chats/${chat.id}`, {
+            token,
+            body: { messages: [{ type: 'user', text: 'нарисуй секретный пароль 1234', timestamp: new Date().toISOString() }] }
+        });
+        const followUp = { prompt: 'убери фон', width: 32, height: 32, chatId: chat.id };
+
+        const own = await server.request('POST', '/api/generate/image', { token, body: followUp });
+        assert.strictEqual(own.body.contextUsed, true);
+        assert.strictEqual(own.body.prompt, 'нарисуй секретный пароль 1234, убери фон');
+
+        const { token: otherToken } = await createUser(server, 'mallory');
+        const other = await server.request('POST', '/api/generate/image', { token: otherToken, body: followUp });
+        assert.strictEqual(other.status, 200);
+        assert.strictEqual(other.body.contextUsed, false);
+        assert.strictEqual(other.body.prompt, 'убери фон');
+    });
+
+    it('generates a video placeholder frame', async () => {
+        const { status, body } = await server.request('POST', '/api/generate/video', {
+            token,
+            body: { prompt: 'waves on a beach' }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.isPlaceholder, true);
+        assert.ok(isPng(body.video.split(',')[1]));
+    });
+});
+
+describe('image generator', () => {
+    before(() => {
+        mock.method(globalThis, 'fetch', async (url, options) => {
+            throw options.signal?.aborted ? options.signal.reason : new TypeError('fetch failed');
+        });
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('reports an unreachable backend as an image generation error', async () => {
+        const images = new ImageGenerator();
+
+        await assert.rejects(images.generate('a cat', { provider: 'stable-diffusion', fallback: false }),
+            { name: 'ImageGenerationError', status: 502, message: /Stable Diffusion is unreachable/ });
+        // The fallback to Pollinations fails the same way
+        await assert.rejects(images.generate('a cat', { provider: 'stable-diffusion' }),
+            { name: 'ImageGenerationError', message: /Pollinations AI is unreachable/ });
+    });
+
+    it('still rejects with the abort reason when the request is aborted', async () => {
+        const images = new ImageGenerator();
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(images.generate('a cat', { provider: 'pollinations', signal: controller.signal }),
+            { name: 'AbortError' });
+    });
+});
@@ -0,0 +1,138 @@
+// Test helpers - run server.js in a child process against a temporary
+// database, with the mock provider so no network access is needed
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT = 15 * 1000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Starts the server and resolves once it is listening. `env` is added to a
+// clean environment, so provider keys from the shell never leak into tests.
+async function startServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-chat-test-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            DB_PATH: path.join(dir, 'database.json'),
+            SQLITE_PATH: path.join(dir, 'database.sqlite'),
+            SECRET_KEY: 'test-secret-key',
+            MOCK_PROVIDERS: 'true',
+            // Nothing listens here, so a bot never reaches the real Bot API
+            TELEGRAM_API_URL: 'http://127.0.0.1:9',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', data => { output += data; });
+    child.stderr.on('data', data => { output += data; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Server did not start in time:\n${output}`));
+        }, START_TIMEOUT);
+        child.stdout.on('data', () => {
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+
+    // JSON request; resolves to { status, body, headers }
+    async function request(method, route, { body, token, headers = {} } = {}) {
+        const response = await fetch(url + route, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Event streams and other non-JSON bodies stay as text
+        }
+        return { status: response.status, body: parsed, headers: response.headers };
+    }
+
+    async function stop() {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return { url, request, stop, output: () => output };
+}
+
+// Registers a user and logs in; resolves to { user, token }
+async function createUser(server, username, password = 'password123') {
+    const registered = await server.request('POST', '/api/auth/register', { body: { username, password } });
+    if (registered.status !== 201) {
+        throw new Error(`Register failed: ${JSON.stringify(registered.body)}`);
+    }
+    const login = await server.request('POST', '/api/auth/login', { body: { username, password } });
+    const { sessionToken, ...user } = login.body;
+    return { user, token: sessionToken };
+}
+
+// The JSON payloads of a text/event-stream body, without the final [DONE]
+function parseEventStream(text) {
+    return text.split('\n')
+        .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+        .map(line => JSON.parse(line.slice(6)));
+}
+
+// initData as the Mini App gets it, signed with the bot token
+function signInitData(fields, botToken) {
+    const params = new URLSearchParams(fields);
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function isPng(base64) {
+    return Buffer.from(base64, 'base64').subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+module.exports = { startServer, createUser, signInitData, parseEventStream, isPng };
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ProviderRegistry, ProviderError } = require('../lib/providers');
+const { ProviderHealth } = require('../lib/providers/health');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A provider for every model whose complete() runs `handler(options)`
+function stubProvider(name, handler) {
+    const provider = {
+        name,
+        calls: 0,
+        supportsModel: () => true,
+        supportsTools: () => false,
+        isConfigured: () => true,
+        async complete(request, options) {
+            provider.calls++;
+            return handler(options);
+        }
+    };
+    return provider;
+}
+
+const completion = (content) => ({ choices: [{ message: { role: 'assistant', content } }] });
+const failing = (status) => () => {
+    throw new ProviderError('stub', `HTTP ${status}`, { status });
+};
+
+describe('provider health', () => {
+    it('opens the circuit after repeated failures and lets one trial through after the cooldown', async () => {
+        const health = new ProviderHealth({ failureThreshold: 2, cooldownMs: 50 });
+        health.recordFailure('p', new Error('boom'), 10);
+        assert.strictEqual(health.state('p'), 'closed');
+        health.recordFailure('p', new Error('boom'), 10);
+        assert.strictEqual(health.state('p'), 'open');
+        assert.strictEqual(health.tryAcquire('p'), false);
+
+        await sleep(60);
+        assert.strictEqual(health.state('p'), 'half-open');
+        assert.strictEqual(health.tryAcquire('p'), true);
+        assert.strictEqual(health.tryAcquire('p'), false);
+
+        // A failed trial opens the circuit again, a successful one closes it
+        health.recordFailure('p', new Error('still down'), 10);
+        assert.strictEqual(health.state('p'), 'open');
+        await sleep(60);
+        assert.strictEqual(health.tryAcquire('p'), true);
+        health.recordSuccess('p', 20);
+        assert.strictEqual(health.state('p'), 'closed');
+
+        const snapshot = health.snapshot('p');
+        assert.strictEqual(snapshot.consecutiveFailures, 0);
+        assert.strictEqual(snapshot.recentCalls, 4);
+        assert.strictEqual(snapshot.lastError, 'still down');
+    });
+});
+
+describe('provider registry', () => {
+    it('falls back along the chain and skips providers whose circuit is open', async () => {
+        const primary = stubProvider('primary', failing(502));
+        const backup = stubProvider('backup', () => completion('from backup'));
+        const registry = new ProviderRegistry({
+            fallbacks: { default: ['primary', 'backup'] },
+            health: new ProviderHealth({ failureThreshold: 3 })
+        }).register(primary).register(backup);
+
+        for (let i = 0; i < 4; i++) {
+            const { provider, completion: result } = await registry.complete({ model: 'm', messages: [] });
+            assert.strictEqual(provider, 'backup');
+            assert.strictEqual(result.choices[0].message.content, 'from backup');
+        }
+        assert.strictEqual(primary.calls, 3);
+        assert.strictEqual(registry.status().primary.state, 'open');
+    });
+
+    it('does not count request errors against the provider', async () => {
+        const provider = stubProvider('only', failing(400));
+        const registry = new ProviderRegistry({ health: new ProviderHealth({ failureThreshold: 1 }) }).register(provider);
+
+        await assert.rejects(registry.complete({ model: 'm', messages: [] }), { code: 'PROVIDERS_FAILED' });
+        await assert.rejects(registry.complete({ model: 'm', messages: [] }), { code: 'PROVIDERS_FAILED' });
+        assert.strictEqual(provider.calls, 2);
+        assert.strictEqual(registry.status().only.state, 'closed');
+    });
+
+    it('does not let a user\'s bad key switch the provider off for everyone', async () => {
+        const provider = stubProvider('openrouter', options =>
+            options.credentials?.openrouter ? failing(401)() : completion('server key'));
+        const registry = new ProviderRegistry({ health: new ProviderHealth({ failureThreshold: 3 }) }).register(provider);
+
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(registry.complete({ model: 'm', messages: [] }, { credentials: { openrouter: 'bad-key' } }),
+                { code: 'PROVIDERS_FAILED' });
+        }
+
+        const { completion: result } = await registry.complete({ model: 'm', messages: [] });
+        assert.strictEqual(result.choices[0].message.content, 'server key');
+        assert.strictEqual(registry.status().openrouter.consecutiveFailures, 0);
+    });
+});
@@ -0,0 +1,219 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { LATEST_VERSION } = require('../lib/storage/migrations');
+
+// The drivers log migrations to stdout, where node --test reads its own results
+mock.method(console, 'log', () => {});
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+
+const drivers = [
+    { driver: 'json', file: 'db.json' },
+    { driver: 'sqlite', file: 'db.sqlite', skip: !hasSqlite && 'better-sqlite3 is not installed' }
+];
+
+// Every driver has to behave the same way behind the storage interface
+for (const { driver, file, skip } of drivers) {
+    describe(`${driver} storage`, { skip }, () => {
+        let dir;
+        let storage;
+
+        before(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), `ai-chat-storage-${driver}-`));
+            storage = createStorage({ driver, path: path.join(dir, file), snapshots: 0 });
+            await storage.init();
+        });
+
+        after(async () => {
+            await storage.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('creates, finds, updates and deletes users', async () => {
+            const user = { id: 'u1', username: 'alice', telegramId: 42, role: 'user', disabled: false, providerKeys: {} };
+            await storage.createUser(user);
+
+            assert.deepStrictEqual(await storage.findUserById('u1'), user);
+            assert.strictEqual((await storage.findUserByUsername('alice')).id, 'u1');
+            assert.strictEqual((await storage.findUserByTelegramId(42)).id, 'u1');
+            assert.strictEqual(await storage.findUserByUsername('nobody'), null);
+
+            const updated = await storage.updateUser('u1', { username: 'alicia' });
+            assert.strictEqual(updated.username, 'alicia');
+            assert.strictEqual(await storage.findUserByUsername('alice'), null);
+            assert.strictEqual(await storage.updateUser('missing', { username: 'x' }), null);
+
+            await storage.createUser({ id: 'u2', username: 'bob', telegramId: null });
+            assert.deepStrictEqual((await storage.listUsers()).map(u => u.id), ['u1', 'u2']);
+            assert.strictEqual(await storage.deleteUser('u2'), true);
+            assert.strictEqual(await storage.deleteUser('u2'), false);
+        });
+
+        it('stores sessions by token and user', async () => {
+            await storage.createSession({ token: 't1', userId: 'u1', createdAt: '2026-01-01T00:00:00.000Z' });
+            await storage.createSession({ token: 't2', userId: 'u1', createdAt: '2026-01-02T00:00:00.000Z' });
+
+            assert.strictEqual((await storage.findSession('t1')).userId, 'u1');
+            assert.deepStrictEqual((await storage.listSessionsByUser('u1')).map(s => s.token), ['t1', 't2']);
+
+            const updated = await storage.updateSession('t1', { lastSeenAt: '2026-01-03T00:00:00.000Z' });
+            assert.strictEqual(updated.lastSeenAt, '2026-01-03T00:00:00.000Z');
+            assert.strictEqual(await storage.updateSession('missing', {}), null);
+
+            assert.strictEqual(await storage.deleteSession('t2'), true);
+            assert.strictEqual(await storage.findSession('t2'), null);
+        });
+
+        it('keeps chats and their messages in order', async () => {
+            await storage.createChat({ id: 'c1', userId: 'u1', title: 'First', messages: [{ type: 'user', text: 'a' }] });
+            await storage.createChat({ id: 'c2', userId: 'u1', title: 'Second', messages: [] });
+
+            assert.strictEqual(await storage.countChatsByUser('u1'), 2);
+            assert.deepStrictEqual((await storage.listChatsByUser('u1')).map(c => c.id), ['c1', 'c2']);
+
+            await storage.appendMessage('c1', { type: 'ai', text: 'b' });
+            await storage.spliceMessages('c1', undefined, 0, [{ type: 'user', text: 'c' }]);
+            await storage.spliceMessages('c1', 1, 1, [{ type: 'ai', text: 'B' }]);
+            assert.deepStrictEqual((await storage.getMessages('c1')).map(m => m.text), ['a', 'B', 'c']);
+            assert.strictEqual(await storage.appendMessage('missing', { text: 'x' }), null);
+            assert.strictEqual(await storage.getMessages('missing'), null);
+
+            const renamed = await storage.updateChat('c1', { title: 'Renamed' });
+            assert.strictEqual(renamed.title, 'Renamed');
+            assert.strictEqual(renamed.messages.length, 3);
+
+            const cleared = await storage.updateChat('c1', { messages: [] });
+            assert.deepStrictEqual(cleared.messages, []);
+
+            assert.strictEqual(await storage.deleteChat('c2'), true);
+            assert.strictEqual(await storage.findChat('c2'), null);
+        });
+
+        it('stores user API keys by hash', async () => {
+            await storage.createUserApiKey({ id: 'k1', userId: 'u1', hash: 'hash-1', name: 'Default' });
+
+            assert.strictEqual((await storage.findUserApiKeyByHash('hash-1')).id, 'k1');
+            assert.deepStrictEqual((await storage.listUserApiKeys('u1')).map(k => k.id), ['k1']);
+
+            const updated = await storage.updateUserApiKey('k1', { name: 'Renamed' });
+            assert.strictEqual(updated.name, 'Renamed');
+
+            assert.strictEqual(await storage.deleteUserApiKey('k1'), true);
+            assert.strictEqual(await storage.findUserApiKeyByHash('hash-1'), null);
+        });
+
+        it('merges platform API keys', async () => {
+            await storage.updateApiKeys({ replicate: 'r8_key' });
+            assert.deepStrictEqual(await storage.getApiKeys(), { huggingface: '', replicate: 'r8_key' });
+        });
+    });
+}
+
+describe('sqlite storage upgrades', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, () => {
+    it('drops the api_key column of databases created before migration 6', async () => {
+        const Database = require('better-sqlite3');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-chat-storage-upgrade-'));
+        const dbPath = path.join(dir, 'db.sqlite');
+
+        const legacy = new Database(dbPath);
+        legacy.exec(`
+            CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT, telegram_id INTEGER, api_key TEXT, data TEXT NOT NULL);
+            CREATE INDEX idx_users_api_key ON users(api_key);
+        `);
+        legacy.prepare('INSERT INTO users (id, username, telegram_id, api_key, data) VALUES (?, ?, ?, ?, ?)')
+            .run('u1', 'alice', null, 'sk-legacy', JSON.stringify({ id: 'u1', username: 'alice', apiKey: 'sk-legacy' }));
+        legacy.close();
+
+        const storage = createStorage({ driver: 'sqlite', path: dbPath });
+        try {
+            await storage.init();
+
+            const columns = storage.db.prepare('SELECT name FROM pragma_table_info(?)').all('users').map(c => c.name);
+            assert.deepStrictEqual(columns, ['id', 'username', 'telegram_id', 'data']);
+            assert.strictEqual(storage.db.prepare('SELECT 1 FROM sqlite_master WHERE name = ?').get('idx_users_api_key'), undefined);
+
+            // The key itself was moved to user_api_keys by migration 6
+            const user = await storage.findUserByUsername('alice');
+            assert.strictEqual(user.apiKey, undefined);
+            assert.strictEqual((await storage.listUserApiKeys('u1')).length, 1);
+            assert.strictEqual(storage.db.prepare('SELECT value FROM settings WHERE key = ?').get('schemaVersion').value, String(LATEST_VERSION));
+        } finally {
+            await storage.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('json storage recovery', () => {
+    it('lets reads wait for a corrupt file to be restored instead of creating an empty one', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-chat-storage-recovery-'));
+        const dbPath = path.join(dir, 'db.json');
+        const storage = createStorage({ driver: 'json', path: dbPath, snapshots: 5, snapshotInterval: 0 });
+
+        try {
+            await storage.init();
+            await storage.createUser({ id: 'u1', username: 'alice' });
+            // The next write snapshots the file that already holds alice
+            await storage.createSession({ token: 't1', userId: 'u1' });
+            fs.writeFileSync(dbPath, '{ "users": [');
+
+            // Read while the corrupt file is moved aside, before a snapshot is restored
+            let readDuringRecovery;
+            const listSnapshots = storage.listSnapshots.bind(storage);
+            storage.listSnapshots = async () => {
+                readDuringRecovery = storage.findUserById('u1');
+                return listSnapshots();
+            };
+
+            assert.strictEqual((await storage.findUserById('u1')).username, 'alice');
+            assert.strictEqual((await readDuringRecovery).username, 'alice');
+            assert.strictEqual(JSON.parse(fs.readFileSync(dbPath, 'utf8')).users.length, 1);
+        } finally {
+            await storage.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('migrations', () => {
+    it('normalizes tool calls stored before migration 8', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-chat-storage-migrations-'));
+        const dbPath = path.join(dir, 'db.json');
+        const toolCall = { id: 'call_1', name: 'generate_image', arguments: '{}', result: 'done', error: false };
+        fs.writeFileSync(dbPath, JSON.stringify({
+            schemaVersion: 7,
+            users: [],
+            sessions: [],
+            userApiKeys: [],
+            apiKeys: {},
+            chats: [{
+                id: 'c1',
+                userId: 'u1',
+                messages: [
+                    { type: 'ai', text: 'Here', toolCalls: [{ ...toolCall, image: 'data:image/png;base64,AAAA' }] },
+                    { type: 'ai', text: 'Broken', toolCalls: 'not a list' }
+                ]
+            }]
+        }));
+
+        const storage = createStorage({ driver: 'json', path: dbPath, snapshots: 0 });
+        try {
+            await storage.init();
+            const [withCalls, broken] = await storage.getMessages('c1');
+            assert.deepStrictEqual(withCalls.toolCalls, [toolCall]);
+            assert.strictEqual('toolCalls' in broken, false);
+        } finally {
+            await storage.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,496 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, signInitData, isPng } = require('./helpers');
+const { startFakeTelegram } = require('./fake-telegram');
+const { splitMessage } = require('../lib/telegram/api');
+
+const BOT_TOKEN = '123456:test-bot-token';
+const WEBHOOK_SECRET = 'webhook-secret';
+const SENDER = { id: 777, first_name: 'Tg', username: 'tg_bot_user' };
+
+describe('telegram bot', () => {
+    let telegram;
+    let server;
+    let updateId = 0;
+
+    // Post a private text message from SENDER to the webhook
+    async function send(text, { from = SENDER, secret = WEBHOOK_SECRET } = {}) {
+        return server.request('POST', '/api/telegram/webhook', {
+            headers: { 'X-Telegram-Bot-Api-Secret-Token': secret },
+            body: {
+                update_id: ++updateId,
+                message: {
+                    message_id: updateId,
+                    date: Math.floor(Date.now() / 1000),
+                    chat: { id: from.id, type: 'private' },
+                    from,
+                    text
+                }
+            }
+        });
+    }
+
+    // Press an inline keyboard button of the bot's message `message`
+    async function press(message, data, from = SENDER) {
+        return server.request('POST', '/api/telegram/webhook', {
+            headers: { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET },
+            body: {
+                update_id: ++updateId,
+                callback_query: {
+                    id: `query-${updateId}`,
+                    from,
+                    message: { message_id: message.message_id, chat: { id: from.id, type: 'private' } },
+                    data
+                }
+            }
+        });
+    }
+
+    // The bot's next `method` call (sendMessage by default) to `chatId`.
+    // Uploads are multipart, where chat_id comes as a string.
+    function nextReply(chatId = SENDER.id, method = 'sendMessage') {
+        return telegram.waitFor(method, params => String(params.chat_id) === String(chatId), { since: telegram.calls.length });
+    }
+
+    before(async () => {
+        telegram = await startFakeTelegram();
+        server = await startServer({
+            TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+            TELEGRAM_API_URL: telegram.url,
+            TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET,
+            PUBLIC_URL: 'https://bot.example.com'
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+        await telegram.stop();
+    });
+
+    it('registers the command menus at startup', async () => {
+        const { params } = await telegram.waitFor('setMyCommands');
+        assert.deepStrictEqual(params.commands.map(command => command.command),
+            ['new', 'chats', 'model', 'image', 'video', 'clear', 'settings']);
+
+        const groups = await telegram.waitFor('setMyCommands', params => params.scope?.type === 'all_group_chats');
+        assert.deepStrictEqual(groups.params.commands.map(command => command.command),
+            ['image', 'video', 'model', 'clear', 'settings']);
+    });
+
+    it('answers text messages through the model pipeline', async () => {
+        const reply = nextReply();
+        const { status } = await send('Hello bot');
+        assert.strictEqual(status, 200);
+
+        const { token, params } = await reply;
+        assert.strictEqual(token, BOT_TOKEN);
+        assert.strictEqual(params.text, 'Mock response from gpt-5: Hello bot');
+        assert.ok(telegram.calls.some(call => call.method === 'sendChatAction' && call.params.action === 'typing'));
+    });
+
+    it('keeps the conversation in a chat that the Mini App shows', async () => {
+        const reply = nextReply();
+        await send('And again');
+        await reply;
+
+        const initData = signInitData({
+            auth_date: String(Math.floor(Date.now() / 1000)),
+            user: JSON.stringify(SENDER)
+        }, BOT_TOKEN);
+        const login = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+        assert.strictEqual(login.body.user.id, 'tg_777');
+
+        const { body: chats } = await server.request('GET', '/api/chats/tg_777', { token: login.body.sessionToken });
+        assert.strictEqual(chats.length, 1);
+        assert.strictEqual(chats[0].title, 'Hello bot');
+        assert.deepStrictEqual(chats[0].messages.map(message => [message.type, message.text]), [
+            ['user', 'Hello bot'],
+            ['ai', 'Mock response from gpt-5: Hello bot'],
+            ['user', 'And again'],
+            ['ai', 'Mock response from gpt-5: And again']
+        ]);
+        assert.strictEqual(chats[0].messages[1].provider, 'mock');
+    });
+
+    it('ignores repeated updates', async () => {
+        const body = {
+            update_id: 1,
+            message: { message_id: 1, date: 0, chat: { id: SENDER.id, type: 'private' }, from: SENDER, text: 'Hello bot' }
+        };
+        const before = telegram.calls.length;
+        const { status } = await server.request('POST', '/api/telegram/webhook', {
+            headers: { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET },
+            body
+        });
+        assert.strictEqual(status, 200);
+
+        // A later message is answered, the repeated one never was
+        const reply = nextReply();
+        await send('Later');
+        await reply;
+        const texts = telegram.calls.slice(before).filter(call => call.method === 'sendMessage').map(call => call.params.text);
+        assert.deepStrictEqual(texts, ['Mock response from gpt-5: Later']);
+    });
+
+    it('explains that only text is understood', async () => {
+        const reply = nextReply();
+        await send(undefined);
+        assert.match((await reply).params.text, /текстовые сообщения/);
+    });
+
+    it('rejects updates without the webhook secret', async () => {
+        const { status, body } = await send('Hi', { secret: 'wrong' });
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.code, 'TELEGRAM_WEBHOOK_SECRET_INVALID');
+    });
+
+    it('refuses updates when no webhook secret is configured', async () => {
+        const unprotected = await startServer({ TELEGRAM_BOT_TOKEN: BOT_TOKEN, TELEGRAM_API_URL: telegram.url });
+        try {
+            const before = telegram.calls.length;
+            const { status, body } = await unprotected.request('POST', '/api/telegram/webhook', {
+                body: {
+                    update_id: 1,
+                    message: { message_id: 1, date: 0, chat: { id: 4242, type: 'private' }, from: { id: 4242, first_name: 'Forged' }, text: '/clear' }
+                }
+            });
+            assert.strictEqual(status, 503);
+            assert.strictEqual(body.code, 'TELEGRAM_WEBHOOK_SECRET_NOT_SET');
+
+            await new Promise(resolve => setTimeout(resolve, 200));
+            assert.ok(telegram.calls.slice(before).every(call => call.params.chat_id !== 4242));
+        } finally {
+            await unprotected.stop();
+        }
+    });
+
+    it('splits long answers at line breaks', () => {
+        const text = 'a'.repeat(3000) + '\n' + 'b'.repeat(3000);
+        assert.deepStrictEqual(splitMessage(text), ['a'.repeat(3000), 'b'.repeat(3000)]);
+        assert.deepStrictEqual(splitMessage('c'.repeat(5000)).map(piece => piece.length), [4096, 904]);
+    });
+
+    describe('commands', () => {
+        const OTHER = { id: 888, first_name: 'Commands' };
+
+        // Send `text` as OTHER; resolves to the params of the bot's reply
+        async function command(text, method = 'sendMessage') {
+            const reply = nextReply(OTHER.id, method);
+            await send(text, { from: OTHER });
+            return (await reply).params;
+        }
+
+        it('picks a model from the catalog with an inline keyboard', async () => {
+            const menu = await command('/model');
+            const buttons = menu.reply_markup.inline_keyboard.flat();
+            assert.ok(buttons.some(button => button.callback_data === 'model:gpt-5' && button.text.startsWith('✅')));
+            assert.ok(buttons.some(button => button.callback_data === 'model:claude-sonnet-4'));
+            assert.ok(buttons.every(button => button.callback_data !== 'model:pollinations'));
+
+            const answered = telegram.waitFor('answerCallbackQuery', () => true, { since: telegram.calls.length });
+            const edited = nextReply(OTHER.id, 'editMessageText');
+            await press({ message_id: 1 }, 'model:claude-sonnet-4', OTHER);
+            assert.match((await edited).params.text, /Claude Sonnet 4/);
+            await answered;
+
+            const answer = await command('Which model?');
+            assert.strictEqual(answer.text, 'Mock response from claude-sonnet-4: Which model?');
+        });
+
+        it('starts new chats and switches between them', async () => {
+            const created = await command('/new Second');
+            assert.match(created.text, /«Second»/);
+            await command('In the second chat');
+
+            const list = await command('/chats');
+            const buttons = list.reply_markup.inline_keyboard.flat();
+            assert.strictEqual(buttons.length, 2);
+            assert.ok(buttons[0].text.startsWith('✅ Second'));
+
+            const edited = nextReply(OTHER.id, 'editMessageText');
+            await press({ message_id: 1 }, buttons[1].callback_data, OTHER);
+            await edited;
+
+            const settings = await command('/settings');
+            assert.match(settings.text, /Claude Sonnet 4/);
+            assert.match(settings.text, /сообщений: 2/);
+            assert.ok(settings.reply_markup.inline_keyboard.flat().some(button => button.callback_data === 'settings:clear'));
+        });
+
+        it('does not switch to chats of other users', async () => {
+            const answered = telegram.waitFor('answerCallbackQuery', () => true, { since: telegram.calls.length });
+            await press({ message_id: 1 }, 'chat:chat_0', OTHER);
+            assert.strictEqual((await answered).params.text, 'Чат не найден');
+        });
+
+        it('clears the current chat', async () => {
+            const cleared = await command('/clear');
+            assert.match(cleared.text, /очищен/);
+
+            const settings = await command('/settings');
+            assert.match(settings.text, /сообщений: 0/);
+        });
+
+        it('uploads generated images and video frames with the prompt as caption', async () => {
+            const image = await command('/image a red fox', 'sendPhoto');
+            assert.strictEqual(image.caption, 'a red fox');
+            assert.strictEqual(image.photo.contentType, 'image/png');
+            assert.ok(isPng(image.photo.buffer.toString('base64')));
+
+            const video = await command('/video waves', 'sendPhoto');
+            assert.strictEqual(video.caption, 'waves');
+            assert.notDeepStrictEqual(video.photo.buffer, image.photo.buffer);
+
+            const hint = await command('/image');
+            assert.match(hint.text, /\/image кот в космосе/);
+        });
+
+        it('retries uploads that Telegram rate limits', async () => {
+            telegram.failNext('sendPhoto', {
+                error_code: 429,
+                description: 'Too Many Requests: retry after 1',
+                parameters: { retry_after: 1 }
+            });
+            const rejectedBefore = telegram.rejected.length;
+
+            const image = await command('/image a blue whale', 'sendPhoto');
+            assert.strictEqual(image.caption, 'a blue whale');
+            assert.strictEqual(telegram.rejected.length, rejectedBefore + 1);
+        });
+
+        it('sends images Telegram refuses as photos as documents', async () => {
+            telegram.failNext('sendPhoto', { error_code: 400, description: 'Bad Request: PHOTO_INVALID_DIMENSIONS' });
+
+            const document = await command('/image a very long train', 'sendDocument');
+            assert.strictEqual(document.caption, 'a very long train');
+            assert.strictEqual(document.document.filename, 'image.png');
+        });
+
+        it('lists the commands for /start and unknown commands', async () => {
+            assert.match((await command('/start')).text, /\/settings/);
+            assert.match((await command('/nope')).text, /Неизвестная команда \/nope/);
+        });
+    });
+
+    describe('inline mode', () => {
+        // Type `@bot text` as `from`; resolves to the params of the answer
+        async function inline(text, from = SENDER) {
+            const id = `inline-${++updateId}`;
+            const answer = telegram.waitFor('answerInlineQuery', params => params.inline_query_id === id,
+                { since: telegram.calls.length });
+            await server.request('POST', '/api/telegram/webhook', {
+                headers: { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET },
+                body: { update_id: updateId, inline_query: { id, from, query: text, offset: '' } }
+            });
+            return (await answer).params;
+        }
+
+        it('answers known users with a short completion, cached per query', async () => {
+            const answer = await inline('What is the capital of France?');
+            assert.strictEqual(answer.is_personal, true);
+            assert.strictEqual(answer.results.length, 1);
+            const [article] = answer.results;
+            assert.strictEqual(article.type, 'article');
+            assert.strictEqual(article.title, 'What is the capital of France?');
+            assert.ok(article.input_message_content.message_text.length > 0);
+
+            const again = await inline('What is the capital of France?');
+            assert.strictEqual(again.results[0].id, article.id);
+        });
+
+        it('generates images for img: queries and serves them to Telegram', async () => {
+            const answer = await inline('img: a green owl');
+            const [photo] = answer.results;
+            assert.strictEqual(photo.type, 'photo');
+            assert.strictEqual(photo.caption, 'a green owl');
+
+            const url = new URL(photo.photo_url);
+            assert.strictEqual(url.origin, 'https://bot.example.com');
+            const image = await server.request('GET', url.pathname);
+            assert.strictEqual(image.status, 200);
+            assert.strictEqual(image.headers.get('content-type'), 'image/png');
+
+            const missing = await server.request('GET', '/api/telegram/inline-images/nope.png');
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('only offers to start the bot to unknown users and for empty queries', async () => {
+            const stranger = await inline('Hello', { id: 999, first_name: 'Stranger' });
+            assert.deepStrictEqual(stranger.results, []);
+            assert.strictEqual(stranger.button.start_parameter, 'inline');
+
+            const empty = await inline('');
+            assert.deepStrictEqual(empty.results, []);
+            assert.match(empty.button.text, /img:/);
+        });
+    });
+
+    describe('groups', () => {
+        const GROUP = { id: -100500, type: 'supergroup', title: 'Test Group', is_forum: true };
+        const ADMIN = { id: 555, first_name: 'Admin' };
+
+        // Post a message to GROUP; `thread` makes it a forum topic message
+        async function groupSend(text, { from = SENDER, thread = 0, ...fields } = {}) {
+            await server.request('POST', '/api/telegram/webhook', {
+                headers: { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET },
+                body: {
+                    update_id: ++updateId,
+                    message: {
+                        message_id: updateId,
+                        date: Math.floor(Date.now() / 1000),
+                        chat: GROUP,
+                        from,
+                        text,
+                        ...(thread && { message_thread_id: thread, is_topic_message: true }),
+                        ...fields
+                    }
+                }
+            });
+            return updateId;
+        }
+
+        // `text` mentioning the bot; resolves to the params of its reply
+        async function ask(text, options = {}) {
+            const reply = nextReply(GROUP.id);
+            await groupSend(`@test_bot ${text}`, { entities: [{ type: 'mention', offset: 0, length: 9 }], ...options });
+            return (await reply).params;
+        }
+
+        async function groupCommand(text, from = SENDER) {
+            const reply = nextReply(GROUP.id);
+            await groupSend(text, { from });
+            return (await reply).params;
+        }
+
+        before(() => {
+            telegram.setMemberStatus(GROUP.id, ADMIN.id, 'administrator');
+        });
+
+        it('only answers mentions, replies to the bot and commands', async () => {
+            const before = telegram.calls.length;
+            await groupSend('just chatting');
+            await groupSend('/image@other_bot a cat');
+
+            const answer = await ask('what is 2+2?');
+            assert.strictEqual(answer.text, 'Mock response from gpt-5: Tg: what is 2+2?');
+            assert.strictEqual(answer.reply_parameters.message_id, updateId);
+
+            const reply = nextReply(GROUP.id);
+            await groupSend('and 3+3?', { reply_to_message: { message_id: 1, from: { id: 1, is_bot: true } } });
+            assert.strictEqual((await reply).params.text, 'Mock response from gpt-5: Tg: and 3+3?');
+
+            const sent = telegram.calls.slice(before).filter(call => ['sendMessage', 'sendPhoto'].includes(call.method));
+            assert.strictEqual(sent.length, 2);
+        });
+
+        it('keeps group conversations out of the members\' chat lists', async () => {
+            const initData = signInitData({
+                auth_date: String(Math.floor(Date.now() / 1000)),
+                user: JSON.stringify(SENDER)
+            }, BOT_TOKEN);
+            const login = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+            const { body: chats } = await server.request('GET', '/api/chats/tg_777', { token: login.body.sessionToken });
+            assert.ok(chats.length > 0);
+            assert.ok(chats.every(chat => chat.userId === 'tg_777' && chat.source !== 'telegram-group'));
+        });
+
+        it('lets only admins change the model of the whole group', async () => {
+            assert.match((await groupCommand('/settings')).text, /только администраторы/);
+            assert.match((await groupCommand('/model')).text, /только администраторы/);
+
+            const settings = await groupCommand('/settings', ADMIN);
+            assert.match(settings.text, /Настройки группы/);
+
+            const menu = await groupCommand('/model@test_bot', ADMIN);
+            const other = menu.reply_markup.inline_keyboard.flat().find(button => !button.text.startsWith('✅'));
+            const pressAs = async (from) => {
+                const answered = telegram.waitFor('answerCallbackQuery', () => true, { since: telegram.calls.length });
+                await server.request('POST', '/api/telegram/webhook', {
+                    headers: { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET },
+                    body: {
+                        update_id: ++updateId,
+                        callback_query: { id: `query-${updateId}`, from, message: { message_id: 1, chat: GROUP }, data: other.callback_data }
+                    }
+                });
+                return (await answered).params;
+            };
+
+            assert.match((await pressAs(SENDER)).text, /только администраторы/);
+            const edited = telegram.waitFor('editMessageText', () => true, { since: telegram.calls.length });
+            await pressAs(ADMIN);
+            assert.match((await edited).params.text, /Модель группы/);
+
+            // Every thread of the group answers with the new model
+            const modelId = other.callback_data.slice('model:'.length);
+            const answer = await ask('hi', { thread: 9 });
+            assert.strictEqual(answer.text, `Mock response from ${modelId}: Tg: hi`);
+            assert.strictEqual(answer.message_thread_id, 9);
+            assert.strictEqual((await ask('hello')).text, `Mock response from ${modelId}: Tg: hello`);
+        });
+    });
+
+    describe('send to Telegram from the Mini App', () => {
+        async function generatedImage(token, prompt) {
+            const { body } = await server.request('POST', '/api/generate/image', { token, body: { prompt, width: 32, height: 32 } });
+            return body.image;
+        }
+
+        async function telegramSession() {
+            const initData = signInitData({
+                auth_date: String(Math.floor(Date.now() / 1000)),
+                user: JSON.stringify(SENDER)
+            }, BOT_TOKEN);
+            const { body } = await server.request('POST', '/api/auth/telegram', { body: { initData } });
+            return body.sessionToken;
+        }
+
+        it('uploads the image to the user\'s chat with the bot', async () => {
+            const token = await telegramSession();
+            const image = await generatedImage(token, 'a green parrot');
+
+            const sent = nextReply(SENDER.id, 'sendPhoto');
+            const { status } = await server.request('POST', '/api/telegram/send-image', {
+                token,
+                body: { image, caption: 'a green parrot' }
+            });
+            assert.strictEqual(status, 200);
+
+            const { params } = await sent;
+            assert.strictEqual(params.caption, 'a green parrot');
+            assert.strictEqual(params.photo.buffer.toString('base64'), image.split(',')[1]);
+
+            const document = nextReply(SENDER.id, 'sendDocument');
+            await server.request('POST', '/api/telegram/send-image', { token, body: { image, asDocument: true } });
+            assert.strictEqual((await document).params.document.contentType, 'image/png');
+        });
+
+        it('reports when the user has not started the bot', async () => {
+            const token = await telegramSession();
+            telegram.failNext('sendPhoto', { error_code: 403, description: 'Forbidden: bot can\'t initiate conversation with a user' });
+
+            const { status, body } = await server.request('POST', '/api/telegram/send-image', {
+                token,
+                body: { image: await generatedImage(token, 'a cat') }
+            });
+            assert.strictEqual(status, 502);
+            assert.strictEqual(body.code, 'TELEGRAM_CHAT_UNAVAILABLE');
+        });
+
+        it('needs a linked Telegram account and a data: URL', async () => {
+            const { token } = await createUser(server, 'no_telegram');
+            const unlinked = await server.request('POST', '/api/telegram/send-image', {
+                token,
+                body: { image: await generatedImage(token, 'a cat') }
+            });
+            assert.strictEqual(unlinked.status, 400);
+            assert.strictEqual(unlinked.body.code, 'TELEGRAM_NOT_LINKED');
+
+            const invalid = await server.request('POST', '/api/telegram/send-image', {
+                token: await telegramSession(),
+                body: { image: 'https://example.com/cat.png' }
+            });
+            assert.strictEqual(invalid.status, 400);
+            assert.strictEqual(invalid.body.code, 'INVALID_IMAGE');
+        });
+    });
+});
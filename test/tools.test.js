@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { evaluate } = require('../lib/tools/calculator');
+
+describe('calculator tool', () => {
+    it('follows operator precedence', () => {
+        assert.strictEqual(evaluate('2 + 3 * 4'), 14);
+        assert.strictEqual(evaluate('(2 + 3) * 4'), 20);
+        assert.strictEqual(evaluate('2 ^ 3 ^ 2'), 512);
+        assert.strictEqual(evaluate('-2 ^ 2'), -4);
+        assert.strictEqual(evaluate('10 % 4 - .5'), 1.5);
+    });
+
+    it('knows constants and functions', () => {
+        assert.strictEqual(evaluate('sqrt(16) + abs(-2)'), 6);
+        assert.strictEqual(evaluate('round(pi * 100)'), 314);
+        assert.strictEqual(evaluate('log(1e3)'), 3);
+    });
+
+    it('rejects anything that is not arithmetic', () => {
+        assert.throws(() => evaluate(''), /empty/);
+        assert.throws(() => evaluate('2 +'), /end of expression/);
+        assert.throws(() => evaluate('process.exit()'), /Unexpected character|Unknown token/);
+        assert.throws(() => evaluate('1 / 0'), /finite/);
+        assert.throws(() => evaluate('1'.repeat(501)), /longer/);
+    });
+});